@@ -1,15 +1,47 @@
 import mongoose from "mongoose";
-import { restoreSessions } from "../services/waManager.js";
+import { restoreSessions, startHibernationSweeper, startLeaseHeartbeat } from "../services/waManager.js";
+import { startSessionWatchdog } from "../services/sessionWatchdog.js";
+import { startJobWorker } from "../services/jobQueue.js";
+import { startRecurringScheduler } from "../services/recurringScheduler.js";
+import auditLogModel from "../models/auditLog.js";
+import messageModel from "../models/message.js";
+import { isEncryptionEnabled } from "../services/fieldEncryption.js";
 
 const ConnectedDB = async () => {
   try {
     await mongoose.connect(process.env.MONGO_URI);
     console.log("💾 Database connected successfully");
 
-    // Restore all active WhatsApp sessions after DB connects (non-blocking)
-    restoreSessions().catch((err) => 
-      console.error("❌ Session restoration error:", err.message)
+    if (!isEncryptionEnabled()) {
+      console.warn("⚠️ FIELD_ENCRYPTION_KEYS not set, auth data, QR codes and message bodies are stored unencrypted");
+    }
+
+    // Rebuild the audit TTL index when AUDIT_RETENTION_DAYS changed
+    auditLogModel.syncIndexes().catch((err) =>
+      console.error("❌ Audit index sync error:", err.message)
     );
+
+    // Same for MESSAGE_RETENTION_DAYS (adds or drops the TTL index)
+    messageModel.syncIndexes().catch((err) =>
+      console.error("❌ Message index sync error:", err.message)
+    );
+
+    // Restore all active WhatsApp sessions after DB connects (non-blocking)
+    // Batch jobs and recurring schedules start once the sessions they send through are back
+    restoreSessions()
+      .catch((err) => console.error("❌ Session restoration error:", err.message))
+      .then(startJobWorker)
+      .then(startRecurringScheduler)
+      .catch((err) => console.error("❌ Job worker start error:", err.message));
+
+    // Park sessions that sit idle (only when SESSION_IDLE_TIMEOUT_MS is set)
+    startHibernationSweeper();
+
+    // Probe live browsers and restart zombies
+    startSessionWatchdog();
+
+    // Keep our session leases alive and adopt sessions of dead instances
+    startLeaseHeartbeat();
   } catch (e) {
     console.error("❌ Database connection error:", e.message);
     process.exit(1);
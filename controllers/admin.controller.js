@@ -0,0 +1,154 @@
+import auditLogModel from "../models/auditLog.js";
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+  describeApiKey,
+} from "../services/apiKeyManager.js";
+import { apiError, sendError } from "../middleware/errors.js";
+
+/* ---------------------------
+   Admin: API key management
+   (mounted under the admin scope in server.js)
+----------------------------*/
+
+/** ✅ POST /api/wa/admin/keys
+ *  Body: { userId, scopes: [...], name?, expiresAt? }
+ *  The plaintext key is only returned here, store it safely
+ */
+export const createKey = async (req, res) => {
+  try {
+    const { userId, scopes, name, expiresAt } = req.body;
+
+    const { key, plaintext } = await createApiKey({
+      userId,
+      name: name || "",
+      scopes,
+      expiresAt: expiresAt || null,
+      createdBy: req.auth.keyId,
+    });
+
+    return res.status(201).json({ success: true, apiKey: plaintext, ...describeApiKey(key) });
+  } catch (err) {
+    console.error("❌ Error creating API key:", err.message);
+    return sendError(res, err, "Failed to create API key");
+  }
+};
+
+/** ✅ GET /api/wa/admin/keys?userId=&includeRevoked=true */
+export const listKeys = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.userId) filter.userId = req.query.userId;
+    if (!req.query.includeRevoked) filter.revokedAt = null;
+
+    const keys = await listApiKeys(filter);
+    return res.json({ total: keys.length, keys: keys.map(describeApiKey) });
+  } catch (err) {
+    console.error("❌ Error listing API keys:", err.message);
+    return sendError(res, err, "Failed to list API keys");
+  }
+};
+
+/** ✅ POST /api/wa/admin/keys/:keyId/rotate
+ *  Body: { graceSeconds? } - how long the old key keeps working (default 0)
+ */
+export const rotateKey = async (req, res) => {
+  try {
+    const rotated = await rotateApiKey(req.params.keyId, {
+      graceSeconds: req.body.graceSeconds,
+      createdBy: req.auth.keyId,
+    });
+    if (!rotated) return sendError(res, apiError("API_KEY_NOT_FOUND", `No active key ${req.params.keyId}`), "API key not found or already revoked");
+
+    return res.json({
+      success: true,
+      apiKey: rotated.plaintext,
+      ...describeApiKey(rotated.key),
+      previous: describeApiKey(rotated.old),
+    });
+  } catch (err) {
+    console.error("❌ Error rotating API key:", err.message);
+    return sendError(res, err, "Failed to rotate API key");
+  }
+};
+
+/** ✅ DELETE /api/wa/admin/keys/:keyId */
+export const revokeKey = async (req, res) => {
+  try {
+    const key = await revokeApiKey(req.params.keyId);
+    if (!key) return sendError(res, apiError("API_KEY_NOT_FOUND", `No active key ${req.params.keyId}`), "API key not found or already revoked");
+
+    return res.json({ success: true, message: "API key revoked", ...describeApiKey(key) });
+  } catch (err) {
+    console.error("❌ Error revoking API key:", err.message);
+    return sendError(res, err, "Failed to revoke API key");
+  }
+};
+
+/* ---------------------------
+   Admin: audit log
+----------------------------*/
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** ✅ GET /api/wa/admin/audit
+ *  Filters: userId, keyId, sessionId, route (substring), method, outcome,
+ *  target, from, to (ISO dates), page, limit
+ */
+export const getAuditLog = async (req, res) => {
+  try {
+    const { userId, keyId, sessionId, route, method, outcome, target, from, to, page, limit } = req.query;
+
+    const filter = {};
+    if (userId) filter.userId = userId;
+    if (keyId) filter.keyId = keyId;
+    if (sessionId) filter.sessionId = sessionId;
+    if (target) filter.target = target;
+    if (method) filter.method = method.toUpperCase();
+    if (outcome) filter.outcome = { $in: String(outcome).split(",") };
+    if (route) filter.route = { $regex: escapeRegex(String(route)), $options: "i" };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const [total, entries] = await Promise.all([
+      auditLogModel.countDocuments(filter),
+      auditLogModel
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 180,
+      entries: entries.map((e) => ({
+        method: e.method,
+        route: e.route,
+        path: e.path,
+        keyId: e.keyId,
+        userId: e.userId,
+        sessionId: e.sessionId,
+        target: e.target,
+        targetCount: e.targetCount,
+        statusCode: e.statusCode,
+        outcome: e.outcome,
+        error: e.error,
+        durationMs: e.durationMs,
+        ip: e.ip,
+        timestamp: e.createdAt,
+      })),
+    });
+  } catch (err) {
+    console.error("❌ Error reading audit log:", err.message);
+    return sendError(res, err, "Failed to read audit log");
+  }
+};
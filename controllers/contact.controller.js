@@ -1,6 +1,7 @@
 
 import { getClient, getOrRestoreClient } from "../services/waManager.js";
 import contactModel from "../models/contact.js";
+import { sendError } from "../middleware/errors.js";
 
 /**
  * POST /wa/contact/check
@@ -8,13 +9,11 @@ import contactModel from "../models/contact.js";
  */
 export const checkContact = async (req, res) => {
   const { sessionId, number } = req.body;
-  if (!sessionId || !number)
-    return res.status(400).json({ error: "sessionId and number required" });
 
   try {
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
     // Clean the number (remove spaces, dashes, plus signs)
     const cleanNumber = number.replace(/[\s\-\+]/g, '');
@@ -67,7 +66,7 @@ export const checkContact = async (req, res) => {
     });
   } catch (err) {
     console.error("Error checking contact:", err);
-    return res.status(500).json({ error: "Failed to check contact", details: err.message });
+    return sendError(res, err, "Failed to check contact");
   }
 };
 
@@ -77,13 +76,11 @@ export const checkContact = async (req, res) => {
  */
 export const getContactInfo = async (req, res) => {
   const { sessionId, waId } = req.query;
-  if (!sessionId || !waId)
-    return res.status(400).json({ error: "sessionId and waId required" });
 
   try {
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
     const contact = await client.getContactById(waId);
 
@@ -127,7 +124,7 @@ export const getContactInfo = async (req, res) => {
     });
   } catch (err) {
     console.error("Error getting contact info:", err);
-    return res.status(500).json({ error: "Failed to get contact info" });
+    return sendError(res, err, "Failed to get contact info");
   }
 };
 
@@ -138,13 +135,11 @@ export const getContactInfo = async (req, res) => {
  */
 export const blockContact = async (req, res) => {
   const { sessionId, waId } = req.body;
-  if (!sessionId || !waId)
-    return res.status(400).json({ error: "sessionId and waId required" });
 
   try {
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
     const contact = await client.getContactById(waId);
     await contact.block();
@@ -157,7 +152,7 @@ export const blockContact = async (req, res) => {
     return res.json({ waId, status: "blocked" });
   } catch (err) {
     console.error("Error blocking contact:", err);
-    return res.status(500).json({ error: "Failed to block contact" });
+    return sendError(res, err, "Failed to block contact");
   }
 };
 
@@ -168,13 +163,11 @@ export const blockContact = async (req, res) => {
  */
 export const unblockContact = async (req, res) => {
   const { sessionId, waId } = req.body;
-  if (!sessionId || !waId)
-    return res.status(400).json({ error: "sessionId and waId required" });
 
   try {
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
     const contact = await client.getContactById(waId);
     await contact.unblock();
@@ -187,6 +180,6 @@ export const unblockContact = async (req, res) => {
     return res.json({ waId, status: "unblocked" });
   } catch (err) {
     console.error("Error unblocking contact:", err);
-    return res.status(500).json({ error: "Failed to unblock contact" });
+    return sendError(res, err, "Failed to unblock contact");
   }
 };
@@ -7,6 +7,8 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import ffmpeg from "fluent-ffmpeg";
+import { apiError, sendError } from "../middleware/errors.js";
+import { scheduleMessage, scheduledReply } from "../services/scheduler.js";
 
 /**
  * ✅ GET /wa/groups
@@ -15,12 +17,11 @@ import ffmpeg from "fluent-ffmpeg";
 
 export const getAllGroups = async (req, res) => {
   const { sessionId } = req.query;
-  if (!sessionId) return res.status(400).json({ error: "sessionId required" });
 
   try {
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
       
     const chats = await client.getChats();
     const groups = chats.filter((chat) => chat.isGroup);
@@ -62,7 +63,7 @@ export const getAllGroups = async (req, res) => {
     res.json({ groups: formattedGroups });
   } catch (err) {
     console.error("❌ Error fetching groups:", err);
-    res.status(500).json({ error: "Failed to get groups list" });
+    sendError(res, err, "Failed to get groups list");
   }
 };
 
@@ -74,14 +75,11 @@ export const getAllGroups = async (req, res) => {
 export const getGroupParticipants = async (req, res) => {
   const { sessionId } = req.query;
   let { groupId } = req.params;
-  
-  if (!sessionId || !groupId)
-    return res.status(400).json({ error: "sessionId and groupId required" });
 
   try {
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
     // Resolve group name to ID if needed
     if (!groupId.includes('@g.us')) {
@@ -96,6 +94,7 @@ export const getGroupParticipants = async (req, res) => {
       } else{
         return res.status(404).json({ 
           error: `Group not found: ${groupId}`,
+          code: "GROUP_NOT_FOUND",
           hint: "Use exact group name or group ID (e.g., '120363123456789@g.us')"
         });
       }
@@ -103,7 +102,7 @@ export const getGroupParticipants = async (req, res) => {
 
     const chat = await client.getChatById(groupId);
     if (!chat.isGroup)
-      return res.status(400).json({ error: "Not a group chat" });
+      return sendError(res, apiError("NOT_A_GROUP", `${groupId} is not a group chat`), "Not a group chat");
 
     const participants = await Promise.all(
       chat.participants.map(async (p) => {
@@ -137,10 +136,7 @@ export const getGroupParticipants = async (req, res) => {
     });
   } catch (err) {
     console.error(`❌ Error fetching participants:`, err.message);
-    return res.status(500).json({ 
-      error: "Failed to get group participants",
-      details: err.message 
-    });
+    return sendError(res, err, "Failed to get group participants");
   }
 };
 
@@ -149,18 +145,13 @@ export const getGroupParticipants = async (req, res) => {
  */
 
 export const createGroup = async (req, res) => {
-  const { sessionId, subject, participants = [], description } = req.body;
-  if (!sessionId || !subject)
-    return res.status(400).json({ error: "sessionId and subject required" });
-
-  if (!participants || participants.length === 0)
-    return res.status(400).json({ error: "At least one participant required" });
-
-  const client = await getOrRestoreClient(sessionId);
-  if (!client || !client.info)
-    return res.status(400).json({ error: "Session not ready yet" });
+  const { sessionId, subject, participants, description } = req.body;
 
   try {
+    const client = await getOrRestoreClient(sessionId);
+    if (!client || !client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
     // Clean and validate participants
     console.log(`📋 Received participants:`, participants);
     
@@ -199,8 +190,9 @@ export const createGroup = async (req, res) => {
     }
 
     if (validParticipants.length === 0) {
-      return res.status(400).json({ 
+      return res.status(404).json({ 
         error: "No valid WhatsApp users found in participants list",
+        code: "RECIPIENT_NOT_FOUND",
         hint: "Ensure phone numbers include country code (e.g., 919876543210)"
       });
     }
@@ -263,7 +255,7 @@ export const createGroup = async (req, res) => {
     });
   } catch (err) {
     console.error("❌ Error creating group:", err);
-    return res.status(500).json({ error: "Failed to create group" });
+    return sendError(res, err, "Failed to create group");
   }
 };
 
@@ -273,15 +265,12 @@ export const createGroup = async (req, res) => {
  */
 
 export const getLatestGroups = async (req, res) => {
-  const { sessionId } = req.query;
-  if (!sessionId) return res.status(400).json({ error: "sessionId required" });
-
-  const client = await getOrRestoreClient(sessionId);
-  if (!client || !client.info)
-    return res.status(400).json({ error: "Session not ready yet" });
+  const { sessionId, limit } = req.query;
 
   try {
-    const limit = parseInt(req.query.limit) || 10;
+    const client = await getOrRestoreClient(sessionId);
+    if (!client || !client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
     const latestGroups = await GroupModel.find({ sessionId })
       .sort({ createdAt: -1 })
@@ -290,12 +279,12 @@ export const getLatestGroups = async (req, res) => {
     if (!latestGroups.length)
       return res
         .status(404)
-        .json({ message: "No groups found for this session" });
+        .json({ error: "No groups found for this session", code: "GROUP_NOT_FOUND" });
 
     res.status(200).json(latestGroups);
   } catch (err) {
     console.error("❌ Error fetching latest groups:", err);
-    res.status(500).json({ error: "Failed to fetch latest groups" });
+    sendError(res, err, "Failed to fetch latest groups");
   }
 };
 
@@ -306,14 +295,11 @@ export const addGroupParticipant = async (req, res) => {
   const { sessionId, waId } = req.body;
   const { groupId } = req.params;
 
-  if (!sessionId || !groupId || !waId)
-    return res.status(400).json({ error: "sessionId, groupId, waId required" });
-
-  const client = await getOrRestoreClient(sessionId);
-  if (!client || !client.info)
-    return res.status(400).json({ error: "Session not ready yet" });
-
   try {
+    const client = await getOrRestoreClient(sessionId);
+    if (!client || !client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
     const chat = await client.getChatById(groupId);
     await chat.addParticipants([waId]);
 
@@ -325,7 +311,7 @@ export const addGroupParticipant = async (req, res) => {
     res.json({ status: "added" });
   } catch (err) {
     console.error("Error adding participant:", err);
-    res.status(500).json({ error: "Failed to add participant" });
+    sendError(res, err, "Failed to add participant");
   }
 };
 
@@ -336,14 +322,11 @@ export const removeGroupParticipant = async (req, res) => {
   const { sessionId, waId } = req.body;
   const { groupId } = req.params;
 
-  if (!sessionId || !groupId || !waId)
-    return res.status(400).json({ error: "sessionId, groupId, waId required" });
-
-  const client = await getOrRestoreClient(sessionId);
-  if (!client || !client.info)
-    return res.status(400).json({ error: "Session not ready yet" });
-
   try {
+    const client = await getOrRestoreClient(sessionId);
+    if (!client || !client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
     const chat = await client.getChatById(groupId);
     await chat.removeParticipants([waId]);
 
@@ -355,7 +338,7 @@ export const removeGroupParticipant = async (req, res) => {
     res.json({ status: "removed" });
   } catch (err) {
     console.error("Error removing participant:", err);
-    res.status(500).json({ error: "Failed to remove participant" });
+    sendError(res, err, "Failed to remove participant");
   }
 };
 
@@ -365,12 +348,12 @@ export const removeGroupParticipant = async (req, res) => {
 export const promoteGroupAdmin = async (req, res) => {
   const { sessionId, waId } = req.body;
   const { groupId } = req.params;
-  const client = await getOrRestoreClient(sessionId);
-
-  if (!client || !client.info)
-    return res.status(400).json({ error: "Session not ready yet" });
 
   try {
+    const client = await getOrRestoreClient(sessionId);
+    if (!client || !client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
     const chat = await client.getChatById(groupId);
     await chat.promoteParticipants([waId]);
 
@@ -382,7 +365,7 @@ export const promoteGroupAdmin = async (req, res) => {
     res.json({ status: "promoted" });
   } catch (err) {
     console.error("Error promoting participant:", err);
-    res.status(500).json({ error: "Failed to promote participant" });
+    sendError(res, err, "Failed to promote participant");
   }
 };
 
@@ -392,12 +375,12 @@ export const promoteGroupAdmin = async (req, res) => {
 export const demoteGroupAdmin = async (req, res) => {
   const { sessionId, waId } = req.body;
   const { groupId } = req.params;
-  const client = await getOrRestoreClient(sessionId);
-
-  if (!client || !client.info)
-    return res.status(400).json({ error: "Session not ready yet" });
 
   try {
+    const client = await getOrRestoreClient(sessionId);
+    if (!client || !client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
     const chat = await client.getChatById(groupId);
     await chat.demoteParticipants([waId]);
 
@@ -409,7 +392,7 @@ export const demoteGroupAdmin = async (req, res) => {
     res.json({ status: "demoted" });
   } catch (err) {
     console.error("Error demoting participant:", err);
-    res.status(500).json({ error: "Failed to demote participant" });
+    sendError(res, err, "Failed to demote participant");
   }
 };
 
@@ -419,50 +402,65 @@ export const demoteGroupAdmin = async (req, res) => {
 export const updateGroupInfo = async (req, res) => {
   const { sessionId, subject, description } = req.body;
   const { groupId } = req.params;
-  const client = await getOrRestoreClient(sessionId);
-
-  if (!client || !client.info)
-    return res.status(400).json({ error: "Session not ready yet" });
 
   try {
+    const client = await getOrRestoreClient(sessionId);
+    if (!client || !client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
     const chat = await client.getChatById(groupId);
-    if (subject) await chat.setSubject(subject);
-    if (description) await chat.setDescription(description);
+    const update = { updatedAt: new Date() };
+    if (subject) {
+      await chat.setSubject(subject);
+      update.subject = subject;
+    }
+    if (description !== undefined) {
+      await chat.setDescription(description);
+      update.description = description;
+    }
 
-    await GroupModel.findOneAndUpdate(
-      { groupId },
-      { subject, description, updatedAt: new Date() }
-    );
+    await GroupModel.findOneAndUpdate({ groupId }, update);
 
     res.json({ status: "updated" });
   } catch (err) {
     console.error("Error updating group info:", err);
-    res.status(500).json({ error: "Failed to update group info" });
+    sendError(res, err, "Failed to update group info");
   }
 };
 
 /**
  * ✅ POST /wa/group/:groupId/settings
+ * Body: { sessionId, restrictions: { canSend?, canEditInfo? } } ("all" | "admins")
  */
 export const updateGroupSettings = async (req, res) => {
   const { sessionId, restrictions } = req.body;
   const { groupId } = req.params;
-  const client = await getOrRestoreClient(sessionId);
-
-  if (!client || !client.info)
-    return res.status(400).json({ error: "Session not ready yet" });
 
   try {
+    const client = await getOrRestoreClient(sessionId);
+    if (!client || !client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
     const chat = await client.getChatById(groupId);
-    await GroupModel.findOneAndUpdate(
-      { groupId },
-      { settings: restrictions, updatedAt: new Date() }
-    );
+    if (!chat.isGroup)
+      return sendError(res, apiError("NOT_A_GROUP", `${groupId} is not a group chat`), "Not a group chat");
 
-    res.json({ status: "updated" });
+    const update = { updatedAt: new Date() };
+    if (restrictions.canSend) {
+      await chat.setMessagesAdminsOnly(restrictions.canSend === "admins");
+      update["settings.canSend"] = restrictions.canSend;
+    }
+    if (restrictions.canEditInfo) {
+      await chat.setInfoAdminsOnly(restrictions.canEditInfo === "admins");
+      update["settings.canEditInfo"] = restrictions.canEditInfo;
+    }
+
+    await GroupModel.findOneAndUpdate({ groupId }, update);
+
+    res.json({ status: "updated", settings: restrictions });
   } catch (err) {
     console.error("Error updating group settings:", err);
-    res.status(500).json({ error: "Failed to update group settings" });
+    sendError(res, err, "Failed to update group settings");
   }
 };
 
@@ -472,17 +470,17 @@ export const updateGroupSettings = async (req, res) => {
 export const getInviteInfo = async (req, res) => {
   const { sessionId } = req.query;
   const { inviteCode } = req.params;
-  const client = await getOrRestoreClient(sessionId);
-
-  if (!client || !client.info)
-    return res.status(400).json({ error: "Session not ready yet" });
 
   try {
+    const client = await getOrRestoreClient(sessionId);
+    if (!client || !client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
     const info = await client.getInviteInfo(inviteCode);
     res.json(info);
   } catch (err) {
     console.error("Error getting invite info:", err);
-    res.status(500).json({ error: "Failed to get invite info" });
+    sendError(res, err, "Failed to get invite info");
   }
 };
 
@@ -491,19 +489,19 @@ export const getInviteInfo = async (req, res) => {
  */
 export const joinGroupByInvite = async (req, res) => {
   const { sessionId, inviteLink } = req.body;
-  const client = await getOrRestoreClient(sessionId);
-
-  if (!client || !client.info)
-    return res.status(400).json({ error: "Session not ready yet" });
 
   try {
+    const client = await getOrRestoreClient(sessionId);
+    if (!client || !client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
     const result = await client.acceptInvite(
       inviteLink.split("/").pop()
     );
     res.json({ status: "joined", groupId: result });
   } catch (err) {
     console.error("Error joining group:", err);
-    res.status(500).json({ error: "Failed to join group" });
+    sendError(res, err, "Failed to join group");
   }
 };
 
@@ -515,17 +513,11 @@ export const mentionInGroup = async (req, res) => {
   const { sessionId, message, mentions } = req.body;
   const { groupId } = req.params;
 
-  const client = await getOrRestoreClient(sessionId);
-  if (!client || !client.info)
-    return res.status(400).json({ error: "Session not ready yet" });
-
-  if (!Array.isArray(mentions) || mentions.length === 0) {
-    return res
-      .status(400)
-      .json({ error: "mentions must be a non-empty array" });
-  }
-
   try {
+    const client = await getOrRestoreClient(sessionId);
+    if (!client || !client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
     const chat = await client.getChatById(groupId);
 
     // Fetch contacts from waId list
@@ -547,29 +539,31 @@ export const mentionInGroup = async (req, res) => {
     res.json({ status: "sent", mentions: mentions.length });
   } catch (err) {
     console.error("Error mentioning participants:", err);
-    res.status(500).json({ error: "Failed to mention participants" });
+    sendError(res, err, "Failed to mention participants");
   }
 };
 
 // **
 //  * ✅ POST /wa/group/:groupId/message
-//  * Send text message to a group
+//  * Send text message to a group (202 + scheduleId when sendAt is given)
 //  */
 
 export const sendGroupMessage = async (req, res) => {
-  const { sessionId, text } = req.body;
+  const { sessionId, text, sendAt, timezone } = req.body;
   const { groupId } = req.params;
 
-  if (!sessionId || !groupId || !text)
-    return res
-      .status(400)
-      .json({ error: "sessionId, groupId, and text are required" });
+  try {
+    // Scheduled: sent later through the job worker
+    if (sendAt) {
+      const to = groupId.includes("@") ? groupId : `${groupId}@g.us`;
+      const job = await scheduleMessage(req.auth, { sessionId, to, text, sendAt, timezone, source: "group/message" });
+      return res.status(202).json(scheduledReply(job));
+    }
 
-  const client = await getOrRestoreClient(sessionId);
-  if (!client || !client.info)
-    return res.status(400).json({ error: "Session not ready yet" });
+    const client = await getOrRestoreClient(sessionId);
+    if (!client || !client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
-  try {
     console.log(`📨 Sending message to group ${groupId}...`);
     const msg = await client.sendMessage(groupId, text);
 
@@ -583,7 +577,7 @@ export const sendGroupMessage = async (req, res) => {
     console.log(`✅ Message sent to group ${groupId}`);
   } catch (err) {
     console.error("❌ Error sending group message:", err);
-    res.status(500).json({ error: "Failed to send group message" });
+    sendError(res, err, "Failed to send group message");
   }
 };
 
@@ -623,15 +617,12 @@ export const sendGroupMedia = async (req, res) => {
     const { sessionId, caption } = req.body;
     const { groupId } = req.params;
 
-    if (!sessionId || !groupId)
-      return res.status(400).json({ error: "sessionId and groupId required" });
-
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
     const file = req.file || (req.files && req.files[0]);
-    if (!file) return res.status(400).json({ error: "No media file uploaded" });
+    if (!file) return res.status(400).json({ error: "No media file uploaded", code: "VALIDATION_FAILED" });
 
     const filePath = path.resolve(file.path);
     const ext = path.extname(file.originalname).toLowerCase();
@@ -642,7 +633,7 @@ export const sendGroupMedia = async (req, res) => {
     const sizeMB = file.size / (1024 * 1024);
     if (sizeMB > 16) {
       safeUnlink(filePath);
-      return res.status(400).json({ error: "File too large (>16MB)" });
+      return res.status(413).json({ error: "File too large (>16MB)", code: "PAYLOAD_TOO_LARGE" });
     }
 
     // --- Video Conversion if needed ---
@@ -693,10 +684,7 @@ export const sendGroupMedia = async (req, res) => {
     console.log(`✅ Media sent to group ${groupId}`);
   } catch (err) {
     console.error("❌ Error sending media:", err);
-    res.status(500).json({
-      error: "Failed to send media",
-      details: err.message,
-    });
+    sendError(res, err, "Failed to send media");
   }
 };
 
@@ -708,15 +696,9 @@ export const getGroupIdByName = async (req, res) => {
   try {
     const { sessionId, groupName } = req.query;
 
-    if (!sessionId || !groupName) {
-      return res
-        .status(400)
-        .json({ error: "sessionId and groupName required" });
-    }
-
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info) {
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
     }
 
     console.log(`🔍 Searching for group: "${groupName}"`);
@@ -760,6 +742,7 @@ export const getGroupIdByName = async (req, res) => {
     if (!group) {
       return res.status(404).json({ 
         error: "Group not found",
+        code: "GROUP_NOT_FOUND",
         searchedFor: groupName,
         hint: "Use exact group name or check available groups with /api/wa/message/debug-groups"
       });
@@ -773,10 +756,7 @@ export const getGroupIdByName = async (req, res) => {
     });
   } catch (err) {
     console.error("❌ Error getting groupId:", err.message);
-    return res.status(500).json({ 
-      error: "Failed to get groupId",
-      details: err.message 
-    });
+    return sendError(res, err, "Failed to get groupId");
   }
 };
 
@@ -0,0 +1,88 @@
+// controllers/job.controller.js
+import jobModel from "../models/job.js";
+import { pauseJob, resumeJob, cancelJob, describeJob } from "../services/jobQueue.js";
+import { sendError } from "../middleware/errors.js";
+
+/* ---------------------------
+   Background batch jobs
+   Created by the /api/wa/message/send-batch* endpoints
+----------------------------*/
+
+// Regular keys only see the jobs of their own user
+const ownerFilter = (req) => (req.auth?.isAdmin ? {} : { userId: req.auth.userId });
+
+const findJob = (req) => jobModel.findOne({ jobId: req.params.jobId, ...ownerFilter(req) });
+
+const jobNotFound = (res, jobId) =>
+  res.status(404).json({ error: `Job not found: ${jobId}`, code: "JOB_NOT_FOUND" });
+
+/** ✅ GET /api/wa/jobs?status=&sessionId=&type=&page=&limit=
+ *  Newest first, progress only (no per-recipient results)
+ */
+export const listJobs = async (req, res) => {
+  try {
+    const { status, sessionId, type, page, limit } = req.query;
+    const filter = ownerFilter(req);
+    if (status) filter.status = { $in: status.split(",") };
+    if (sessionId) filter.sessionIds = sessionId;
+    if (type) filter.type = type;
+
+    const [total, jobs] = await Promise.all([
+      jobModel.countDocuments(filter),
+      jobModel
+        .find(filter, { payload: 0 })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      jobs: jobs.map((job) => describeJob(job)),
+    });
+  } catch (err) {
+    console.error("❌ Error listing jobs:", err.message);
+    return sendError(res, err, "Unable to list jobs");
+  }
+};
+
+/** ✅ GET /api/wa/jobs/:jobId?results=failed
+ *  Progress plus per-recipient results (optionally filtered by status)
+ */
+export const getJob = async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) return jobNotFound(res, req.params.jobId);
+
+    const described = describeJob(job, { withResults: true });
+    if (req.query.results) {
+      const wanted = req.query.results.split(",");
+      described.results = described.results.filter((r) => wanted.includes(r.status));
+    }
+    return res.json({ success: true, job: described });
+  } catch (err) {
+    console.error("❌ Error getting job:", err.message);
+    return sendError(res, err, "Unable to get job");
+  }
+};
+
+// POST /api/wa/jobs/:jobId/pause|resume|cancel
+const jobAction = (action, run) => async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) return jobNotFound(res, req.params.jobId);
+
+    const updated = await run(job.jobId);
+    return res.json({ success: true, job: describeJob(updated) });
+  } catch (err) {
+    console.error(`❌ Error trying to ${action} job:`, err.message);
+    return sendError(res, err, `Unable to ${action} job`);
+  }
+};
+
+export const pauseJobController = jobAction("pause", pauseJob);
+export const resumeJobController = jobAction("resume", resumeJob);
+export const cancelJobController = jobAction("cancel", cancelJob);
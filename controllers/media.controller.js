@@ -5,6 +5,8 @@ import pkg from "whatsapp-web.js";
 import axios from "axios";
 const { MessageMedia, Location } = pkg;
 import { getClient, getOrRestoreClient } from "../services/waManager.js";
+import { sendError } from "../middleware/errors.js";
+import { scheduleMessage, scheduledReply } from "../services/scheduler.js";
 
 // === Helper Functions ===
 
@@ -62,21 +64,20 @@ const resolveRecipient = async (client, recipient) => {
 
 // ======================= MEDIA (image/audio/doc) =======================
 export const sendMedia = async (req, res) => {
-  const { sessionId, to, mediaUrl, type, caption } = req.body;
+  const { sessionId, to, mediaUrl, type, caption, sendAt, timezone } = req.body;
   
   try {
-    if (!sessionId || !to)
-      return res.status(400).json({ error: "sessionId and to are required" });
+    if (sendAt) return await scheduleMedia(req, res);
 
     const client = await getOrRestoreClient(sessionId);
     if (!client.info) {
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
     }
 
     // Resolve recipient (supports group names, IDs, or phone numbers)
     const resolved = await resolveRecipient(client, to);
     if (!resolved.id) {
-      return res.status(400).json({ error: `Recipient not found: ${to}` });
+      return res.status(404).json({ error: `Recipient not found: ${to}`, code: "RECIPIENT_NOT_FOUND" });
     }
     const chatId = resolved.id;
 
@@ -94,7 +95,7 @@ export const sendMedia = async (req, res) => {
     else if (mediaUrl) {
       media = await MessageMedia.fromUrl(mediaUrl);
     } else {
-      return res.status(400).json({ error: "No media file or URL provided" });
+      return res.status(400).json({ error: "No media file or URL provided", code: "VALIDATION_FAILED" });
     }
 
     const sendOptions = { caption };
@@ -117,7 +118,54 @@ export const sendMedia = async (req, res) => {
     });
   } catch (err) {
     console.error(`❌ Error sending media via ${sessionId}:`, err.message);
-    return res.status(500).json({ error: "Failed to send media", details: err.message });
+    return sendError(res, err, "Failed to send media");
+  }
+};
+
+// Scheduled media: the upload (or mediaUrl, downloaded now) is kept until it is sent
+const scheduleMedia = async (req, res) => {
+  const { sessionId, to, mediaUrl, type, caption, sendAt, timezone } = req.body;
+  const media = [];
+
+  try {
+    if (req.file) {
+      media.push({
+        path: req.file.path,
+        mimeType: mime.lookup(req.file.originalname) || "application/octet-stream",
+        filename: req.file.originalname,
+      });
+    } else if (mediaUrl) {
+      const remote = await MessageMedia.fromUrl(mediaUrl);
+      const filePath = path.join("uploads", `${Date.now()}-remote`);
+      fs.writeFileSync(filePath, Buffer.from(remote.data, "base64"));
+      media.push({
+        path: filePath,
+        mimeType: remote.mimetype,
+        filename: remote.filename || path.basename(new URL(mediaUrl).pathname) || "media",
+      });
+    } else {
+      return res.status(400).json({ error: "No media file or URL provided", code: "VALIDATION_FAILED" });
+    }
+
+    // Same options as an immediate send
+    const sendOptions = { ptt: type === "audio" };
+    if (type === "document") sendOptions.sendMediaAsDocument = true;
+    if (type === "image") sendOptions.sendMediaAsDocument = false;
+
+    const job = await scheduleMessage(req.auth, {
+      sessionId,
+      to,
+      text: caption,
+      media,
+      sendOptions,
+      sendAt,
+      timezone,
+      source: "media/send",
+    });
+    return res.status(202).json(scheduledReply(job));
+  } catch (err) {
+    media.forEach((m) => safeUnlink(m.path));
+    throw err;
   }
 };
 
@@ -126,19 +174,16 @@ export const sendVideo = async (req, res) => {
   const { sessionId, to, mediaUrl, caption } = req.body;
   
   try {
-    if (!sessionId || !to)
-      return res.status(400).json({ error: "sessionId and to are required" });
-
     const client = await getOrRestoreClient(sessionId);
     
     if (!client.info) {
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
     }
 
     // Resolve recipient (supports group names, IDs, or phone numbers)
     const resolved = await resolveRecipient(client, to);
     if (!resolved.id) {
-      return res.status(400).json({ error: `Recipient not found: ${to}` });
+      return res.status(404).json({ error: `Recipient not found: ${to}`, code: "RECIPIENT_NOT_FOUND" });
     }
     const chatId = resolved.id;
 
@@ -153,7 +198,7 @@ export const sendVideo = async (req, res) => {
     } else if (mediaUrl) {
       media = await MessageMedia.fromUrl(mediaUrl, { unsafeMime: true });
     } else {
-      return res.status(400).json({ error: "No video provided" });
+      return res.status(400).json({ error: "No video provided", code: "VALIDATION_FAILED" });
     }
 
     const options = {
@@ -194,9 +239,7 @@ export const sendVideo = async (req, res) => {
       safeUnlink(path.resolve(req.file.path));
     }
     
-    return res.status(500).json({ 
-      error: "Failed to send video", 
-      details: err.message,
+    return sendError(res, err, "Failed to send video", {
       hint: "Make sure the session is fully connected and the recipient exists"
     });
   }
@@ -207,10 +250,13 @@ export const sendSticker = async (req, res) => {
   const { sessionId, to, stickerUrl } = req.body;
   
   try {
-    const chatId = resolveChatId(to);
-
     const client = await getOrRestoreClient(sessionId);
-    if (!client.info) return res.status(400).json({ error: "Session not ready yet" });
+    if (!client.info) return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
+    const { id: chatId } = await resolveRecipient(client, to);
+    if (!chatId) {
+      return res.status(404).json({ error: `Recipient not found: ${to}`, code: "RECIPIENT_NOT_FOUND" });
+    }
 
     const media = await MessageMedia.fromUrl(stickerUrl);
     const msg = await client.sendMessage(chatId, media, { sendMediaAsSticker: true });
@@ -218,7 +264,7 @@ export const sendSticker = async (req, res) => {
     return res.json({ success: true, chatId, sessionId, messageId: msg.id._serialized });
   } catch (err) {
     console.error(`❌ Error sending sticker via ${sessionId}:`, err.message);
-    return res.status(500).json({ error: "Failed to send sticker", details: err.message });
+    return sendError(res, err, "Failed to send sticker");
   }
 };
 
@@ -227,16 +273,19 @@ export const sendVcard = async (req, res) => {
   const { sessionId, to, vcard } = req.body;
   
   try {
-    const chatId = resolveChatId(to);
-
     const client = await getOrRestoreClient(sessionId);
-    if (!client.info) return res.status(400).json({ error: "Session not ready yet" });
+    if (!client.info) return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
+    const { id: chatId } = await resolveRecipient(client, to);
+    if (!chatId) {
+      return res.status(404).json({ error: `Recipient not found: ${to}`, code: "RECIPIENT_NOT_FOUND" });
+    }
 
     const msg = await client.sendMessage(chatId, vcard);
     return res.json({ success: true, chatId, sessionId, messageId: msg.id._serialized });
   } catch (err) {
     console.error(`❌ Error sending vcard via ${sessionId}:`, err.message);
-    return res.status(500).json({ error: "Failed to send vcard", details: err.message });
+    return sendError(res, err, "Failed to send vcard");
   }
 };
 
@@ -245,10 +294,13 @@ export const sendLocation = async (req, res) => {
   const { sessionId, to, latitude, longitude, address } = req.body;
   
   try {
-    const chatId = resolveChatId(to);
-
     const client = await getOrRestoreClient(sessionId);
-    if (!client.info) return res.status(400).json({ error: "Session not ready yet" });
+    if (!client.info) return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
+    const { id: chatId } = await resolveRecipient(client, to);
+    if (!chatId) {
+      return res.status(404).json({ error: `Recipient not found: ${to}`, code: "RECIPIENT_NOT_FOUND" });
+    }
 
     const location = new Location(latitude, longitude, address);
     const msg = await client.sendMessage(chatId, location);
@@ -256,7 +308,7 @@ export const sendLocation = async (req, res) => {
     return res.json({ success: true, chatId, sessionId, messageId: msg.id._serialized });
   } catch (err) {
     console.error(`❌ Error sending location via ${sessionId}:`, err.message);
-    return res.status(500).json({ error: "Failed to send location", details: err.message });
+    return sendError(res, err, "Failed to send location");
   }
 };
 
@@ -266,20 +318,17 @@ export const sendMultipleMedia = async (req, res) => {
   let chatId;
   
   try {
-    if (!sessionId || !to)
-      return res.status(400).json({ error: "sessionId and to are required" });
-
     const client = await getOrRestoreClient(sessionId);
-    
+    if (!client.info)
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+
     // Resolve recipient (supports group names, IDs, or phone numbers)
     const resolved = await resolveRecipient(client, to);
     chatId = resolved.id;
     
     if (!chatId) {
-      return res.status(400).json({ error: `Could not resolve recipient: ${to}` });
+      return res.status(404).json({ error: `Could not resolve recipient: ${to}`, code: "RECIPIENT_NOT_FOUND" });
     }
-    if (!client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
 
     const results = [];
 
@@ -303,7 +352,7 @@ export const sendMultipleMedia = async (req, res) => {
           results.push({ source: "file", file: file.originalname, type: mimeType, messageId: msg.id._serialized });
         } catch (err) {
           safeUnlink(filePath);
-          return res.status(500).json({ error: `Failed to send file ${file.originalname}`, details: err.message });
+          return sendError(res, err, `Failed to send file ${file.originalname}`);
         }
 
         safeUnlink(filePath);
@@ -314,9 +363,7 @@ export const sendMultipleMedia = async (req, res) => {
 
     // --- Remote URLs ---
     if (mediaUrls) {
-      let urls = Array.isArray(mediaUrls) ? mediaUrls : [mediaUrls];
-
-      for (const url of urls) {
+      for (const url of mediaUrls) {
         let media;
         try {
           const response = await axios.get(url, { responseType: "arraybuffer" });
@@ -327,7 +374,7 @@ export const sendMultipleMedia = async (req, res) => {
 
           media = new MessageMedia(mimeType, buffer.toString("base64"), filename);
         } catch (err) {
-          return res.status(400).json({ error: `Could not fetch URL ${url}`, details: err.message });
+          return res.status(400).json({ error: `Could not fetch URL ${url}`, code: "VALIDATION_FAILED", details: err.message });
         }
 
         const sendOptions = {};
@@ -342,15 +389,15 @@ export const sendMultipleMedia = async (req, res) => {
           const msg = await client.sendMessage(chatId, media, sendOptions);
           results.push({ source: "url", url, type: media.mimetype, messageId: msg.id._serialized });
         } catch (err) {
-          return res.status(500).json({ error: `Failed to send media from URL ${url}`, details: err.message });
+          return sendError(res, err, `Failed to send media from URL ${url}`);
         }
       }
 
       return res.json({ success: true, chatId, count: results.length, results });
     }
 
-    return res.status(400).json({ error: "No media files or URLs provided" });
+    return res.status(400).json({ error: "No media files or URLs provided", code: "VALIDATION_FAILED" });
   } catch (err) {
-    return res.status(500).json({ error: "Failed to send multiple media", details: err.message });
+    return sendError(res, err, "Failed to send multiple media");
   }
 };
\ No newline at end of file
@@ -6,25 +6,34 @@ import fs from "fs";
 import path from "path";
 import mime from "mime-types";
 import xlsx from "xlsx";
+import { apiError, sendError } from "../middleware/errors.js";
+import messageModel from "../models/message.js";
+import { describeMessage } from "../services/messageStore.js";
+import { createJob, loadJobMedia, registerJobHandler } from "../services/jobQueue.js";
+import { SCHEDULED_MESSAGE_JOB, scheduleMessage, scheduledReply } from "../services/scheduler.js";
+import { RECURRING_MESSAGE_JOB } from "../services/recurringScheduler.js";
+import sessionModel from "../models/session.js";
 
 /**
  * ✅ POST /wa/message/send
- * Send a simple text message
+ * Send a simple text message (202 + scheduleId when sendAt is given)
  */
 
 export const sendMessage = async (req, res) => {
-  const { sessionId, to, text } = req.body;
-
-  if (!sessionId || !to || !text)
-    return res.status(400).json({ error: "sessionId, to, and text required" });
+  const { sessionId, to, text, sendAt, timezone } = req.body;
 
   try {
+    if (sendAt) {
+      const job = await scheduleMessage(req.auth, { sessionId, to, text, sendAt, timezone, source: "message/send" });
+      return res.status(202).json(scheduledReply(job));
+    }
+
     // Get or restore the client automatically
     const client = await getOrRestoreClient(sessionId);
     
     // Verify client is ready
     if (!client.info) {
-      return res.status(400).json({ error: "Session not ready yet. Please wait for connection." });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
     }
 
     // Resolve recipient (supports group names, IDs, or phone numbers)
@@ -32,7 +41,7 @@ export const sendMessage = async (req, res) => {
     const chatId = resolved.id;
     
     if (!chatId) {
-      return res.status(400).json({ error: `Could not resolve recipient: ${to}` });
+      return res.status(404).json({ error: `Could not resolve recipient: ${to}`, code: "RECIPIENT_NOT_FOUND" });
     }
 
     const msg = await client.sendMessage(chatId, text);
@@ -46,30 +55,194 @@ export const sendMessage = async (req, res) => {
     });
   } catch (err) {
     console.error(`❌ Error sending message via ${sessionId}:`, err.message);
-    return res.status(500).json({ 
-      error: "Failed to send message",
-      details: err.message 
-    });
+    return sendError(res, err, "Failed to send message");
   }
 };
 
-/**
- * ✅ POST /wa/message/send-batch
- * Send message to multiple recipients
- */
-const delay = (ms) => new Promise((r) => setTimeout(r, ms));
-
-const randomDelay = (min, max) =>
-  Math.floor(Math.random() * (max - min + 1)) + min;
-
-const fileToBase64 = (filePath) => fs.readFileSync(filePath).toString("base64");
-
 const safeUnlink = (filePath) => {
   try {
     fs.unlinkSync(filePath);
   } catch {}
 };
 
+/* ---------------------------
+   Batch sends run as background jobs (services/jobQueue.js):
+   the endpoints build the recipient list and answer 202 with
+   a jobId, sendJobItem below delivers to one recipient
+----------------------------*/
+const BATCH_JOB_TYPES = ["send-batch", "send-batch-excel", "send-batch-to-group", "send-batch-to-multiple-groups"];
+
+// Uploaded files -> job media ({ path, mimeType, filename })
+const toJobMedia = (files = []) =>
+  files.map((file) => ({
+    path: file.path,
+    mimeType: mime.lookup(file.originalname) || "application/octet-stream",
+    filename: file.originalname,
+  }));
+
+// Jobs belong to the session owner (admin keys act for any user)
+const jobUserId = async (req, sessionId) => {
+  if (!req.auth?.isAdmin) return req.auth.userId;
+  const session = await sessionModel.findOne({ sessionId }, { userId: 1 });
+  return session?.userId || null;
+};
+
+const enqueueBatchJob = async (req, type, { sessionIds, text, media, delayMin, delayMax, items, meta }) =>
+  createJob({
+    type,
+    userId: await jobUserId(req, sessionIds[0]),
+    createdBy: req.auth?.keyId,
+    sessionIds,
+    payload: { text, media, delayMin, delayMax },
+    items,
+    meta,
+  });
+
+const jobAccepted = (res, job, extra = {}) =>
+  res.status(202).json({
+    success: true,
+    jobId: job.jobId,
+    status: job.status,
+    total: job.items.length,
+    ...extra,
+    statusUrl: `/api/wa/jobs/${job.jobId}`,
+  });
+
+// One job item: the job's text / media to one recipient through one session
+const sendJobItem = async (job, item, context) => {
+  const client = await getOrRestoreClient(item.sessionId);
+  if (!client.info) {
+    return { status: "failed", error: "Session not ready yet", code: "SESSION_NOT_READY" };
+  }
+
+  // Chat id recorded when the job was created, else resolved now (group names)
+  const resolved = item.chatId ? { id: item.chatId, name: null } : await resolveRecipient(client, item.to);
+  if (!resolved.id) {
+    return { status: "failed", error: `Recipient not found: ${item.to}`, code: "RECIPIENT_NOT_FOUND" };
+  }
+
+  // Files are read once per run, each recipient gets a NEW MessageMedia
+  context.media ??= await loadJobMedia(job);
+  const text = job.payload.text?.trim();
+  const { ptt, sendMediaAsDocument } = job.payload.sendOptions || {};
+  const messages = [];
+
+  try {
+    if (!context.media.length) {
+      const msg = await client.sendMessage(resolved.id, text);
+      messages.push({ messageId: msg.id._serialized, type: "text" });
+    }
+    for (const [i, mediaData] of context.media.entries()) {
+      const media = new MessageMedia(mediaData.mimeType, mediaData.base64, mediaData.filename);
+      const options = i === 0 && text ? { caption: text } : {};
+      if (ptt) options.ptt = true;
+      if (sendMediaAsDocument !== undefined) options.sendMediaAsDocument = sendMediaAsDocument;
+      const msg = await client.sendMessage(resolved.id, media, options);
+      messages.push({ messageId: msg.id._serialized, type: mediaData.mimeType, filename: mediaData.filename });
+    }
+  } catch (err) {
+    // Keep what already went out (e.g. the first of several files)
+    return { status: "failed", chatId: resolved.id, messages, error: err.message, code: err.code };
+  }
+
+  return { status: "sent", chatId: resolved.id, groupName: resolved.name || undefined, messages };
+};
+
+/* ---------------------------
+   After a restart: the process died while sending to this
+   recipient. Look for what already went out (message store
+   first, then the chat itself) so nobody gets it twice.
+   Returns null when nothing was sent.
+----------------------------*/
+const baseMimeType = (mimeType) => (mimeType || "").split(";")[0].trim().toLowerCase();
+
+// Media jobs match only their own files (mimetype, and filename when WhatsApp kept it),
+// text-only jobs only a text message with the same body
+const matchesJobMessage = (job) => {
+  const text = job.payload.text?.trim() || "";
+  const media = job.payload.media || [];
+
+  return ({ type, body, hasMedia, mimetype, filename }) => {
+    if (!media.length) return !hasMedia && type === "chat" && (body || "").trim() === text;
+    return (
+      !!hasMedia &&
+      media.some((m) => baseMimeType(m.mimeType) === baseMimeType(mimetype) && (!filename || filename === m.filename))
+    );
+  };
+};
+
+const recoverJobItem = async (job, item) => {
+  const client = await getOrRestoreClient(item.sessionId);
+  if (!client.info) {
+    return { status: "failed", error: "Session not ready yet", code: "SESSION_NOT_READY" };
+  }
+
+  // The chat the job was sending to; group names resolve the same way as when sending
+  const resolved = item.chatId ? { id: item.chatId, name: null } : await resolveRecipient(client, item.to);
+  if (!resolved.id) return null;
+
+  const matches = matchesJobMessage(job);
+  const expected = job.payload.media?.length || 1;
+  // WhatsApp timestamps are in seconds
+  const since = new Date(item.startedAt.getTime() - 5000);
+
+  // Stored and live messages in one shape: { messageId, type, body, hasMedia, mimetype, filename }
+  const stored = await messageModel
+    .find({ sessionId: item.sessionId, chatId: resolved.id, direction: "outbound", timestamp: { $gte: since } })
+    .sort({ timestamp: 1 });
+  let found = stored
+    .map((doc) => ({
+      messageId: doc.messageId,
+      type: doc.type,
+      body: doc.body,
+      hasMedia: doc.hasMedia,
+      mimetype: doc.media?.mimetype,
+      filename: doc.media?.filename,
+    }))
+    .filter(matches);
+
+  // The store may have missed it (the process died right after sending)
+  if (!found.length) {
+    const chat = await client.getChatById(resolved.id);
+    const recent = await chat.fetchMessages({ limit: 20, fromMe: true });
+    found = recent
+      .filter((msg) => msg.fromMe && msg.timestamp * 1000 >= since.getTime())
+      .map((msg) => ({
+        messageId: msg.id._serialized,
+        type: msg.type,
+        body: msg.body,
+        hasMedia: msg.hasMedia,
+        mimetype: msg._data?.mimetype,
+        filename: msg._data?.filename,
+      }))
+      .filter(matches);
+  }
+
+  const messages = found.map(({ messageId, hasMedia, mimetype, filename }) => ({
+    messageId,
+    type: hasMedia ? mimetype : "text",
+    filename,
+  }));
+
+  if (!messages.length) return null;
+  if (messages.length < expected) {
+    // Some of the files went out; sending again would repeat them
+    return {
+      status: "failed",
+      chatId: resolved.id,
+      messages,
+      error: `Interrupted after ${messages.length} of ${expected} message(s)`,
+      code: "PARTIALLY_SENT",
+    };
+  }
+  return { status: "sent", chatId: resolved.id, groupName: resolved.name || undefined, messages: messages.slice(0, expected) };
+};
+
+for (const type of BATCH_JOB_TYPES) registerJobHandler(type, { send: sendJobItem, recover: recoverJobItem });
+// Scheduled messages and recurring runs go out the same way (group names resolve as above)
+registerJobHandler(SCHEDULED_MESSAGE_JOB, { send: sendJobItem, recover: recoverJobItem });
+registerJobHandler(RECURRING_MESSAGE_JOB, { send: sendJobItem, recover: recoverJobItem });
+
 // Helper to format recipient IDs
 const formatRecipientId = (id) => {
   // If already formatted, return as is
@@ -88,23 +261,28 @@ const formatRecipientId = (id) => {
   return `${cleanNumber}@c.us`;
 };
 
-// Helper to resolve group name to ID
-const resolveRecipient = async (client, recipient) => {
-  // If already formatted with @, return as is
-  if (recipient.includes('@g.us') || recipient.includes('@c.us')) {
-    return { id: recipient, name: null };
-  }
-  
+// Serialized WhatsApp ids (contacts, groups, @lid participants...) are sent to as is
+const SERIALIZED_ID = /@(c\.us|g\.us|lid|s\.whatsapp\.net|broadcast|newsletter)$/;
+
+// Chat id of a recipient that needs no lookup; null for group names
+const chatIdFor = (recipient) => {
+  if (SERIALIZED_ID.test(recipient)) return recipient;
+
   // If it looks like a group ID format (contains dash), format and return
-  if (recipient.includes('-')) {
-    return { id: `${recipient}@g.us`, name: null };
-  }
-  
+  if (recipient.includes('-')) return `${recipient}@g.us`;
+
   // Check if it's a phone number (only digits after cleaning)
   const cleanNumber = recipient.replace(/\D/g, '');
   if (cleanNumber.length >= 10 && cleanNumber === recipient.replace(/[\s\-\+]/g, '')) {
-    return { id: `${cleanNumber}@c.us`, name: null };
+    return `${cleanNumber}@c.us`;
   }
+  return null;
+};
+
+// Helper to resolve group name to ID
+const resolveRecipient = async (client, recipient) => {
+  const chatId = chatIdFor(recipient);
+  if (chatId) return { id: chatId, name: null };
   
   // Otherwise, treat it as a group name and search for it
   try {
@@ -143,211 +321,49 @@ const resolveRecipient = async (client, recipient) => {
   }
 };
 
+/**
+ * ✅ POST /wa/message/send-batch
+ * Queue a message to multiple recipients (202 + jobId, see /api/wa/jobs)
+ */
 export const sendBatchMessage = async (req, res) => {
+  // Uploads first, remote media is added below; all of it is removed on failure
+  const media = toJobMedia(req.files);
+
   try {
-    let {
-      sessionIds,
-      to,
-      text,
-      mediaUrls,
-      delayMin = 15000,
-      delayMax = 20000,
-    } = req.body;
-
-    if (typeof sessionIds === "string") sessionIds = JSON.parse(sessionIds);
-    if (typeof to === "string") to = JSON.parse(to);
-    if (typeof mediaUrls === "string") mediaUrls = JSON.parse(mediaUrls);
-
-    if (!sessionIds?.length)
-      return res.status(400).json({ error: "sessionIds (array) required" });
-    if (!to?.length)
-      return res.status(400).json({ error: "to (array) required" });
-    
-    // Text is optional if media files are present
-    const hasMediaFiles = (req.files?.length > 0) || (mediaUrls?.length > 0);
-    if (!text?.trim() && !hasMediaFiles)
-      return res.status(400).json({ error: "text or media files required" });
-
-    const results = [];
-    const uploadedFiles = [];
-
-    // Handle local media uploads - store file data (not MessageMedia objects)
-    const localMediaData = [];
-    if (req.files?.length > 0) {
-      for (const file of req.files) {
-        const filePath = path.resolve(file.path);
-        const mimeType = mime.lookup(file.originalname) || "application/octet-stream";
-        const base64 = fileToBase64(filePath);
-        
-        localMediaData.push({
-          mimeType,
-          base64,
-          filename: file.originalname
-        });
-        uploadedFiles.push(filePath);
-      }
-      console.log(`📎 ${localMediaData.length} media file(s) attached`);
-    }
+    // Lists and delays arrive parsed (schemas/message.schema.js)
+    const { sessionIds, to, text, mediaUrls, delayMin, delayMax } = req.body;
 
-    // Remote media URLs
-    const remoteMediaList = [];
-    if (mediaUrls?.length) {
-      for (const url of mediaUrls) {
-        const media = await MessageMedia.fromUrl(url, { unsafeMime: true });
-        remoteMediaList.push(media);
-      }
+    // Text is optional if media files are present
+    if (!text?.trim() && !media.length && !mediaUrls?.length) {
+      return res.status(400).json({ error: "text or media files required", code: "VALIDATION_FAILED" });
     }
 
-    const hasMedia = localMediaData.length > 0 || remoteMediaList.length > 0;
-
-    console.log(`🚀 Batch sending to ${to.length} recipient(s) via ${sessionIds.length} session(s) with 15-20s delay between each message`);
-
-    // Prepare all clients first
-    const clientMap = new Map();
-    for (const sessionId of sessionIds) {
-      try {
-        const client = await getOrRestoreClient(sessionId);
-        if (!client.info) {
-          console.error(`❌ ${sessionId}: Client not ready yet`);
-          results.push({ sessionId, error: "Client not ready yet" });
-          continue;
-        }
-        clientMap.set(sessionId, client);
-      } catch (err) {
-        console.error(`❌ ${sessionId}: ${err.message}`);
-        results.push({ sessionId, error: err.message });
-      }
+    // Remote media is downloaded now so the job no longer depends on the URL
+    for (const [i, url] of (mediaUrls || []).entries()) {
+      const remote = await MessageMedia.fromUrl(url, { unsafeMime: true });
+      const filePath = path.join("uploads", `${Date.now()}-remote-${i}`);
+      fs.writeFileSync(filePath, Buffer.from(remote.data, "base64"));
+      media.push({
+        path: filePath,
+        mimeType: remote.mimetype,
+        filename: remote.filename || path.basename(new URL(url).pathname) || `media-${i}`,
+      });
     }
+    if (media.length) console.log(`📎 ${media.length} media file(s) attached`);
 
     // Round-robin: alternate between sessions for each recipient
     // Example: Session1→Group1, Session2→Group1, Session1→Group2, Session2→Group2...
-    let messageCount = 0;
-    for (const recipient of to) {
-      for (const sessionId of sessionIds) {
-        const client = clientMap.get(sessionId);
-        if (!client) {
-          console.error(`❌ Skipping ${sessionId} - client not available`);
-          continue;
-        }
-
-        try {
-          // Resolve recipient (supports group names, IDs, or phone numbers)
-          const resolved = await resolveRecipient(client, recipient);
-          
-          if (!resolved.id) {
-            console.error(`❌ Recipient not found: "${recipient}" via ${sessionId}`);
-            results.push({
-              sessionId,
-              to: recipient,
-              status: "failed",
-              error: `Recipient not found: ${recipient}`,
-            });
-            continue;
-          }
-          
-          const recipientId = resolved.id;
-          const groupName = resolved.name || recipient;
-
-          if (!hasMedia) {
-            // Send text-only message (if text is provided)
-            if (text?.trim()) {
-              const msg = await client.sendMessage(recipientId, text);
-              messageCount++;
-              console.log(`✅ [${messageCount}] Sent text to "${groupName}" via ${sessionId}`);
-              results.push({
-                sessionId,
-                to: recipientId,
-                originalRecipient: recipient,
-                groupName,
-                type: "text",
-                status: "sent",
-                messageId: msg.id._serialized,
-              });
-            }
-          } else {
-            // Send local media files (create NEW MessageMedia for each recipient)
-            for (let i = 0; i < localMediaData.length; i++) {
-              const mediaData = localMediaData[i];
-              // Create a NEW MessageMedia object for this recipient
-              const media = new MessageMedia(
-                mediaData.mimeType,
-                mediaData.base64,
-                mediaData.filename
-              );
-              
-              const options = {};
-              if (i === 0 && text?.trim()) options.caption = text;
-
-              const msg = await client.sendMessage(recipientId, media, options);
-              messageCount++;
-              console.log(`✅ [${messageCount}] Sent ${mediaData.filename} to "${groupName}" via ${sessionId}`);
-              results.push({
-                sessionId,
-                to: recipientId,
-                originalRecipient: recipient,
-                groupName,
-                type: mediaData.mimeType,
-                filename: mediaData.filename,
-                status: "sent",
-                messageId: msg.id._serialized,
-              });
-            }
-            
-            // Send remote media URLs
-            for (let i = 0; i < remoteMediaList.length; i++) {
-              const media = remoteMediaList[i];
-              const options = {};
-              if (localMediaData.length === 0 && i === 0 && text?.trim()) {
-                options.caption = text;
-              }
-
-              const msg = await client.sendMessage(recipientId, media, options);
-              messageCount++;
-              console.log(`✅ [${messageCount}] Sent remote media to "${groupName}" via ${sessionId}`);
-              results.push({
-                sessionId,
-                to: recipientId,
-                originalRecipient: recipient,
-                groupName,
-                type: media.mimetype,
-                status: "sent",
-                messageId: msg.id._serialized,
-              });
-            }
-          }
-
-          // Add delay between every message globally (across all sessions)
-          const wait = randomDelay(delayMin, delayMax);
-          console.log(`⏱️ Waiting ${(wait / 1000).toFixed(1)}s before next message...`);
-          await delay(wait);
-        } catch (err) {
-          console.error(
-            `❌ Failed to send to "${recipient}" via ${sessionId}:`,
-            err.message
-          );
-          results.push({
-            sessionId,
-            to: recipient,
-            status: "failed",
-            error: err.message,
-          });
-        }
-      }
-    }
-
-    for (const filePath of uploadedFiles) safeUnlink(filePath);
+    const items = to.flatMap((recipient) =>
+      sessionIds.map((sessionId) => ({ sessionId, to: recipient, chatId: chatIdFor(recipient) || undefined }))
+    );
 
-    return res.json({
-      success: true,
-      total: results.length,
-      results,
-    });
+    const job = await enqueueBatchJob(req, "send-batch", { sessionIds, text, media, delayMin, delayMax, items });
+    console.log(`🚀 Batch job ${job.jobId}: ${to.length} recipient(s) via ${sessionIds.length} session(s), ${delayMin}-${delayMax}ms apart`);
+    return jobAccepted(res, job);
   } catch (err) {
+    media.forEach((m) => safeUnlink(m.path));
     console.error("❌ Controller error:", err);
-    return res.status(500).json({
-      error: "Failed to send batch messages",
-      details: err.message,
-    });
+    return sendError(res, err, "Failed to queue batch messages");
   }
 };
 
@@ -358,16 +374,11 @@ export const sendBatchMessage = async (req, res) => {
 export const replyMessage = async (req, res) => {
   const { sessionId, to, text, replyTo } = req.body;
 
-  if (!sessionId || !to || !text || !replyTo)
-    return res
-      .status(400)
-      .json({ error: "sessionId, to, text, and replyTo required" });
-
   try {
     const client = await getOrRestoreClient(sessionId);
     
     if (!client.info) {
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
     }
 
     // Resolve recipient (supports group names, IDs, or phone numbers)
@@ -375,7 +386,7 @@ export const replyMessage = async (req, res) => {
     const chatId = resolved.id;
     
     if (!chatId) {
-      return res.status(400).json({ error: `Could not resolve recipient: ${to}` });
+      return res.status(404).json({ error: `Could not resolve recipient: ${to}`, code: "RECIPIENT_NOT_FOUND" });
     }
 
     const chat = await client.getChatById(chatId);
@@ -383,7 +394,7 @@ export const replyMessage = async (req, res) => {
     const msgToReply = quotedMsg.find((m) => m.id._serialized === replyTo);
 
     if (!msgToReply)
-      return res.status(404).json({ error: "Message to reply not found" });
+      return res.status(404).json({ error: "Message to reply not found", code: "MESSAGE_NOT_FOUND" });
 
     const sentMsg = await msgToReply.reply(text);
     return res.json({ 
@@ -395,10 +406,7 @@ export const replyMessage = async (req, res) => {
     });
   } catch (err) {
     console.error(`❌ Error replying to message via ${sessionId}:`, err.message);
-    return res.status(500).json({ 
-      error: "Failed to reply to message",
-      details: err.message 
-    });
+    return sendError(res, err, "Failed to reply to message");
   }
 };
 
@@ -409,19 +417,17 @@ export const replyMessage = async (req, res) => {
 export const reactToMessage = async (req, res) => {
   const { sessionId, messageId, reaction } = req.body;
 
-  if (!sessionId || !messageId || !reaction)
-    return res
-      .status(400)
-      .json({ error: "sessionId, messageId, and reaction required" });
-
   try {
     const client = await getOrRestoreClient(sessionId);
     
     if (!client.info) {
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
     }
 
     const msg = await client.getMessageById(messageId);
+    if (!msg) {
+      return res.status(404).json({ error: `Message not found: ${messageId}`, code: "MESSAGE_NOT_FOUND" });
+    }
     await msg.react(reaction);
 
     return res.json({ 
@@ -431,10 +437,70 @@ export const reactToMessage = async (req, res) => {
     });
   } catch (err) {
     console.error(`❌ Error reacting to message via ${sessionId}:`, err.message);
-    return res.status(500).json({ 
-      error: "Failed to react to message",
-      details: err.message 
+    return sendError(res, err, "Failed to react to message");
+  }
+};
+
+/**
+ * ✅ GET /wa/message/:messageId?sessionId=
+ * Stored copy of a sent or received message, with its delivery status
+ */
+export const getStoredMessage = async (req, res) => {
+  const { messageId } = req.params;
+  const { sessionId } = req.query;
+
+  try {
+    const message = await messageModel.findOne({ sessionId, messageId });
+    if (!message) {
+      return res.status(404).json({ error: `Message not found: ${messageId}`, code: "MESSAGE_NOT_FOUND" });
+    }
+    return res.json({ success: true, message: describeMessage(message) });
+  } catch (err) {
+    console.error(`❌ Error reading stored message ${messageId}:`, err.message);
+    return sendError(res, err, "Failed to get message");
+  }
+};
+
+/**
+ * ✅ GET /wa/message/chat/:chatId?sessionId=&page=&limit=&direction=&status=&from=&to=
+ * Stored messages of one chat, newest first (no round trip to WhatsApp)
+ */
+export const getChatMessages = async (req, res) => {
+  const { chatId } = req.params;
+  const { sessionId, direction, status, from, to, page, limit } = req.query;
+
+  try {
+    const filter = { sessionId, chatId };
+    if (direction) filter.direction = direction;
+    if (status) filter.status = { $in: status.split(",") };
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lte = to;
+    }
+
+    const [total, messages] = await Promise.all([
+      messageModel.countDocuments(filter),
+      messageModel
+        .find(filter)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.json({
+      success: true,
+      sessionId,
+      chatId,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      messages: messages.map(describeMessage),
     });
+  } catch (err) {
+    console.error(`❌ Error listing stored messages of ${chatId}:`, err.message);
+    return sendError(res, err, "Failed to list messages");
   }
 };
 
@@ -442,13 +508,12 @@ export const reactToMessage = async (req, res) => {
 
 export const debugGroups = async (req, res) => {
   const { sessionId, search } = req.query;
-  if (!sessionId) return res.status(400).json({ error: "sessionId required" });
 
   try {
     const client = await getOrRestoreClient(sessionId);
     
     if (!client.info) {
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
     }
 
     const chats = await client.getChats();
@@ -481,757 +546,323 @@ export const debugGroups = async (req, res) => {
     });
   } catch (err) {
     console.error(`❌ Debug groups failed for ${sessionId}:`, err.message);
-    return res.status(500).json({ 
-      error: "Failed to get groups",
-      details: err.message 
-    });
+    return sendError(res, err, "Failed to get groups");
   }
 };
 
 /**
  * ✅ POST /wa/message/send-batch-excel
- * Send batch messages from Excel file upload with optional media
+ * Queue a batch from an Excel file upload with optional media
  */
 export const sendBatchFromExcel = async (req, res) => {
+  const excelFile = req.files?.excel?.[0];
+  const mediaFile = req.files?.media?.[0];
+  const cleanup = () => [excelFile, mediaFile].forEach((file) => file && safeUnlink(file.path));
+
   try {
-    let {
-      sessionIds,
-      text,
-      delayMin = 15000,
-      delayMax = 20000,
-    } = req.body;
+    const { sessionIds, text, delayMin, delayMax } = req.body;
 
-    // Parse sessionIds if string
-    if (typeof sessionIds === "string") {
-      try {
-        sessionIds = JSON.parse(sessionIds);
-      } catch {
-        sessionIds = [sessionIds];
-      }
+    if (!excelFile) {
+      cleanup();
+      return res.status(400).json({ error: "Excel file required", code: "VALIDATION_FAILED" });
     }
 
-    // Validation
-    if (!sessionIds?.length) {
-      return res.status(400).json({ error: "sessionIds (array) required" });
-    }
-    if (!req.files?.excel?.[0]) {
-      return res.status(400).json({ error: "Excel file required" });
-    }
-    
     // Text is optional if media file is present
-    const hasMedia = req.files?.media?.[0];
-    if (!text?.trim() && !hasMedia) {
-      return res.status(400).json({ error: "text or media file required" });
+    if (!text?.trim() && !mediaFile) {
+      cleanup();
+      return res.status(400).json({ error: "text or media file required", code: "VALIDATION_FAILED" });
     }
 
-    const excelFile = req.files.excel[0];
-    const mediaFile = req.files?.media?.[0];
-    const uploadedFiles = [excelFile.path];
-
-    try {
-      // Parse Excel file
-      console.log(`📊 Parsing Excel file: ${excelFile.originalname}`);
-      const workbook = xlsx.readFile(excelFile.path);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const data = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
-
-      // Extract phone numbers from Excel
-      const contacts = [];
-      const headers = data[0] || [];
-      
-      // Find phone column index (look for "Phone", "Number", or use column A)
-      let phoneColIndex = 0;
-      let nameColIndex = 1;
-      
-      if (Array.isArray(headers) && headers.length > 0) {
-        const phoneCol = headers.findIndex(h => 
-          h && typeof h === 'string' && 
-          (h.toLowerCase().includes('phone') || h.toLowerCase().includes('number'))
-        );
-        const nameCol = headers.findIndex(h => 
-          h && typeof h === 'string' && h.toLowerCase().includes('name')
-        );
-        
-        if (phoneCol !== -1) phoneColIndex = phoneCol;
-        if (nameCol !== -1) nameColIndex = nameCol;
-      }
-
-      // Extract contacts (skip header row)
-      for (let i = 1; i < data.length; i++) {
-        const row = data[i];
-        if (!row || !Array.isArray(row)) continue;
-        
-        const phone = row[phoneColIndex];
-        const name = row[nameColIndex];
-        
-        if (phone) {
-          // Clean phone number (remove spaces, dashes, but keep + for country code)
-          const cleanedPhone = String(phone).replace(/[\s\-]/g, '');
-          if (cleanedPhone && cleanedPhone.length >= 10) {
-            contacts.push({
-              phone: cleanedPhone,
-              name: name || cleanedPhone
-            });
-          }
-        }
-      }
-
-      if (contacts.length === 0) {
-        // Clean up uploaded files
-        safeUnlink(excelFile.path);
-        if (mediaFile) safeUnlink(mediaFile.path);
-        return res.status(400).json({ 
-          error: "No valid phone numbers found in Excel file",
-          hint: "Ensure phone numbers are in column A or in a column named 'Phone'"
-        });
-      }
-
-      console.log(`✅ Found ${contacts.length} contacts in Excel`);
-
-      // Process media file if uploaded
-      let media = null;
-      if (mediaFile) {
-        uploadedFiles.push(mediaFile.path);
-        const filePath = path.resolve(mediaFile.path);
-        const mimeType = mime.lookup(mediaFile.originalname) || "application/octet-stream";
-        const base64 = fileToBase64(filePath);
-        media = new MessageMedia(mimeType, base64, mediaFile.originalname);
-        console.log(`📎 Media attached: ${mediaFile.originalname}`);
-      }
-
-      const results = [];
-
-      // Prepare all clients first
-      const clientMap = new Map();
-      for (const sessionId of sessionIds) {
-        try {
-          const client = await getOrRestoreClient(sessionId);
-          if (!client.info) {
-            console.error(`❌ ${sessionId}: Client not ready yet`);
-            results.push({ sessionId, error: "Client not ready yet" });
-            continue;
-          }
-          clientMap.set(sessionId, client);
-        } catch (err) {
-          console.error(`❌ ${sessionId}: ${err.message}`);
-          results.push({ sessionId, error: err.message });
-        }
-      }
-
-      console.log(`🚀 Sending to ${contacts.length} contacts via ${sessionIds.length} session(s)`);
+    // Parse Excel file
+    console.log(`📊 Parsing Excel file: ${excelFile.originalname}`);
+    const workbook = xlsx.readFile(excelFile.path);
+    const sheetName = workbook.SheetNames[0];
+    const worksheet = workbook.Sheets[sheetName];
+    const data = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
+    safeUnlink(excelFile.path);
+
+    // Extract phone numbers from Excel
+    const contacts = [];
+    const headers = data[0] || [];
+
+    // Find phone column index (look for "Phone", "Number", or use column A)
+    let phoneColIndex = 0;
+    let nameColIndex = 1;
+
+    if (Array.isArray(headers) && headers.length > 0) {
+      const phoneCol = headers.findIndex(h =>
+        h && typeof h === 'string' &&
+        (h.toLowerCase().includes('phone') || h.toLowerCase().includes('number'))
+      );
+      const nameCol = headers.findIndex(h =>
+        h && typeof h === 'string' && h.toLowerCase().includes('name')
+      );
 
-      // Send messages to all contacts
-      let messageCount = 0;
-      for (const contact of contacts) {
-        for (const sessionId of sessionIds) {
-          const client = clientMap.get(sessionId);
-          if (!client) {
-            console.error(`❌ Skipping ${sessionId} - client not available`);
-            continue;
-          }
+      if (phoneCol !== -1) phoneColIndex = phoneCol;
+      if (nameCol !== -1) nameColIndex = nameCol;
+    }
 
-          try {
-            // Resolve recipient
-            const resolved = await resolveRecipient(client, contact.phone);
-            
-            if (!resolved.id) {
-              console.error(`❌ Could not resolve: ${contact.name} (${contact.phone})`);
-              results.push({
-                status: "failed",
-                sessionId,
-                to: contact.phone,
-                originalRecipient: contact.name,
-                error: `Could not resolve recipient: ${contact.phone}`
-              });
-              continue;
-            }
-
-            // Send message (with or without media)
-            let msg;
-            if (media) {
-              msg = await client.sendMessage(resolved.id, media, { caption: text.trim() });
-            } else {
-              msg = await client.sendMessage(resolved.id, text.trim());
-            }
-
-            console.log(`✅ ${sessionId} → ${contact.name} (${resolved.id})`);
-            
-            results.push({
-              status: "sent",
-              sessionId,
-              to: resolved.id,
-              originalRecipient: contact.name,
-              groupName: resolved.name,
-              messageId: msg.id._serialized
-            });
-
-            messageCount++;
-
-            // Apply delay between messages (except for last message)
-            if (messageCount < contacts.length * sessionIds.length) {
-              const delayTime = randomDelay(delayMin, delayMax);
-              console.log(`⏳ Waiting ${delayTime}ms...`);
-              await delay(delayTime);
-            }
-
-          } catch (err) {
-            console.error(`❌ ${sessionId} → ${contact.name}: ${err.message}`);
-            results.push({
-              status: "failed",
-              sessionId,
-              to: contact.phone,
-              originalRecipient: contact.name,
-              error: err.message
-            });
-          }
+    // Extract contacts (skip header row)
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (!row || !Array.isArray(row)) continue;
+
+      const phone = row[phoneColIndex];
+      const name = row[nameColIndex];
+
+      if (phone) {
+        // Clean phone number (remove spaces, dashes, but keep + for country code)
+        const cleanedPhone = String(phone).replace(/[\s\-]/g, '');
+        if (cleanedPhone && cleanedPhone.length >= 10) {
+          contacts.push({
+            phone: cleanedPhone,
+            name: name ? String(name) : cleanedPhone
+          });
         }
       }
+    }
 
-      // Clean up uploaded files
-      uploadedFiles.forEach(safeUnlink);
-
-      const successCount = results.filter(r => r.status === "sent").length;
-      const failCount = results.filter(r => r.status === "failed").length;
-
-      console.log(`✅ Batch complete: ${successCount} sent, ${failCount} failed`);
-
-      return res.json({
-        success: true,
-        total: results.length,
-        sent: successCount,
-        failed: failCount,
-        contacts: contacts.length,
-        results
-      });
-
-    } catch (parseError) {
-      // Clean up uploaded files on error
-      uploadedFiles.forEach(safeUnlink);
-      
-      console.error(`❌ Error processing Excel:`, parseError.message);
-      return res.status(500).json({
-        error: "Failed to process Excel file",
-        details: parseError.message
+    if (contacts.length === 0) {
+      cleanup();
+      return res.status(400).json({
+        error: "No valid phone numbers found in Excel file",
+        code: "VALIDATION_FAILED",
+        hint: "Ensure phone numbers are in column A or in a column named 'Phone'"
       });
     }
 
+    console.log(`✅ Found ${contacts.length} contacts in Excel`);
+
+    const items = contacts.flatMap((contact) =>
+      sessionIds.map((sessionId) => ({
+        sessionId,
+        to: contact.phone,
+        chatId: chatIdFor(contact.phone) || undefined,
+        name: contact.name,
+        phone: contact.phone,
+      }))
+    );
+
+    const job = await enqueueBatchJob(req, "send-batch-excel", {
+      sessionIds,
+      text,
+      media: toJobMedia(mediaFile ? [mediaFile] : []),
+      delayMin,
+      delayMax,
+      items,
+      meta: { excelFile: excelFile.originalname, contacts: contacts.length },
+    });
+    console.log(`🚀 Excel batch job ${job.jobId}: ${contacts.length} contacts via ${sessionIds.length} session(s)`);
+    return jobAccepted(res, job, { contacts: contacts.length });
   } catch (err) {
+    cleanup();
     console.error(`❌ Error in sendBatchFromExcel:`, err.message);
-    return res.status(500).json({
-      error: "Failed to send batch from Excel",
-      details: err.message
-    });
+    return sendError(res, err, "Failed to process Excel file");
   }
 };
 
+// Group media: several "files", or a single "media" (older clients)
+const groupBatchMedia = (req) =>
+  toJobMedia(req.files?.files?.length > 0 ? req.files.files : req.files?.media || []);
+
+// Group id as given, or looked up by exact name
+const resolveGroupId = async (client, groupId) => {
+  if (groupId.includes('@g.us')) return groupId;
+  console.log(`🔍 Searching for group: "${groupId}"`);
+  const chats = await client.getChats();
+  const matchingGroup = chats.find(chat =>
+    chat.isGroup && chat.name && chat.name.toLowerCase() === groupId.toLowerCase()
+  );
+  return matchingGroup?.id._serialized || null;
+};
+
 /**
  * ✅ POST /wa/message/send-batch-to-group
- * Send private messages to all members of a group individually
+ * Queue private messages to all members of a group individually
  */
 export const sendBatchToGroupMembers = async (req, res) => {
+  const media = groupBatchMedia(req);
+
   try {
-    let {
-      sessionId,
-      groupId,
-      text,
-      delayMin = 15000,  // Already in milliseconds from frontend
-      delayMax = 20000,   // Already in milliseconds from frontend
-    } = req.body;
-    
-    // Parse delays as integers (they come as strings from FormData)
-    delayMin = parseInt(delayMin) || 15000;
-    delayMax = parseInt(delayMax) || 20000;
+    // Delays in milliseconds, already parsed from the FormData strings
+    const { sessionId, groupId, text, delayMin, delayMax } = req.body;
 
-    // Validation
-    if (!sessionId) {
-      return res.status(400).json({ error: "sessionId required" });
-    }
-    if (!groupId) {
-      return res.status(400).json({ error: "groupId required" });
-    }
-    
     // Text is optional if media files are present
-    const hasMediaFiles = (req.files?.files?.length > 0) || (req.files?.media?.[0]);
-    if (!text?.trim() && !hasMediaFiles) {
-      return res.status(400).json({ error: "text or media files required" });
+    if (!text?.trim() && !media.length) {
+      return res.status(400).json({ error: "text or media files required", code: "VALIDATION_FAILED" });
     }
 
-    const uploadedFiles = [];
-
-    try {
-      const client = await getOrRestoreClient(sessionId);
-      if (!client.info) {
-        return res.status(400).json({ error: "Session not ready yet" });
-      }
-
-      // Fetch group participants
-      console.log(`👥 Fetching members from group: ${groupId}`);
-      
-      // Resolve group name to ID if needed
-      let resolvedGroupId = groupId;
-      if (!groupId.includes('@g.us')) {
-        console.log(`🔍 Searching for group: "${groupId}"`);
-        const chats = await client.getChats();
-        const matchingGroup = chats.find(chat => 
-          chat.isGroup && chat.name && chat.name.toLowerCase() === groupId.toLowerCase()
-        );
-        
-        if (matchingGroup) {
-          resolvedGroupId = matchingGroup.id._serialized;
-        } else {
-          return res.status(404).json({ 
-            error: `Group not found: ${groupId}`,
-            hint: "Use exact group name or group ID (e.g., '120363123456789@g.us')"
-          });
-        }
-      }
-
-      const chat = await client.getChatById(resolvedGroupId);
-      if (!chat.isGroup) {
-        return res.status(400).json({ error: "Not a group chat" });
-      }
-
-      // Extract participants
-      const participants = chat.participants || [];
-      if (participants.length === 0) {
-        return res.status(400).json({ error: "No members found in group" });
-      }
-
-      // Build contact list from participants
-      const contacts = [];
-      for (const p of participants) {
-        const contact = await client.getContactById(p.id._serialized);
-        contacts.push({
-          waId: p.id._serialized,
-          phone: contact.id.user, // phone number without @c.us
-          name: contact.pushname || contact.name || contact.number || contact.id.user
-        });
-      }
-
-      console.log(`✅ Found ${contacts.length} members in group "${chat.name}"`);
-
-      // Process media files if uploaded - store file data (support both 'files' and 'media')
-      const mediaDataList = [];
-      
-      // Handle multiple files from 'files' field
-      if (req.files?.files?.length > 0) {
-        for (const file of req.files.files) {
-          uploadedFiles.push(file.path);
-          const filePath = path.resolve(file.path);
-          const mimeType = mime.lookup(file.originalname) || "application/octet-stream";
-          const base64 = fileToBase64(filePath);
-          mediaDataList.push({
-            mimeType,
-            base64,
-            filename: file.originalname
-          });
-        }
-        console.log(`📎 ${mediaDataList.length} media file(s) attached`);
-      }
-      // Handle single file from 'media' field (fallback for old group media upload)
-      else if (req.files?.media?.[0]) {
-        const file = req.files.media[0];
-        uploadedFiles.push(file.path);
-        const filePath = path.resolve(file.path);
-        const mimeType = mime.lookup(file.originalname) || "application/octet-stream";
-        const base64 = fileToBase64(filePath);
-        mediaDataList.push({
-          mimeType,
-          base64,
-          filename: file.originalname
-        });
-        console.log(`📎 Media attached: ${file.originalname}`);
-      }
-
-      const results = [];
-
-      console.log(`🚀 Sending private messages to ${contacts.length} group members`);
-      console.log(`⏱️  Delay settings: ${delayMin}ms - ${delayMax}ms per message`);
-
-      // Send messages to all group members privately
-      let messageCount = 0;
-      for (const contact of contacts) {
-        try {
-          // Send message (with or without media)
-          if (mediaDataList.length === 0) {
-            // Text-only message
-            if (text?.trim()) {
-              const msg = await client.sendMessage(contact.waId, text.trim());
-              console.log(`✅ Sent text to ${contact.name} (${contact.waId})`);
-              
-              results.push({
-                status: "sent",
-                to: contact.waId,
-                name: contact.name,
-                phone: contact.phone,
-                type: "text",
-                messageId: msg.id._serialized
-              });
-              messageCount++;
-            }
-          } else {
-            // Send all media files to this contact
-            for (let i = 0; i < mediaDataList.length; i++) {
-              const mediaData = mediaDataList[i];
-              // Create a NEW MessageMedia object for this recipient
-              const media = new MessageMedia(
-                mediaData.mimeType,
-                mediaData.base64,
-                mediaData.filename
-              );
-              
-              const options = {};
-              if (i === 0 && text?.trim()) {
-                options.caption = text.trim();
-              }
-
-              const msg = await client.sendMessage(contact.waId, media, options);
-              console.log(`✅ Sent ${mediaData.filename} to ${contact.name} (${contact.waId})`);
-              
-              results.push({
-                status: "sent",
-                to: contact.waId,
-                name: contact.name,
-                phone: contact.phone,
-                type: mediaData.mimeType,
-                filename: mediaData.filename,
-                messageId: msg.id._serialized
-              });
-              messageCount++;
-            }
-          }
-
-          // Apply delay between recipients (not between each media file)
-          const totalRecipients = contacts.length;
-          const currentRecipientIndex = contacts.indexOf(contact);
-          if (currentRecipientIndex < totalRecipients - 1) {
-            const delayTime = randomDelay(delayMin, delayMax);
-            console.log(`⏳ Waiting ${delayTime}ms before next recipient...`);
-            await delay(delayTime);
-          }
-
-        } catch (err) {
-          console.error(`❌ Failed to send to ${contact.name}: ${err.message}`);
-          results.push({
-            status: "failed",
-            to: contact.waId,
-            name: contact.name,
-            phone: contact.phone,
-            error: err.message
-          });
-        }
-      }
-
-      // Clean up uploaded files
-      uploadedFiles.forEach(safeUnlink);
+    const client = await getOrRestoreClient(sessionId);
+    if (!client.info) {
+      media.forEach((m) => safeUnlink(m.path));
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+    }
 
-      const successCount = results.filter(r => r.status === "sent").length;
-      const failCount = results.filter(r => r.status === "failed").length;
+    // Fetch group participants
+    console.log(`👥 Fetching members from group: ${groupId}`);
+    const resolvedGroupId = await resolveGroupId(client, groupId);
+    if (!resolvedGroupId) {
+      media.forEach((m) => safeUnlink(m.path));
+      return res.status(404).json({
+        error: `Group not found: ${groupId}`,
+        code: "GROUP_NOT_FOUND",
+        hint: "Use exact group name or group ID (e.g., '120363123456789@g.us')"
+      });
+    }
 
-      console.log(`✅ Batch complete: ${successCount} sent, ${failCount} failed`);
+    const chat = await client.getChatById(resolvedGroupId);
+    if (!chat.isGroup) {
+      media.forEach((m) => safeUnlink(m.path));
+      return sendError(res, apiError("NOT_A_GROUP", `${resolvedGroupId} is not a group chat`), "Not a group chat");
+    }
 
-      return res.json({
-        success: true,
-        groupId: resolvedGroupId,
-        groupName: chat.name,
-        total: results.length,
-        sent: successCount,
-        failed: failCount,
-        results
-      });
+    // Extract participants
+    const participants = chat.participants || [];
+    if (participants.length === 0) {
+      media.forEach((m) => safeUnlink(m.path));
+      return sendError(res, apiError("NO_MEMBERS", `Group "${chat.name}" has no members`), "No members found in group");
+    }
 
-    } catch (parseError) {
-      // Clean up uploaded files on error
-      uploadedFiles.forEach(safeUnlink);
-      
-      console.error(`❌ Error processing group members:`, parseError.message);
-      return res.status(500).json({
-        error: "Failed to process group members",
-        details: parseError.message
+    // One item per member
+    const items = [];
+    for (const p of participants) {
+      const contact = await client.getContactById(p.id._serialized);
+      items.push({
+        sessionId,
+        to: p.id._serialized,
+        chatId: p.id._serialized,
+        phone: contact.id.user, // phone number without @c.us
+        name: contact.pushname || contact.name || contact.number || contact.id.user
       });
     }
 
+    console.log(`✅ Found ${items.length} members in group "${chat.name}"`);
+
+    const job = await enqueueBatchJob(req, "send-batch-to-group", {
+      sessionIds: [sessionId],
+      text,
+      media,
+      delayMin,
+      delayMax,
+      items,
+      meta: { groupId: resolvedGroupId, groupName: chat.name },
+    });
+    console.log(`🚀 Group batch job ${job.jobId}: ${items.length} members, ${delayMin}-${delayMax}ms apart`);
+    return jobAccepted(res, job, { groupId: resolvedGroupId, groupName: chat.name });
   } catch (err) {
+    media.forEach((m) => safeUnlink(m.path));
     console.error(`❌ Error in sendBatchToGroupMembers:`, err.message);
-    return res.status(500).json({
-      error: "Failed to send batch to group members",
-      details: err.message
-    });
+    return sendError(res, err, "Failed to process group members");
   }
 };
 
 /**
  * ✅ POST /wa/message/send-batch-to-multiple-groups
- * Send private messages to all unique members from multiple groups
+ * Queue private messages to all unique members from multiple groups
  */
 export const sendBatchToMultipleGroups = async (req, res) => {
-  try {
-    let {
-      sessionId,
-      groupIds, // JSON array of group IDs
-      text,
-      delayMin = 15000,
-      delayMax = 20000,
-    } = req.body;
-
-    // Parse groupIds if it's a string
-    if (typeof groupIds === 'string') {
-      try {
-        groupIds = JSON.parse(groupIds);
-      } catch (e) {
-        return res.status(400).json({ error: "Invalid groupIds format. Must be JSON array." });
-      }
-    }
-
-    // Parse delays as integers
-    delayMin = parseInt(delayMin) || 15000;
-    delayMax = parseInt(delayMax) || 20000;
+  const media = groupBatchMedia(req);
 
-    // Validation
-    if (!sessionId) {
-      return res.status(400).json({ error: "sessionId required" });
-    }
-    if (!Array.isArray(groupIds) || groupIds.length === 0) {
-      return res.status(400).json({ error: "groupIds array required with at least one group" });
-    }
+  try {
+    // groupIds: group ids or names (JSON array in FormData)
+    const { sessionId, groupIds, text, delayMin, delayMax } = req.body;
 
     // Text is optional if media files are present
-    const hasMediaFiles = (req.files?.files?.length > 0) || (req.files?.media?.[0]);
-    if (!text?.trim() && !hasMediaFiles) {
-      return res.status(400).json({ error: "text or media files required" });
+    if (!text?.trim() && !media.length) {
+      return res.status(400).json({ error: "text or media files required", code: "VALIDATION_FAILED" });
     }
 
-    const uploadedFiles = [];
-
-    try {
-      const client = await getOrRestoreClient(sessionId);
-      if (!client.info) {
-        return res.status(400).json({ error: "Session not ready yet" });
-      }
-
-      console.log(`👥 Fetching members from ${groupIds.length} group(s)...`);
-
-      // Collect all unique members from all groups
-      const allContacts = [];
-      const uniquePhones = new Set();
-      const groupDetails = [];
-
-      for (const groupId of groupIds) {
-        try {
-          // Resolve group name to ID if needed
-          let resolvedGroupId = groupId;
-          if (!groupId.includes('@g.us')) {
-            console.log(`🔍 Searching for group: "${groupId}"`);
-            const chats = await client.getChats();
-            const matchingGroup = chats.find(chat =>
-              chat.isGroup && chat.name && chat.name.toLowerCase() === groupId.toLowerCase()
-            );
-
-            if (matchingGroup) {
-              resolvedGroupId = matchingGroup.id._serialized;
-            } else {
-              console.error(`⚠️ Group not found: ${groupId}`);
-              continue;
-            }
-          }
+    const client = await getOrRestoreClient(sessionId);
+    if (!client.info) {
+      media.forEach((m) => safeUnlink(m.path));
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
+    }
 
-          const chat = await client.getChatById(resolvedGroupId);
-          if (!chat.isGroup) {
-            console.error(`⚠️ Not a group chat: ${groupId}`);
-            continue;
-          }
+    console.log(`👥 Fetching members from ${groupIds.length} group(s)...`);
 
-          const participants = chat.participants || [];
-          console.log(`✅ Found ${participants.length} members in "${chat.name}"`);
+    // Collect all unique members from all groups
+    const items = [];
+    const uniquePhones = new Set();
+    const groupDetails = [];
 
-          groupDetails.push({
-            id: resolvedGroupId,
-            name: chat.name,
-            memberCount: participants.length
-          });
+    for (const groupId of groupIds) {
+      try {
+        const resolvedGroupId = await resolveGroupId(client, groupId);
+        if (!resolvedGroupId) {
+          console.error(`⚠️ Group not found: ${groupId}`);
+          continue;
+        }
 
-          // Add unique participants
-          for (const p of participants) {
-            const phoneNumber = p.id.user; // Extract phone without @c.us
-            
-            // Skip if already added
-            if (uniquePhones.has(phoneNumber)) {
-              continue;
-            }
-
-            uniquePhones.add(phoneNumber);
-            const contact = await client.getContactById(p.id._serialized);
-            allContacts.push({
-              waId: p.id._serialized,
-              phone: phoneNumber,
-              name: contact.pushname || contact.name || contact.number || phoneNumber,
-              fromGroup: chat.name
-            });
-          }
-        } catch (groupErr) {
-          console.error(`❌ Error processing group ${groupId}:`, groupErr.message);
+        const chat = await client.getChatById(resolvedGroupId);
+        if (!chat.isGroup) {
+          console.error(`⚠️ Not a group chat: ${groupId}`);
+          continue;
         }
-      }
 
-      if (allContacts.length === 0) {
-        return res.status(400).json({
-          error: "No members found in any of the selected groups",
-          groupDetails
-        });
-      }
+        const participants = chat.participants || [];
+        console.log(`✅ Found ${participants.length} members in "${chat.name}"`);
 
-      console.log(`✅ Total unique members across ${groupDetails.length} group(s): ${allContacts.length}`);
-
-      // Process media files if uploaded
-      const mediaDataList = [];
-
-      // Handle multiple files from 'files' field
-      if (req.files?.files?.length > 0) {
-        for (const file of req.files.files) {
-          uploadedFiles.push(file.path);
-          const filePath = path.resolve(file.path);
-          const mimeType = mime.lookup(file.originalname) || "application/octet-stream";
-          const base64 = fileToBase64(filePath);
-          mediaDataList.push({
-            mimeType,
-            base64,
-            filename: file.originalname
-          });
-        }
-        console.log(`📎 ${mediaDataList.length} media file(s) attached`);
-      }
-      // Handle single file from 'media' field (fallback)
-      else if (req.files?.media?.[0]) {
-        const file = req.files.media[0];
-        uploadedFiles.push(file.path);
-        const filePath = path.resolve(file.path);
-        const mimeType = mime.lookup(file.originalname) || "application/octet-stream";
-        const base64 = fileToBase64(filePath);
-        mediaDataList.push({
-          mimeType,
-          base64,
-          filename: file.originalname
+        groupDetails.push({
+          id: resolvedGroupId,
+          name: chat.name,
+          memberCount: participants.length
         });
-        console.log(`📎 Media attached: ${file.originalname}`);
-      }
 
-      const results = [];
-
-      console.log(`🚀 Sending private messages to ${allContacts.length} unique members`);
-      console.log(`⏱️  Delay settings: ${delayMin}ms - ${delayMax}ms per recipient`);
-
-      // Send messages to all unique members privately
-      let messageCount = 0;
-      for (const contact of allContacts) {
-        try {
-          // Send message (with or without media)
-          if (mediaDataList.length === 0) {
-            // Text-only message
-            if (text?.trim()) {
-              const msg = await client.sendMessage(contact.waId, text.trim());
-              console.log(`✅ Sent text to ${contact.name} (${contact.waId}) from "${contact.fromGroup}"`);
-
-              results.push({
-                status: "sent",
-                to: contact.waId,
-                name: contact.name,
-                phone: contact.phone,
-                fromGroup: contact.fromGroup,
-                type: "text",
-                messageId: msg.id._serialized
-              });
-              messageCount++;
-            }
-          } else {
-            // Send all media files to this contact
-            for (let i = 0; i < mediaDataList.length; i++) {
-              const mediaData = mediaDataList[i];
-              // Create a NEW MessageMedia object for this recipient
-              const media = new MessageMedia(
-                mediaData.mimeType,
-                mediaData.base64,
-                mediaData.filename
-              );
-
-              const options = {};
-              if (i === 0 && text?.trim()) {
-                options.caption = text.trim();
-              }
-
-              const msg = await client.sendMessage(contact.waId, media, options);
-              console.log(`✅ Sent ${mediaData.filename} to ${contact.name} (${contact.waId}) from "${contact.fromGroup}"`);
-
-              results.push({
-                status: "sent",
-                to: contact.waId,
-                name: contact.name,
-                phone: contact.phone,
-                fromGroup: contact.fromGroup,
-                type: mediaData.mimeType,
-                filename: mediaData.filename,
-                messageId: msg.id._serialized
-              });
-              messageCount++;
-            }
-          }
+        // Add unique participants
+        for (const p of participants) {
+          const phoneNumber = p.id.user; // Extract phone without @c.us
 
-          // Apply delay between recipients
-          const currentIndex = allContacts.indexOf(contact);
-          if (currentIndex < allContacts.length - 1) {
-            const delayTime = randomDelay(delayMin, delayMax);
-            console.log(`⏳ Waiting ${delayTime}ms before next recipient...`);
-            await delay(delayTime);
+          // Skip if already added
+          if (uniquePhones.has(phoneNumber)) {
+            continue;
           }
 
-        } catch (err) {
-          console.error(`❌ Failed to send to ${contact.name}: ${err.message}`);
-          results.push({
-            status: "failed",
-            to: contact.waId,
-            name: contact.name,
-            phone: contact.phone,
-            fromGroup: contact.fromGroup,
-            error: err.message
+          uniquePhones.add(phoneNumber);
+          const contact = await client.getContactById(p.id._serialized);
+          items.push({
+            sessionId,
+            to: p.id._serialized,
+            chatId: p.id._serialized,
+            phone: phoneNumber,
+            name: contact.pushname || contact.name || contact.number || phoneNumber,
+            fromGroup: chat.name
           });
         }
+      } catch (groupErr) {
+        console.error(`❌ Error processing group ${groupId}:`, groupErr.message);
       }
+    }
 
-      // Clean up uploaded files
-      uploadedFiles.forEach(safeUnlink);
-
-      const successCount = results.filter(r => r.status === "sent").length;
-      const failCount = results.filter(r => r.status === "failed").length;
-
-      console.log(`✅ Batch complete: ${successCount} sent, ${failCount} failed`);
-
-      return res.json({
-        success: true,
-        groupsProcessed: groupDetails,
-        totalGroups: groupDetails.length,
-        uniqueMembers: allContacts.length,
-        total: results.length,
-        sent: successCount,
-        failed: failCount,
-        results
-      });
-
-    } catch (parseError) {
-      // Clean up uploaded files on error
-      uploadedFiles.forEach(safeUnlink);
-
-      console.error(`❌ Error processing multiple groups:`, parseError.message);
-      return res.status(500).json({
-        error: "Failed to process multiple groups",
-        details: parseError.message
-      });
+    if (items.length === 0) {
+      media.forEach((m) => safeUnlink(m.path));
+      return sendError(
+        res,
+        apiError("NO_MEMBERS", `None of the ${groupIds.length} group(s) was found or had members`),
+        "No members found in any of the selected groups",
+        { groupDetails }
+      );
     }
 
+    console.log(`✅ Total unique members across ${groupDetails.length} group(s): ${items.length}`);
+
+    const job = await enqueueBatchJob(req, "send-batch-to-multiple-groups", {
+      sessionIds: [sessionId],
+      text,
+      media,
+      delayMin,
+      delayMax,
+      items,
+      meta: { groupsProcessed: groupDetails },
+    });
+    console.log(`🚀 Multi-group batch job ${job.jobId}: ${items.length} unique members, ${delayMin}-${delayMax}ms apart`);
+    return jobAccepted(res, job, {
+      groupsProcessed: groupDetails,
+      totalGroups: groupDetails.length,
+      uniqueMembers: items.length,
+    });
   } catch (err) {
+    media.forEach((m) => safeUnlink(m.path));
     console.error(`❌ Error in sendBatchToMultipleGroups:`, err.message);
-    return res.status(500).json({
-      error: "Failed to send batch to multiple groups",
-      details: err.message
-    });
+    return sendError(res, err, "Failed to process multiple groups");
   }
 };
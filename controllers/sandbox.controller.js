@@ -0,0 +1,112 @@
+import sessionModel from "../models/session.js";
+import { getClient, getOrRestoreClient } from "../services/waManager.js";
+import { apiError, sendError } from "../middleware/errors.js";
+
+/* ---------------------------
+   Sandbox driver controls
+   Only for sessions created with driver: "sandbox"
+----------------------------*/
+
+// Resolves the sandbox client or sends the error response (returns null)
+const sandboxClientFor = async (req, res, { wake = true } = {}) => {
+  const { sessionId } = req.params;
+  const session = await sessionModel.findOne({ sessionId });
+  if (!session) {
+    res.status(404).json({ error: "Session not found", code: "SESSION_NOT_FOUND" });
+    return null;
+  }
+  if (session.driver !== "sandbox") {
+    sendError(
+      res,
+      apiError("NOT_A_SANDBOX_SESSION", `Session ${sessionId} uses the "${session.driver || "whatsapp-web"}" driver`),
+      "Not a sandbox session"
+    );
+    return null;
+  }
+
+  try {
+    return wake ? await getOrRestoreClient(sessionId) : getClient(sessionId);
+  } catch (err) {
+    res.status(409).json({ error: "Sandbox session is not running", code: "SESSION_NOT_READY", details: err.message });
+    return null;
+  }
+};
+
+/** ✅ POST /api/wa/session/:sessionId/sandbox/link
+ *  Simulate the phone scanning the QR / entering the pairing code
+ *  (useful with SANDBOX_AUTO_LINK_MS=0)
+ */
+export const linkSandboxSession = async (req, res) => {
+  try {
+    const client = await sandboxClientFor(req, res, { wake: false });
+    if (!client) return;
+
+    const linked = client.completeLogin();
+    return res.json({
+      success: true,
+      sessionId: req.params.sessionId,
+      alreadyLinked: !linked,
+      phoneNumber: client.info?.wid?.user || null,
+    });
+  } catch (err) {
+    console.error("❌ Error linking sandbox session:", err.message);
+    return sendError(res, err, "Failed to link sandbox session");
+  }
+};
+
+/** ✅ POST /api/wa/session/:sessionId/sandbox/inbound
+ *  Body: { from, body, groupId?, type? }
+ *  Simulate an incoming message (fires the message.received webhook)
+ */
+export const injectInboundMessage = async (req, res) => {
+  try {
+    const { from, body, groupId, type } = req.body;
+
+    const client = await sandboxClientFor(req, res);
+    if (!client) return;
+
+    const message = client.simulateIncomingMessage({ from, body, groupId, type });
+    return res.json({
+      success: true,
+      messageId: message.id._serialized,
+      from: message.author || message.from,
+      chatId: message.from,
+      timestamp: message.timestamp,
+    });
+  } catch (err) {
+    console.error("❌ Error injecting sandbox message:", err.message);
+    return sendError(res, apiError("VALIDATION_FAILED", err.message), "Failed to inject message");
+  }
+};
+
+/** ✅ POST /api/wa/session/:sessionId/sandbox/disconnect
+ *  Body: { reason? } - e.g. "NAVIGATION" (reconnects) or "LOGOUT" (does not)
+ */
+export const simulateSandboxDisconnect = async (req, res) => {
+  try {
+    const client = await sandboxClientFor(req, res, { wake: false });
+    if (!client) return;
+
+    const reason = req.body.reason || "NAVIGATION";
+    client.simulateDisconnect(reason);
+    return res.json({ success: true, sessionId: req.params.sessionId, reason });
+  } catch (err) {
+    console.error("❌ Error simulating sandbox disconnect:", err.message);
+    return sendError(res, err, "Failed to simulate disconnect");
+  }
+};
+
+/** ✅ GET /api/wa/session/:sessionId/sandbox
+ *  Everything the simulated account holds: contacts, chats, recent messages
+ */
+export const getSandboxState = async (req, res) => {
+  try {
+    const client = await sandboxClientFor(req, res, { wake: false });
+    if (!client) return;
+
+    return res.json({ sessionId: req.params.sessionId, ...client.snapshot() });
+  } catch (err) {
+    console.error("❌ Error reading sandbox state:", err.message);
+    return sendError(res, err, "Failed to read sandbox state");
+  }
+};
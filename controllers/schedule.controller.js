@@ -0,0 +1,264 @@
+// controllers/schedule.controller.js
+import mime from "mime-types";
+import jobModel from "../models/job.js";
+import recurringScheduleModel from "../models/recurringSchedule.js";
+import { cancelJob, rescheduleJob, describeJob } from "../services/jobQueue.js";
+import {
+  SCHEDULED_MESSAGE_JOB,
+  describeScheduledMessage,
+  scheduleStatusFilter,
+} from "../services/scheduler.js";
+import {
+  createRecurringSchedule,
+  updateRecurringSchedule,
+  deleteRecurringSchedule,
+  describeRecurringSchedule,
+} from "../services/recurringScheduler.js";
+import { sendError } from "../middleware/errors.js";
+import { cleanupUploads } from "../middleware/sessionRouting.js";
+
+/* ---------------------------
+   Scheduled messages
+   Created by /message/send, /media/send and
+   /group/:groupId/message when sendAt is given;
+   recurring (cron) schedules further down
+----------------------------*/
+
+// Regular keys only see the schedules of their own user
+const ownerFilter = (req) => (req.auth?.isAdmin ? {} : { userId: req.auth.userId });
+
+const findSchedule = (req) =>
+  jobModel.findOne({ jobId: req.params.scheduleId, type: SCHEDULED_MESSAGE_JOB, ...ownerFilter(req) });
+
+const scheduleNotFound = (res, scheduleId) =>
+  res.status(404).json({ error: `Scheduled message not found: ${scheduleId}`, code: "SCHEDULE_NOT_FOUND" });
+
+/** ✅ GET /api/wa/schedules?status=pending&sessionId=&page=&limit=
+ *  Pending ones by default, next to go out first
+ */
+export const listSchedules = async (req, res) => {
+  try {
+    const { status, sessionId, page, limit } = req.query;
+    const filter = { type: SCHEDULED_MESSAGE_JOB, ...ownerFilter(req), ...scheduleStatusFilter(status) };
+    if (sessionId) filter.sessionIds = sessionId;
+
+    const [total, jobs] = await Promise.all([
+      jobModel.countDocuments(filter),
+      jobModel
+        .find(filter)
+        .sort(status === "pending" ? { scheduledFor: 1 } : { scheduledFor: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      schedules: jobs.map(describeScheduledMessage),
+    });
+  } catch (err) {
+    console.error("❌ Error listing scheduled messages:", err.message);
+    return sendError(res, err, "Unable to list scheduled messages");
+  }
+};
+
+/** ✅ GET /api/wa/schedules/:scheduleId */
+export const getSchedule = async (req, res) => {
+  try {
+    const job = await findSchedule(req);
+    if (!job) return scheduleNotFound(res, req.params.scheduleId);
+    return res.json({ success: true, schedule: describeScheduledMessage(job) });
+  } catch (err) {
+    console.error("❌ Error getting scheduled message:", err.message);
+    return sendError(res, err, "Unable to get scheduled message");
+  }
+};
+
+/** ✅ POST /api/wa/schedules/:scheduleId/cancel
+ *  Only before it is sent (409 INVALID_JOB_STATE once sending started)
+ */
+export const cancelSchedule = async (req, res) => {
+  try {
+    const job = await findSchedule(req);
+    if (!job) return scheduleNotFound(res, req.params.scheduleId);
+    if (job.status === "running") {
+      return res.status(409).json({ error: "The message is already being sent", code: "INVALID_JOB_STATE" });
+    }
+
+    const updated = await cancelJob(job.jobId);
+    return res.json({ success: true, schedule: describeScheduledMessage(updated) });
+  } catch (err) {
+    console.error("❌ Error cancelling scheduled message:", err.message);
+    return sendError(res, err, "Unable to cancel scheduled message");
+  }
+};
+
+/** ✅ POST /api/wa/schedules/:scheduleId/reschedule
+ *  Body: { sendAt, timezone? } - read like on the send endpoints (timezone defaults to UTC)
+ */
+export const rescheduleSchedule = async (req, res) => {
+  try {
+    const job = await findSchedule(req);
+    if (!job) return scheduleNotFound(res, req.params.scheduleId);
+
+    const { sendAt, timezone } = req.body;
+    const updated = await rescheduleJob(job.jobId, sendAt, timezone);
+    return res.json({ success: true, schedule: describeScheduledMessage(updated) });
+  } catch (err) {
+    console.error("❌ Error rescheduling message:", err.message);
+    return sendError(res, err, "Unable to reschedule message");
+  }
+};
+
+/* ---------------------------
+   Recurring schedules
+   Every run is a job: GET .../runs lists them with
+   the outcome per target
+----------------------------*/
+
+const findRecurring = (req) =>
+  recurringScheduleModel.findOne({ scheduleId: req.params.recurringId, ...ownerFilter(req) });
+
+const recurringNotFound = (res, recurringId) =>
+  res.status(404).json({ error: `Recurring schedule not found: ${recurringId}`, code: "SCHEDULE_NOT_FOUND" });
+
+const RECURRING_STATUS_FILTERS = {
+  active: { paused: false, nextRunAt: { $ne: null } },
+  paused: { paused: true },
+  ended: { paused: false, nextRunAt: null },
+  all: {},
+};
+
+/** ✅ POST /api/wa/schedules/recurring
+ *  Body: sessionId, cron, targets, text and/or files[], timezone?, startAt?, endAt?, paused?, delayMin?, delayMax?
+ */
+export const createRecurring = async (req, res) => {
+  const files = (req.files || []).map((file) => ({
+    path: file.path,
+    mimeType: mime.lookup(file.originalname) || "application/octet-stream",
+    filename: file.originalname,
+  }));
+
+  try {
+    if (!req.body.text?.trim() && !files.length) {
+      cleanupUploads(req);
+      return res.status(400).json({ error: "text or media files required", code: "VALIDATION_FAILED" });
+    }
+
+    const schedule = await createRecurringSchedule(req.auth, { ...req.body, files });
+    return res.status(201).json({ success: true, schedule: describeRecurringSchedule(schedule) });
+  } catch (err) {
+    cleanupUploads(req);
+    console.error("❌ Error creating recurring schedule:", err.message);
+    return sendError(res, err, "Unable to create recurring schedule");
+  }
+};
+
+/** ✅ GET /api/wa/schedules/recurring?status=active&sessionId=&page=&limit= */
+export const listRecurring = async (req, res) => {
+  try {
+    const { status, sessionId, page, limit } = req.query;
+    const filter = { ...ownerFilter(req), ...RECURRING_STATUS_FILTERS[status] };
+    if (sessionId) filter.sessionId = sessionId;
+
+    const [total, schedules] = await Promise.all([
+      recurringScheduleModel.countDocuments(filter),
+      recurringScheduleModel
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      schedules: schedules.map(describeRecurringSchedule),
+    });
+  } catch (err) {
+    console.error("❌ Error listing recurring schedules:", err.message);
+    return sendError(res, err, "Unable to list recurring schedules");
+  }
+};
+
+/** ✅ GET /api/wa/schedules/recurring/:recurringId */
+export const getRecurring = async (req, res) => {
+  try {
+    const schedule = await findRecurring(req);
+    if (!schedule) return recurringNotFound(res, req.params.recurringId);
+    return res.json({ success: true, schedule: describeRecurringSchedule(schedule) });
+  } catch (err) {
+    console.error("❌ Error getting recurring schedule:", err.message);
+    return sendError(res, err, "Unable to get recurring schedule");
+  }
+};
+
+/** ✅ PATCH /api/wa/schedules/recurring/:recurringId
+ *  Any of: name, cron, timezone, targets, text, startAt, endAt (null clears), paused, delayMin, delayMax
+ *  Media can't be changed, create a new schedule instead
+ */
+export const updateRecurring = async (req, res) => {
+  try {
+    const schedule = await findRecurring(req);
+    if (!schedule) return recurringNotFound(res, req.params.recurringId);
+
+    const updated = await updateRecurringSchedule(schedule, req.body);
+    return res.json({ success: true, schedule: describeRecurringSchedule(updated) });
+  } catch (err) {
+    console.error("❌ Error updating recurring schedule:", err.message);
+    return sendError(res, err, "Unable to update recurring schedule");
+  }
+};
+
+/** ✅ DELETE /api/wa/schedules/recurring/:recurringId
+ *  Runs that have not started are cancelled, past runs stay listed under /api/wa/jobs
+ */
+export const deleteRecurring = async (req, res) => {
+  try {
+    const schedule = await findRecurring(req);
+    if (!schedule) return recurringNotFound(res, req.params.recurringId);
+
+    await deleteRecurringSchedule(schedule);
+    return res.json({ success: true, recurringId: schedule.scheduleId, deleted: true });
+  } catch (err) {
+    console.error("❌ Error deleting recurring schedule:", err.message);
+    return sendError(res, err, "Unable to delete recurring schedule");
+  }
+};
+
+/** ✅ GET /api/wa/schedules/recurring/:recurringId/runs?page=&limit=
+ *  Newest first, with the result for every target
+ */
+export const getRecurringRuns = async (req, res) => {
+  try {
+    const schedule = await findRecurring(req);
+    if (!schedule) return recurringNotFound(res, req.params.recurringId);
+
+    const { page, limit } = req.query;
+    const filter = { "meta.recurringScheduleId": schedule.scheduleId };
+    const [total, runs] = await Promise.all([
+      jobModel.countDocuments(filter),
+      jobModel
+        .find(filter, { payload: 0 })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.json({
+      recurringId: schedule.scheduleId,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      runs: runs.map((job) => ({ runAt: job.meta?.runAt || null, ...describeJob(job, { withResults: true }) })),
+    });
+  } catch (err) {
+    console.error("❌ Error listing recurring schedule runs:", err.message);
+    return sendError(res, err, "Unable to list recurring schedule runs");
+  }
+};
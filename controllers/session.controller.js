@@ -1,4 +1,5 @@
 import sessionModel from "../models/session.js";
+import sessionEventModel from "../models/sessionEvent.js";
 import {
   startNewSession,
   disconnectSession,
@@ -9,7 +10,21 @@ import {
   clearAllSessions,
   getAllActiveSessions,
   restoreSession,
+  regeneratePairingCode,
+  sessionEvents,
+  getPoolStats,
+  exportSession,
+  importSession,
+  restartSession,
+  clearUserSessions,
 } from "../services/waManager.js";
+import { issueConfirmationToken, verifyConfirmationToken } from "../services/confirmationTokens.js";
+import { parseProxyInput, describeProxy, sameProxy } from "../services/proxyConfig.js";
+import { resolveUserId } from "../middleware/auth.js";
+import { apiError, sendError } from "../middleware/errors.js";
+import { getWatchdogReport } from "../services/sessionWatchdog.js";
+import { DEFAULT_DRIVER, isDriverEnabled } from "../services/drivers/index.js";
+import QRCode from "qrcode";
 
 import pkg from "whatsapp-web.js";
 const { Buttons } = pkg;
@@ -19,44 +34,328 @@ import fs from "fs";
    Session endpoints
 ----------------------------*/
 
+// Labels are matched case-insensitively, store them normalized
+const normalizeLabels = (labels) =>
+  [...new Set(labels.map((l) => String(l).trim().toLowerCase()).filter(Boolean))];
+
+// ?label=sales or ?label=sales,support (matches any)
+const labelFilter = (query) => {
+  if (!query.label) return {};
+  const labels = normalizeLabels(String(query.label).split(","));
+  return labels.length ? { labels: { $in: labels } } : {};
+};
+
 // POST /api/wa/session/connect
 export const connectSession = async (req, res) => {
   try {
-    const userId = req.body.userId || "test-user-1";
+    // Regular API keys always connect for their own user
+    const userId = resolveUserId(req, req.body.userId, "test-user-1");
+    if (!userId) {
+      return sendError(res, apiError("FORBIDDEN", "This API key cannot create sessions for another user"), "Forbidden");
+    }
     const sessionName = req.body.sessionName || req.body.name || '';
-    const forceNew = Boolean(req.body.forceNew || req.query.force || req.query.forceNew || req.body.force);
-    const sessionId = await startNewSession(userId, sessionName, forceNew);
+    // Accept forceNew/force from body or query; "false" must stay false
+    const forceFlag = req.body.forceNew ?? req.body.force ?? req.query.forceNew ?? req.query.force;
+    const forceNew = [true, "true", "1", 1].includes(forceFlag);
+    const { mode } = req.body;
+
+    // Pairing mode needs the full international number, digits only
+    const phoneNumber = String(req.body.phoneNumber || "").replace(/\D/g, "");
+
+    // "sandbox" simulates WhatsApp in memory, no phone needed
+    const driver = req.body.driver || DEFAULT_DRIVER;
+    if (!isDriverEnabled(driver)) {
+      return res.status(403).json({ error: `The "${driver}" driver is disabled on this server`, code: "DRIVER_DISABLED" });
+    }
+
+    // Optional outbound proxy for this session's browser (PROXY_INVALID -> 400)
+    const proxy = req.body.proxy ? parseProxyInput(req.body.proxy) : undefined;
+
+    const session = await startNewSession(userId, sessionName, forceNew, { mode, phoneNumber, driver, proxy });
     
-    console.log(`🔗 Session created: "${sessionName || sessionId}" (${userId})`);
+    console.log(
+      session.reused
+        ? `♻️ Pending session returned: "${session.sessionName}" (${userId}) [${mode}/${driver}]`
+        : `🔗 Session created: "${session.sessionName}" (${userId}) [${mode}/${driver}]`
+    );
     
     return res.json({ 
-      sessionId, 
+      sessionId: session.sessionId, 
       userId,
-      sessionName: sessionName || null
+      sessionName: session.sessionName || null,
+      mode,
+      driver,
+      proxy: describeProxy(proxy),
+      reused: session.reused,
+      status: session.status,
+      qr: session.qr,
+      pairingCode: session.pairingCode,
     });
   } catch (err) {
     console.error("Error creating session:", err.message);
-    return res.status(500).json({ error: "Unable to create session", details: err.message });
+    if (err.code === "SESSION_LIMIT_REACHED") {
+      return sendError(res, err, "Session limit reached", {
+        hint: "Delete an unused session or reuse an existing one",
+      });
+    }
+    return sendError(res, err, "Unable to create session");
   }
 };
 
+// Configured proxy vs. the one the running browser launched with
+// (a changed proxy only applies after the next launch)
+const proxyStatus = (sessionId, session) => {
+  let live = null;
+  try {
+    live = getClient(sessionId);
+  } catch {
+    // not running on this instance
+  }
+  const configured = session.proxy?.url ? session.proxy : null;
+  const effective = live ? live.effectiveProxy || null : null;
+  return {
+    configured: describeProxy(configured),
+    effective: describeProxy(effective),
+    pendingRestart: !!live && !live.isSandbox && !sameProxy(configured, effective),
+  };
+};
+
 // GET /api/wa/session/:sessionId/status
 export const getSessionStatus = async (req, res) => {
   try {
     const { sessionId } = req.params;
     const session = await sessionModel.findOne({ sessionId });
-    if (!session) return res.status(404).json({ error: "Session not found" });
+    if (!session) return res.status(404).json({ error: "Session not found", code: "SESSION_NOT_FOUND" });
     return res.json({
       sessionId: session.sessionId,
       sessionName: session.sessionName,
       userId: session.userId,
       status: session.status,
       phoneNumber: session.phoneNumber,
+      labels: session.labels || [],
+      description: session.description || "",
+      metadata: session.metadata || {},
       qr: session.qr,
+      mode: session.loginMode || "qr",
+      driver: session.driver || DEFAULT_DRIVER,
+      proxy: proxyStatus(sessionId, session),
+      pairingCode: session.pairingCode || null,
+      pairingCodeExpiresAt: session.pairingCodeExpiresAt || null,
+      pairingCodeExpired: session.pairingCodeExpiresAt
+        ? session.pairingCodeExpiresAt <= new Date()
+        : null,
+      ownerInstanceId: session.ownerInstanceId || null,
+      leaseExpiresAt: session.leaseExpiresAt || null,
     });
   } catch (err) {
     console.error("Error getting session status:", err.message);
-    return res.status(500).json({ error: "Unable to get session status", details: err.message });
+    return sendError(res, err, "Unable to get session status");
+  }
+};
+
+// PATCH /api/wa/session/:sessionId
+// Body: { sessionName?, labels?, description?, metadata?, proxy? }
+// metadata is merged key by key, a null value removes the key
+// proxy: URL string / { url, username, password } / null to remove;
+// applied at the next browser launch, or right away with ?apply=true
+export const updateSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { sessionName, labels, description, metadata, proxy } = req.body;
+
+    const $set = {};
+    const $unset = {};
+
+    if (sessionName !== undefined) $set.sessionName = sessionName;
+    if (labels !== undefined) $set.labels = normalizeLabels(labels);
+    if (description !== undefined) $set.description = description || "";
+
+    if (metadata !== undefined) {
+      for (const [key, value] of Object.entries(metadata)) {
+        if (value === null) $unset[`metadata.${key}`] = 1;
+        else $set[`metadata.${key}`] = value;
+      }
+    }
+
+    if (proxy !== undefined) {
+      const parsed = parseProxyInput(proxy);
+      if (parsed) $set.proxy = parsed;
+      else $unset.proxy = 1;
+    }
+
+    $set.updatedAt = new Date();
+    const update = { $set };
+    if (Object.keys($unset).length) update.$unset = $unset;
+
+    const session = await sessionModel.findOneAndUpdate({ sessionId }, update, { new: true });
+    if (!session) return res.status(404).json({ error: "Session not found", code: "SESSION_NOT_FOUND" });
+
+    // Relaunch the browser so the new proxy takes effect now
+    let restarted = false;
+    if (proxy !== undefined && req.query.apply && proxyStatus(sessionId, session).pendingRestart) {
+      await restartSession(sessionId, "proxy_changed", "reconnecting");
+      restarted = true;
+    }
+
+    return res.json({
+      success: true,
+      sessionId: session.sessionId,
+      sessionName: session.sessionName,
+      labels: session.labels,
+      description: session.description,
+      metadata: session.metadata || {},
+      proxy: proxyStatus(sessionId, session),
+      restarted,
+      updatedAt: session.updatedAt,
+    });
+  } catch (err) {
+    console.error("Error updating session:", err.message);
+    return sendError(res, err, "Unable to update session");
+  }
+};
+
+// GET /api/wa/session/:sessionId/qr.png and /qr.svg
+const sendQrImage = (format) => async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await sessionModel.findOne({ sessionId });
+    if (!session) return res.status(404).json({ error: "Session not found", code: "SESSION_NOT_FOUND" });
+    if (!session.qr) {
+      return sendError(
+        res,
+        apiError("QR_NOT_AVAILABLE", `Session ${sessionId} is ${session.status}`),
+        "No QR code available",
+        { status: session.status, hint: "QR codes are only available while the session is waiting to be scanned" }
+      );
+    }
+
+    const width = req.query.size;
+    res.set("Cache-Control", "no-store");
+
+    if (format === "svg") {
+      const svg = await QRCode.toString(session.qr, { type: "svg", width, margin: 2 });
+      return res.type("image/svg+xml").send(svg);
+    }
+
+    const png = await QRCode.toBuffer(session.qr, { type: "png", width, margin: 2 });
+    return res.type("image/png").send(png);
+  } catch (err) {
+    console.error("Error rendering QR code:", err.message);
+    return sendError(res, err, "Unable to render QR code");
+  }
+};
+
+export const getSessionQrPng = sendQrImage("png");
+export const getSessionQrSvg = sendQrImage("svg");
+
+// GET /api/wa/session/:sessionId/stream (Server-Sent Events)
+export const streamSessionEvents = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await sessionModel.findOne({ sessionId });
+    if (!session) return res.status(404).json({ error: "Session not found", code: "SESSION_NOT_FOUND" });
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // disable proxy buffering (nginx/Railway)
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Initial snapshot so the client can render without waiting for the next event
+    send("status", {
+      sessionId,
+      status: session.status,
+      qr: session.qr || null,
+      pairingCode: session.pairingCode || null,
+      phoneNumber: session.phoneNumber || null,
+      timestamp: new Date().toISOString(),
+    });
+
+    const onUpdate = (update) => {
+      if (update.sessionId === sessionId) send(update.event, update);
+    };
+    sessionEvents.on("update", onUpdate);
+
+    // Keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      sessionEvents.off("update", onUpdate);
+    });
+  } catch (err) {
+    console.error("Error streaming session events:", err.message);
+    if (!res.headersSent) {
+      return sendError(res, err, "Unable to stream session events");
+    }
+    res.end();
+  }
+};
+
+// GET /api/wa/session/:sessionId/events?page=&limit=&from=&to=&event=
+export const getSessionEvents = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { from, to, event, page, limit } = req.query;
+
+    const filter = { sessionId };
+    if (event) filter.event = { $in: event.split(",") };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const [total, events] = await Promise.all([
+      sessionEventModel.countDocuments(filter),
+      sessionEventModel
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.json({
+      sessionId,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      events: events.map((e) => ({
+        event: e.event,
+        status: e.status,
+        reason: e.reason,
+        details: e.details,
+        timestamp: e.createdAt,
+      })),
+    });
+  } catch (err) {
+    console.error("Error getting session events:", err.message);
+    return sendError(res, err, "Unable to get session events");
+  }
+};
+
+// POST /api/wa/session/:sessionId/pairing-code
+export const regeneratePairingCodeController = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { code, expiresAt } = await regeneratePairingCode(sessionId);
+
+    return res.json({
+      success: true,
+      sessionId,
+      pairingCode: code,
+      pairingCodeExpiresAt: expiresAt,
+    });
+  } catch (err) {
+    console.error("Error regenerating pairing code:", err.message);
+    return sendError(res, err, "Unable to regenerate pairing code");
   }
 };
 
@@ -68,7 +367,7 @@ export const disconnect = async (req, res) => {
     return res.json({ status: "disconnected" });
   } catch (err) {
     console.error("Error disconnecting session:", err.message);
-    return res.status(500).json({ error: "Unable to disconnect session", details: err.message });
+    return sendError(res, err, "Unable to disconnect session");
   }
 };
 
@@ -79,7 +378,7 @@ export const deleteSessionController = async (req, res) => {
     const result = await deleteSession(sessionId);
     
     if (!result) {
-      return res.status(404).json({ error: "Session not found" });
+      return res.status(404).json({ error: "Session not found", code: "SESSION_NOT_FOUND" });
     }
     
     return res.json({ 
@@ -89,15 +388,75 @@ export const deleteSessionController = async (req, res) => {
     });
   } catch (err) {
     console.error("Error deleting session:", err.message);
-    return res.status(500).json({ error: "Unable to delete session", details: err.message });
+    return sendError(res, err, "Unable to delete session");
+  }
+};
+
+// GET /api/wa/session/:sessionId/export?disconnect=true
+// Downloads a zip with the auth profile and metadata (move a number between servers)
+export const exportSessionController = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await sessionModel.findOne({ sessionId });
+    if (!session) return res.status(404).json({ error: "Session not found", code: "SESSION_NOT_FOUND" });
+
+    const { buffer, hasAuthProfile } = await exportSession(sessionId, { disconnect: req.query.disconnect });
+
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${sessionId}.zip"`,
+      "Cache-Control": "no-store",
+      "X-Auth-Profile-Included": String(hasAuthProfile),
+    });
+    return res.send(buffer);
+  } catch (err) {
+    console.error("Error exporting session:", err.message);
+    return sendError(res, err, "Unable to export session");
   }
 };
 
-// GET /api/wa/session/user/:userId/sessions
+// POST /api/wa/session/import (multipart, file field "bundle")
+// Body: { sessionId?, keepSessionId?, userId?, sessionName?, overwrite? }
+export const importSessionController = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "bundle file is required (field name: bundle)", code: "VALIDATION_FAILED" });
+  }
+
+  try {
+    const { sessionId, sessionName, keepSessionId, overwrite } = req.body;
+    const userId = resolveUserId(req, req.body.userId);
+    if (req.body.userId && !userId) {
+      return sendError(res, apiError("FORBIDDEN", "This API key cannot import sessions for another user"), "Forbidden");
+    }
+
+    const zip = await fs.promises.readFile(req.file.path);
+    const imported = await importSession(zip, {
+      sessionId,
+      userId,
+      sessionName,
+      keepSessionId,
+      overwrite,
+      // Regular keys may only overwrite their own sessions
+      requireOwner: req.auth?.isAdmin ? null : req.auth?.userId,
+    });
+
+    return res.status(201).json({ success: true, ...imported });
+  } catch (err) {
+    console.error("Error importing session:", err.message);
+    return sendError(res, err, "Unable to import session");
+  } finally {
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+};
+
+// GET /api/wa/session/user/:userId/sessions?label=
 export const getUserSessionsList = async (req, res) => {
   try {
     const { userId } = req.params;
-    const sessions = await getUserSessions(userId);
+    if (!resolveUserId(req, userId)) {
+      return sendError(res, apiError("FORBIDDEN", "This API key cannot list another user's sessions"), "Forbidden");
+    }
+    const sessions = await getUserSessions(userId, labelFilter(req.query));
     const activeSessions = getAllActiveSessions();
     
     // Mark which sessions are currently active in memory
@@ -108,7 +467,12 @@ export const getUserSessionsList = async (req, res) => {
         sessionName: s.sessionName,
         userId: s.userId,
         status: s.status,
+        labels: s.labels || [],
+        driver: s.driver || DEFAULT_DRIVER,
+        description: s.description || "",
+        metadata: s.metadata || {},
         isInMemory: !!activeInfo,
+        isHibernated: !activeInfo && s.status === "hibernated",
         isReady: activeInfo?.isReady || false,
         phoneNumber: s.phoneNumber || activeInfo?.phoneNumber || null,
         createdAt: s.createdAt,
@@ -130,7 +494,7 @@ export const getUserSessionsList = async (req, res) => {
     });
   } catch (err) {
     console.error("Error getting user sessions:", err.message);
-    return res.status(500).json({ error: "Unable to get user sessions", details: err.message });
+    return sendError(res, err, "Unable to get user sessions");
   }
 };
 
@@ -152,13 +516,39 @@ export const checkSessionActive = async (req, res) => {
     });
   } catch (err) {
     console.error("Error checking session:", err.message);
-    return res.status(500).json({ error: "Unable to check session status", details: err.message });
+    return sendError(res, err, "Unable to check session status");
   }
 };
 
 // POST /api/wa/session/clear
+// POST /api/wa/admin/sessions/clear (admin only)
+// Wipes every session of every user. Call once without a body to get a
+// confirmationToken, then again with { confirmationToken } within a minute
 export const clearAllSessionsController = async (req, res) => {
   try {
+    const { confirmationToken } = req.body || {};
+
+    if (!confirmationToken) {
+      const total = await sessionModel.countDocuments();
+      const { token, expiresAt } = issueConfirmationToken("clear_all_sessions", req.auth.keyId);
+      return res.status(202).json({
+        message: `This deletes ${total} session(s) of every user. Repeat the request with the confirmationToken to proceed`,
+        sessionCount: total,
+        confirmationToken: token,
+        expiresAt,
+      });
+    }
+
+    if (!verifyConfirmationToken(confirmationToken, "clear_all_sessions", req.auth.keyId)) {
+      return sendError(
+        res,
+        apiError("INVALID_CONFIRMATION_TOKEN", "The token is missing, expired or was issued to another key"),
+        "Invalid or expired confirmationToken",
+        { hint: "Request a new token by calling this endpoint without one" }
+      );
+    }
+
+    console.log(`🧹 All sessions cleared by API key ${req.auth.keyId}`);
     const result = await clearAllSessions();
     return res.json({
       message: "All sessions cleared successfully",
@@ -166,55 +556,114 @@ export const clearAllSessionsController = async (req, res) => {
     });
   } catch (err) {
     console.error("Error clearing sessions:", err.message);
-    return res.status(500).json({ error: "Unable to clear sessions", details: err.message });
+    return sendError(res, err, "Unable to clear sessions");
+  }
+};
+
+// POST /api/wa/session/clear
+// Deletes the caller's own sessions (admins: { userId } picks the user)
+export const clearMySessionsController = async (req, res) => {
+  try {
+    const userId = resolveUserId(req, req.body?.userId, req.auth?.userId);
+    if (!userId && req.auth?.isAdmin) {
+      return sendError(
+        res,
+        apiError("VALIDATION_FAILED", "Admin keys must name the user; use /api/wa/admin/sessions/clear to clear everything"),
+        "userId is required"
+      );
+    }
+    if (!userId) {
+      return sendError(res, apiError("FORBIDDEN", "This API key cannot clear another user's sessions"), "Forbidden");
+    }
+
+    const result = await clearUserSessions(userId);
+    return res.json({
+      message: `Sessions of ${userId} cleared successfully`,
+      userId,
+      cleared: result.cleared,
+      sessionIds: result.sessionIds,
+    });
+  } catch (err) {
+    console.error("Error clearing user sessions:", err.message);
+    return sendError(res, err, "Unable to clear sessions");
   }
 };
 
 // GET /api/wa/session/health
+// Public (no API key): counts only, per-session probe results are in /api/wa/admin/sessions
 export const healthCheck = async (req, res) => {
   try {
     const activeSessionsCount = await sessionModel.countDocuments({
       status: { $in: ["connected", "authenticated"] },
     });
     const activeSessions = getAllActiveSessions();
+    const watchdog = getWatchdogReport();
     
     return res.json({
-      status: "healthy",
+      status: watchdog.unhealthy > 0 ? "degraded" : "healthy",
       activeSessions: activeSessionsCount,
       activeClients: activeSessions.length,
-      sessions: activeSessions,
+      unhealthySessions: watchdog.unhealthy,
+      watchdog: {
+        enabled: watchdog.enabled,
+        intervalMs: watchdog.intervalMs,
+        failureThreshold: watchdog.failureThreshold,
+        probedSessions: watchdog.probed,
+        unhealthySessions: watchdog.unhealthy,
+        restartedSessions: watchdog.restarted,
+        restarts: watchdog.restarts,
+        lastRestartAt: watchdog.lastRestartAt,
+      },
+      pool: getPoolStats(),
       timestamp: new Date().toISOString(),
     });
   } catch (err) {
     console.error("Health check error:", err.message);
-    return res.status(500).json({ error: "Health check failed", details: err.message });
+    return sendError(res, err, "Health check failed");
   }
 };
 
-// GET /api/wa/session/all
+// GET /api/wa/admin/sessions?label= (admin only, /session/all is an alias)
+// QR codes are credentials and are not listed, use /session/:id/status
 export const getAllSessions = async (req, res) => {
   try {
     const activeSessions = getAllActiveSessions();
-    const dbSessions = await sessionModel.find({}).sort({ updatedAt: -1 });
+    const probesById = new Map(getWatchdogReport().probes.map((p) => [p.sessionId, p]));
+    const dbSessions = await sessionModel.find(labelFilter(req.query)).sort({ updatedAt: -1 });
+    const liveIds = new Set(activeSessions.map((a) => a.sessionId));
+
+    // live = browser running, hibernated = parked until next request, offline = neither
+    const sessionState = (s) =>
+      liveIds.has(s.sessionId) ? "live" : s.status === "hibernated" ? "hibernated" : "offline";
     
     return res.json({
-      activeInMemory: activeSessions,
+      activeInMemory: activeSessions.map((s) => ({
+        ...s,
+        probe: probesById.get(s.sessionId) || null,
+      })),
       sessions: dbSessions.map(s => ({
         sessionId: s.sessionId,
         sessionName: s.sessionName,
         userId: s.userId,
         status: s.status,
+        state: sessionState(s),
         phoneNumber: s.phoneNumber,
-        qr: s.qr, // Include QR code for frontend display
+        labels: s.labels || [],
+        driver: s.driver || DEFAULT_DRIVER,
+        description: s.description || "",
+        metadata: s.metadata || {},
+        hasQr: !!s.qr,
         createdAt: s.createdAt,
         updatedAt: s.updatedAt,
       })),
       totalActive: activeSessions.length,
+      totalHibernated: dbSessions.filter((s) => sessionState(s) === "hibernated").length,
       totalInDb: dbSessions.length,
+      pool: getPoolStats(),
     });
   } catch (err) {
     console.error("Error getting all sessions:", err.message);
-    return res.status(500).json({ error: "Unable to get sessions", details: err.message });
+    return sendError(res, err, "Unable to get sessions");
   }
 };
 
@@ -222,10 +671,6 @@ export const getAllSessions = async (req, res) => {
 export const restoreSessionController = async (req, res) => {
   try {
     const { sessionId } = req.params;
-    
-    if (!sessionId) {
-      return res.status(400).json({ error: "sessionId required" });
-    }
 
     console.log(`♻️ Manual restore requested for: ${sessionId}`);
     await restoreSession(sessionId);
@@ -237,9 +682,6 @@ export const restoreSessionController = async (req, res) => {
     });
   } catch (err) {
     console.error("Error restoring session:", err.message);
-    return res.status(500).json({ 
-      error: "Unable to restore session", 
-      details: err.message 
-    });
+    return sendError(res, err, "Unable to restore session");
   }
 };
@@ -2,6 +2,7 @@ import { getClient, getOrRestoreClient } from "../services/waManager.js";
 import fs from "fs";
 import pkg from "whatsapp-web.js";
 const { Buttons, Poll, Location } = pkg; 
+import { apiError, sendError } from "../middleware/errors.js";
 
 //
 // 🧩 1️⃣ Export Group Members
@@ -17,12 +18,12 @@ export const exportGroupMembers = async (req, res) => {
       groupId = req.query.groupId;
     }
 
-    if (!sessionId || !groupId)
-      return res.status(400).json({ error: "sessionId and groupId required" });
+    if (!groupId)
+      return res.status(400).json({ error: "groupId required (path or query)", code: "VALIDATION_FAILED" });
 
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
     // Resolve group name to ID if needed
     if (!groupId.includes('@g.us')) {
@@ -38,6 +39,7 @@ export const exportGroupMembers = async (req, res) => {
       } else {
         return res.status(404).json({ 
           error: `Group not found: ${groupId}`,
+          code: "GROUP_NOT_FOUND",
           hint: "Use exact group name or group ID"
         });
       }
@@ -45,7 +47,7 @@ export const exportGroupMembers = async (req, res) => {
 
     const chat = await client.getChatById(groupId);
     if (!chat.isGroup)
-      return res.status(400).json({ error: "Provided ID is not a group" });
+      return sendError(res, apiError("NOT_A_GROUP", `${groupId} is not a group chat`), "Provided ID is not a group");
 
     const members = [];
 
@@ -75,10 +77,7 @@ export const exportGroupMembers = async (req, res) => {
     });
   } catch (err) {
     console.error("❌ Error exporting group members:", err.message);
-    return res.status(500).json({
-      error: "Failed to export members",
-      details: err.message,
-    });
+    return sendError(res, err, "Failed to export members");
   }
 };
 
@@ -91,18 +90,13 @@ export const addBulkMembers = async (req, res) => {
     const { groupId } = req.params;
     const { sessionId, waIds } = req.body;
 
-    if (!sessionId || !groupId || !waIds)
-      return res
-        .status(400)
-        .json({ error: "sessionId, groupId, and waIds required" });
-
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
     const chat = await client.getChatById(groupId);
     if (!chat.isGroup)
-      return res.status(400).json({ error: "Provided ID is not a group" });
+      return sendError(res, apiError("NOT_A_GROUP", `${groupId} is not a group chat`), "Provided ID is not a group");
 
     const results = [];
 
@@ -120,9 +114,7 @@ export const addBulkMembers = async (req, res) => {
     return res.json({ results });
   } catch (err) {
     console.error("❌ Error adding bulk members:", err);
-    return res
-      .status(500)
-      .json({ error: "Failed to add members", details: err.message });
+    return sendError(res, err, "Failed to add members");
   }
 };
 
@@ -133,17 +125,13 @@ export const checkNumberValidity = async (req, res) => {
   try {
     const { numbers, sessionId } = req.query;
 
-    if (!sessionId || !numbers)
-      return res.status(400).json({ error: "sessionId and numbers required" });
-
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
-    const numberList = numbers.split(",");
     const results = [];
 
-    for (const num of numberList) {
+    for (const num of numbers) {
       const waId = `${num}@c.us`;
       const exists = await client.isRegisteredUser(waId);
       results.push({ number: num, hasWhatsapp: exists });
@@ -152,9 +140,7 @@ export const checkNumberValidity = async (req, res) => {
     return res.json({ results });
   } catch (err) {
     console.error("❌ Error checking number validity:", err);
-    return res
-      .status(500)
-      .json({ error: "Failed to check validity", details: err.message });
+    return sendError(res, err, "Failed to check validity");
   }
 };
 
@@ -165,21 +151,16 @@ export const getProfilePic = async (req, res) => {
   try {
     const { waId, sessionId } = req.query;
 
-    if (!sessionId || !waId)
-      return res.status(400).json({ error: "sessionId and waId required" });
-
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
     const profilePicUrl = await client.getProfilePicUrl(waId);
 
     return res.json({ waId, profilePicUrl });
   } catch (err) {
     console.error("❌ Error fetching profile pic:", err);
-    return res
-      .status(500)
-      .json({ error: "Failed to fetch profile pic", details: err.message });
+    return sendError(res, err, "Failed to fetch profile pic");
   }
 };
 
@@ -188,17 +169,14 @@ export const getProfilePic = async (req, res) => {
 //
 export const getMessageHistory = async (req, res) => {
   try {
-    const { sessionId, chatId } = req.query;
-
-    if (!sessionId || !chatId)
-      return res.status(400).json({ error: "sessionId and chatId required" });
+    const { sessionId, chatId, limit } = req.query;
 
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info)
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
 
     const chat = await client.getChatById(chatId);
-    const messages = await chat.fetchMessages({ limit: 50 });
+    const messages = await chat.fetchMessages({ limit });
 
     const formatted = messages.map((m) => ({
       messageId: m.id._serialized,
@@ -211,9 +189,7 @@ export const getMessageHistory = async (req, res) => {
     return res.json(formatted);
   } catch (err) {
     console.error("❌ Error getting message history:", err);
-    return res
-      .status(500)
-      .json({ error: "Failed to get messages", details: err.message });
+    return sendError(res, err, "Failed to get messages");
   }
 };
 
@@ -267,17 +243,11 @@ async function resolveChatId(client, target) {
 --------------------------------------------------- */
 export const createPoll = async (req, res) => {
   try {
-    const { sessionId, group, question, options, allowMultipleAnswers = false } = req.body;
-
-    if (!sessionId || !group || !question || !Array.isArray(options) || options.length === 0) {
-      return res.status(400).json({
-        error: "sessionId, group, question, and options[] are required",
-      });
-    }
+    const { sessionId, group, question, options, allowMultipleAnswers } = req.body;
 
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info) {
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
     }
 
     // Resolve group name to ID
@@ -294,6 +264,7 @@ export const createPoll = async (req, res) => {
       } else {
         return res.status(404).json({ 
           error: `Group not found: ${group}`,
+          code: "GROUP_NOT_FOUND",
           hint: "Use exact group name or group ID"
         });
       }
@@ -344,10 +315,7 @@ export const createPoll = async (req, res) => {
     }
   } catch (err) {
     console.error("❌ Error creating poll:", err.message);
-    return res.status(500).json({ 
-      error: "Failed to create poll", 
-      details: err.message 
-    });
+    return sendError(res, err, "Failed to create poll");
   }
 };
 
@@ -359,13 +327,9 @@ export const listChannels = async (req, res) => {
   try {
     const { sessionId } = req.query;
 
-    if (!sessionId) {
-      return res.status(400).json({ error: "sessionId required" });
-    }
-
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info) {
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
     }
 
     console.log(`📺 Fetching channels for session: ${sessionId}`);
@@ -420,9 +384,7 @@ export const listChannels = async (req, res) => {
     });
   } catch (err) {
     console.error("❌ Error listing channels:", err.message);
-    return res.status(500).json({
-      error: "Failed to list channels",
-      details: err.message,
+    return sendError(res, err, "Failed to list channels", {
       note: "Channels feature may not be available for all WhatsApp accounts"
     });
   }
@@ -436,15 +398,9 @@ export const sendLocation = async (req, res) => {
   try {
     const { sessionId, to, latitude, longitude, name, address } = req.body;
 
-    if (!sessionId || !to || latitude === undefined || longitude === undefined) {
-      return res.status(400).json({ 
-        error: "sessionId, to, latitude, and longitude required" 
-      });
-    }
-
     const client = await getOrRestoreClient(sessionId);
     if (!client || !client.info) {
-      return res.status(400).json({ error: "Session not ready yet" });
+      return res.status(409).json({ error: "Session not ready yet", code: "SESSION_NOT_READY" });
     }
 
     console.log(`📍 Sending location (${latitude}, ${longitude}) to: ${to}`);
@@ -479,6 +435,7 @@ export const sendLocation = async (req, res) => {
     if (!resolved.id) {
       return res.status(404).json({
         error: `Recipient not found: ${to}`,
+        code: "RECIPIENT_NOT_FOUND",
         hint: "Use phone number with country code or exact group name"
       });
     }
@@ -502,9 +459,6 @@ export const sendLocation = async (req, res) => {
     });
   } catch (err) {
     console.error("❌ Error sending location:", err.message);
-    return res.status(500).json({
-      error: "Failed to send location",
-      details: err.message,
-    });
+    return sendError(res, err, "Failed to send location");
   }
 };
\ No newline at end of file
@@ -4,6 +4,7 @@ import {
   unregisterWebhook,
   getRegisteredWebhooks,
 } from "../services/webhookManager.js";
+import { apiError, sendError } from "../middleware/errors.js";
 
 /* ---------------------------------------------------
    Register a Webhook
@@ -12,13 +13,6 @@ export const register = async (req, res) => {
   try {
     const { eventType, url } = req.body;
 
-    if (!eventType || !url) {
-      return res.status(400).json({
-        error: "eventType and url are required",
-        supportedEvents: ["message", "delivery", "group", "session"],
-      });
-    }
-
     registerWebhook(eventType, url);
 
     return res.json({
@@ -29,10 +23,7 @@ export const register = async (req, res) => {
     });
   } catch (err) {
     console.error("Error registering webhook:", err.message);
-    return res.status(500).json({
-      error: "Failed to register webhook",
-      details: err.message,
-    });
+    return sendError(res, err, "Failed to register webhook");
   }
 };
 
@@ -43,10 +34,6 @@ export const unregister = async (req, res) => {
   try {
     const { eventType } = req.body;
 
-    if (!eventType) {
-      return res.status(400).json({ error: "eventType is required" });
-    }
-
     unregisterWebhook(eventType);
 
     return res.json({
@@ -56,10 +43,7 @@ export const unregister = async (req, res) => {
     });
   } catch (err) {
     console.error("Error unregistering webhook:", err.message);
-    return res.status(500).json({
-      error: "Failed to unregister webhook",
-      details: err.message,
-    });
+    return sendError(res, err, "Failed to unregister webhook");
   }
 };
 
@@ -82,10 +66,7 @@ export const getWebhooks = async (req, res) => {
     });
   } catch (err) {
     console.error("Error getting webhooks:", err.message);
-    return res.status(500).json({
-      error: "Failed to get webhooks",
-      details: err.message,
-    });
+    return sendError(res, err, "Failed to get webhooks");
   }
 };
 
@@ -96,12 +77,6 @@ export const testWebhook = async (req, res) => {
   try {
     const { eventType, url } = req.body;
 
-    if (!eventType || !url) {
-      return res.status(400).json({
-        error: "eventType and url are required",
-      });
-    }
-
     const testPayloads = {
       message: {
         event: "message.received",
@@ -140,8 +115,7 @@ export const testWebhook = async (req, res) => {
 
     const payload = testPayloads[eventType];
     if (!payload) {
-      return res.status(400).json({
-        error: "Invalid eventType",
+      return sendError(res, apiError("VALIDATION_FAILED", `Unknown eventType "${eventType}"`), "Invalid eventType", {
         supportedEvents: Object.keys(testPayloads),
       });
     }
@@ -167,10 +141,7 @@ export const testWebhook = async (req, res) => {
     });
   } catch (err) {
     console.error("Error testing webhook:", err.message);
-    return res.status(500).json({
-      error: "Failed to send test webhook",
-      details: err.message,
-    });
+    return sendError(res, err, "Failed to send test webhook");
   }
 };
 
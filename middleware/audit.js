@@ -0,0 +1,82 @@
+// middleware/audit.js
+import auditLogModel from "../models/auditLog.js";
+import { extractSessionId } from "./sessionRouting.js";
+
+/* -----------------------------------------------------
+   Audit trail of mutating API calls
+   - Who (API key / user), what (route, session, target
+     chat), outcome and duration, written when the
+     response is finished (or the client went away)
+   - Request bodies are not stored (message text, files)
+----------------------------------------------------- */
+const ENABLED = process.env.AUDIT_LOG_ENABLED !== "false";
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Recipient of the call, from the usual body fields or a /group/:groupId/ path
+function extractTarget(req) {
+  const body = req.body || {};
+  const target = body.to || body.chatId || body.groupId || body.groupName || body.waId || body.number;
+  if (target) return String(target);
+
+  const groupMatch = req.originalUrl.match(/^\/api\/wa\/(?:utility\/)?group\/([^/?]+@g\.us)/);
+  return groupMatch ? decodeURIComponent(groupMatch[1]) : undefined;
+}
+
+function extractTargetCount(req) {
+  const body = req.body || {};
+  const list = body.numbers || body.recipients || body.groupIds || body.groupNames;
+  if (Array.isArray(list)) return list.length;
+  if (typeof list === "string" && list.trim()) return list.split(",").length;
+  return undefined;
+}
+
+function outcomeFor(statusCode, finished) {
+  if (!finished) return "aborted";
+  if (statusCode >= 500) return "server_error";
+  if (statusCode >= 400) return "client_error";
+  if (statusCode >= 300) return "redirected";
+  return "success";
+}
+
+export const auditLog = (req, res, next) => {
+  if (!ENABLED || READ_METHODS.includes(req.method)) return next();
+
+  const started = Date.now();
+
+  // Keep the error message of failed calls
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body) {
+      res.locals.auditError = [body.error || body.message, body.details].filter(Boolean).join(": ");
+    }
+    return json(body);
+  };
+
+  let recorded = false;
+  const record = (finished) => {
+    if (recorded) return;
+    recorded = true;
+
+    auditLogModel
+      .create({
+        method: req.method,
+        route: req.route ? req.baseUrl + req.route.path : req.originalUrl.split("?")[0],
+        path: req.originalUrl.split("?")[0],
+        keyId: req.auth?.keyId,
+        userId: req.auth?.userId || undefined,
+        sessionId: extractSessionId(req) || undefined,
+        target: extractTarget(req),
+        targetCount: extractTargetCount(req),
+        statusCode: finished ? res.statusCode : undefined,
+        outcome: outcomeFor(res.statusCode, finished),
+        error: res.locals.auditError?.slice(0, 500),
+        durationMs: Date.now() - started,
+        ip: req.ip,
+      })
+      .catch((err) => console.error(`❌ Failed to write audit log for ${req.method} ${req.originalUrl}:`, err.message));
+  };
+
+  res.on("finish", () => record(true));
+  res.on("close", () => record(res.writableFinished));
+  next();
+};
@@ -0,0 +1,85 @@
+// middleware/auth.js
+import sessionModel from "../models/session.js";
+import { verifyApiKey } from "../services/apiKeyManager.js";
+import { extractSessionIds, cleanupUploads } from "./sessionRouting.js";
+import { apiError, sendError } from "./errors.js";
+
+/* -----------------------------------------------------
+   Authentication & authorization
+   - authenticate:     resolves x-api-key into req.auth
+   - requireScope:     the key must carry a scope
+   - scopeFor:         read / write scope by HTTP method
+   - authorizeSession: every session in the request (sessionId,
+                       sessionIds) must belong to the key's user
+   Admin keys pass every check
+----------------------------------------------------- */
+
+export const authenticate = async (req, res, next) => {
+  try {
+    const header = req.header("authorization") || "";
+    const apiKey = req.header("x-api-key") || (header.startsWith("Bearer ") ? header.slice(7) : null);
+
+    const auth = await verifyApiKey(apiKey);
+    if (!auth) {
+      return res.status(401).json({ error: "Unauthorized", code: "UNAUTHORIZED", details: "Missing or invalid API key" });
+    }
+    req.auth = auth;
+    next();
+  } catch (err) {
+    console.error("❌ API key check failed:", err.message);
+    sendError(res, err, "Unable to verify API key");
+  }
+};
+
+export function hasScope(auth, scope) {
+  return !!auth && (auth.isAdmin || auth.scopes.includes(scope));
+}
+
+export const requireScope = (scope) => (req, res, next) => {
+  if (hasScope(req.auth, scope)) return next();
+  return sendError(res, apiError("FORBIDDEN", `This API key lacks the "${scope}" scope`), "Forbidden", { requiredScope: scope });
+};
+
+// GET/HEAD need the read scope, everything else the write scope.
+// overrides: [[/path regex/, scope]] for routes that need something else
+export const scopeFor = ({ read, write, overrides = [] }) => (req, res, next) => {
+  const override = overrides.find(([pattern]) => pattern.test(req.path));
+  const scope = override ? override[1] : ["GET", "HEAD"].includes(req.method) ? read : write;
+  return requireScope(scope)(req, res, next);
+};
+
+/* -----------------------------------------------------
+   Session ownership
+   Unknown sessions fall through (controllers answer 404)
+----------------------------------------------------- */
+export const authorizeSession = async (req, res, next) => {
+  if (req.auth?.isAdmin) return next();
+
+  const sessionIds = extractSessionIds(req);
+  if (!sessionIds.length) return next();
+
+  try {
+    const sessions = await sessionModel.find({ sessionId: { $in: sessionIds } }, { sessionId: 1, userId: 1 }).lean();
+    const foreign = sessions.find((session) => session.userId !== req.auth?.userId);
+    if (foreign) {
+      cleanupUploads(req);
+      return sendError(res, apiError("FORBIDDEN", `Session ${foreign.sessionId} belongs to another user`), "Forbidden");
+    }
+    next();
+  } catch (err) {
+    console.error(`❌ Session ownership check failed for ${sessionIds.join(", ")}:`, err.message);
+    sendError(res, err, "Unable to verify session ownership");
+  }
+};
+
+/* -----------------------------------------------------
+   userId a request acts for
+   - Regular keys always act for their own user
+   - Admin keys may name any user (fallback: `fallback`)
+   Returns null when a regular key names another user
+----------------------------------------------------- */
+export function resolveUserId(req, requested, fallback = null) {
+  if (req.auth?.isAdmin) return requested || fallback;
+  if (requested && requested !== req.auth?.userId) return null;
+  return req.auth?.userId ?? null;
+}
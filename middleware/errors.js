@@ -0,0 +1,133 @@
+// middleware/errors.js
+import { cleanupUploads } from "./sessionRouting.js";
+
+/* -----------------------------------------------------
+   Error envelope
+   Every error response has the same shape:
+     { error: "<message>", code: "<MACHINE_CODE>", details?, ... }
+   - error:   human readable, safe to show
+   - code:    stable, for clients to branch on
+   - details: the underlying reason / validation issues
+   Handlers may add context fields (hint, sessionId...)
+----------------------------------------------------- */
+
+// Codes with a fixed HTTP status. Errors thrown with one of
+// these as err.code (waManager, proxyConfig...) keep it
+export const ERROR_STATUS = {
+  VALIDATION_FAILED: 400,
+  PROXY_INVALID: 400,
+  BUNDLE_INVALID: 400,
+  INVALID_CONFIRMATION_TOKEN: 400,
+  NOT_A_GROUP: 400,
+  NOT_A_SANDBOX_SESSION: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  SESSION_FORBIDDEN: 403,
+  DRIVER_DISABLED: 403,
+  NOT_FOUND: 404,
+  SESSION_NOT_FOUND: 404,
+  RECIPIENT_NOT_FOUND: 404,
+  GROUP_NOT_FOUND: 404,
+  MESSAGE_NOT_FOUND: 404,
+  JOB_NOT_FOUND: 404,
+  SCHEDULE_NOT_FOUND: 404,
+  API_KEY_NOT_FOUND: 404,
+  QR_NOT_AVAILABLE: 404,
+  NO_MEMBERS: 404,
+  SESSION_NOT_READY: 409,
+  SESSION_EXISTS: 409,
+  SESSION_LIMIT_REACHED: 409,
+  SESSION_OWNED_ELSEWHERE: 409,
+  INVALID_JOB_STATE: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  PROFILE_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500,
+  SESSION_OWNER_UNREACHABLE: 502,
+  SERVICE_UNAVAILABLE: 503,
+  SHUTTING_DOWN: 503,
+};
+
+// Fallback code when a handler only set the status
+const CODE_BY_STATUS = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  429: "RATE_LIMITED",
+  503: "SERVICE_UNAVAILABLE",
+};
+
+const codeForStatus = (status) => CODE_BY_STATUS[status] || (status >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST");
+
+// Error with one of the codes above, for sendError(res, apiError(...), message)
+export function apiError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Reply to a caught error: known err.code values keep their
+// status and code, anything else is a 500
+export function sendError(res, err, message, extra = {}) {
+  const known = err?.code && ERROR_STATUS[err.code];
+  return res.status(known || 500).json({
+    error: message,
+    code: known ? err.code : "INTERNAL_ERROR",
+    details: err?.message,
+    ...extra,
+  });
+}
+
+/* -----------------------------------------------------
+   Normalize every error body to the envelope
+   ({ message } -> { error }, missing code from the status)
+   so older handlers answer in the same format
+----------------------------------------------------- */
+export const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === "object" && !Array.isArray(body)) {
+      const { error, code, message, ...rest } = body;
+      body = {
+        error: error || message || "Request failed",
+        code: code || codeForStatus(res.statusCode),
+        ...rest,
+      };
+      // message stays only when it isn't the error text
+      if (error && message !== undefined) body.message = message;
+    }
+    return json(body);
+  };
+  next();
+};
+
+// Unknown routes answer JSON instead of Express' HTML page
+export const notFound = (req, res) => {
+  res.status(404).json({ error: `Route not found: ${req.method} ${req.path}`, code: "NOT_FOUND" });
+};
+
+// Errors passed to next() or thrown by body parsers / multer
+export const errorHandler = (err, req, res, next) => {
+  cleanupUploads(req);
+  if (res.headersSent) return res.end();
+
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Malformed JSON body", code: "VALIDATION_FAILED", details: err.message });
+  }
+  if (err.type === "entity.too.large" || err.code === "LIMIT_FILE_SIZE") {
+    return res.status(413).json({ error: "Request too large", code: "PAYLOAD_TOO_LARGE", details: err.message });
+  }
+  if (err.name === "MulterError") {
+    return res.status(400).json({
+      error: "Invalid file upload",
+      code: "VALIDATION_FAILED",
+      details: err.field ? `${err.message} (field: ${err.field})` : err.message,
+    });
+  }
+
+  console.error(`❌ Unhandled error on ${req.method} ${req.originalUrl}:`, err.message);
+  return sendError(res, err, "Internal server error");
+};
@@ -0,0 +1,142 @@
+// middleware/rateLimit.js
+import { extractSessionId, extractSessionIds, cleanupUploads } from "./sessionRouting.js";
+
+/* -----------------------------------------------------
+   Token-bucket rate limiting
+   - per API key: every request
+   - per session: mutating requests (sends, batch jobs...)
+     so a client stuck in a loop can't get a number banned
+   - per endpoint: expensive calls that walk every chat or
+     hit WhatsApp servers, bucketed by session (or key)
+   Limits are "<requests>/<sec|min|hour>": a bucket holds
+   that many tokens and refills at that rate.
+   Buckets live in memory on each instance; session traffic
+   is already routed to the owning instance.
+----------------------------------------------------- */
+const ENABLED = process.env.RATE_LIMIT_ENABLED !== "false";
+
+const UNIT_MS = { s: 1000, sec: 1000, m: 60000, min: 60000, h: 3600000, hour: 3600000 };
+
+function parseLimit(value, fallback) {
+  const match = String(value || fallback).trim().match(/^(\d+)\s*\/\s*(s|sec|m|min|h|hour)$/);
+  if (!match) {
+    console.error(`⚠️ Invalid rate limit "${value}", using ${fallback}`);
+    return parseLimit(fallback, fallback);
+  }
+  const capacity = parseInt(match[1]);
+  return { capacity, refillPerMs: capacity / UNIT_MS[match[2]], label: `${capacity}/${match[2]}` };
+}
+
+const KEY_LIMIT = parseLimit(process.env.RATE_LIMIT_PER_KEY, "300/min");
+const SESSION_LIMIT = parseLimit(process.env.RATE_LIMIT_PER_SESSION, "60/min");
+
+// Expensive endpoints get their own, much smaller bucket
+const EXPENSIVE_ENDPOINTS = [
+  { name: "group-list", pattern: /^\/api\/wa\/group\/(grouplist|latestgroups|getgroup)$/, envKey: "RATE_LIMIT_GROUP_LIST", fallback: "10/min" },
+  { name: "number-validity", pattern: /^\/api\/wa\/(utility\/number\/validity|contact\/check)$/, envKey: "RATE_LIMIT_NUMBER_CHECK", fallback: "30/min" },
+  { name: "members-export", pattern: /^\/api\/wa\/utility\/(group\/[^/]+\/members\/export|export-group-members)$/, envKey: "RATE_LIMIT_MEMBERS_EXPORT", fallback: "5/min" },
+  { name: "message-history", pattern: /^\/api\/wa\/utility\/(messages\/history|channels\/list)$/, envKey: "RATE_LIMIT_HISTORY", fallback: "20/min" },
+].map((e) => ({ ...e, limit: parseLimit(process.env[e.envKey], e.fallback) }));
+
+// bucketKey -> { tokens, updatedAt, capacity, refillPerMs }
+const buckets = new Map();
+
+function refill(bucketKey, limit, now) {
+  let bucket = buckets.get(bucketKey);
+  if (!bucket) {
+    bucket = { tokens: limit.capacity, updatedAt: now, ...limit };
+    buckets.set(bucketKey, bucket);
+    return bucket;
+  }
+  bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) * limit.refillPerMs);
+  bucket.updatedAt = now;
+  return bucket;
+}
+
+// Full buckets carry no information, drop them
+const sweeper = setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of buckets) {
+    if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+      buckets.delete(key);
+    }
+  }
+}, 60000);
+sweeper.unref();
+
+function bucketsFor(req, { sessionOnly = false } = {}) {
+  const list = [];
+  const path = req.baseUrl + req.path;
+  const caller = req.auth?.keyId || req.ip;
+  const sessionId = extractSessionId(req);
+  const isWrite = !["GET", "HEAD", "OPTIONS"].includes(req.method);
+  // Multipart bodies are parsed later, the route re-runs the session check
+  // (JSON bodies were counted here already, not twice)
+  const isMultipart = !!req.is("multipart/form-data");
+  const sessionKnown = sessionOnly ? isMultipart : !isMultipart;
+
+  if (!sessionOnly) {
+    list.push({ scope: "key", key: `key:${caller}`, limit: KEY_LIMIT });
+
+    const expensive = EXPENSIVE_ENDPOINTS.find((e) => e.pattern.test(path));
+    if (expensive) {
+      list.push({
+        scope: expensive.name,
+        key: `${expensive.name}:${sessionId || caller}`,
+        limit: expensive.limit,
+      });
+    }
+  }
+
+  // Batch sends spend a token from every session they use
+  if (sessionKnown && isWrite) {
+    for (const id of extractSessionIds(req)) {
+      list.push({ scope: "session", key: `session:${id}`, limit: SESSION_LIMIT });
+    }
+  }
+  return list;
+}
+
+function applyLimits(req, res, next, options) {
+  if (!ENABLED) return next();
+
+  const now = Date.now();
+  const checks = bucketsFor(req, options).map((c) => ({ ...c, bucket: refill(c.key, c.limit, now) }));
+  if (!checks.length) return next();
+
+  // Only spend tokens when every bucket has one
+  const blocked = checks.find((c) => c.bucket.tokens < 1);
+  if (!blocked) {
+    for (const c of checks) c.bucket.tokens -= 1;
+  }
+
+  // Report the tightest bucket
+  const tightest = blocked || checks.reduce((a, b) => (b.bucket.tokens / b.limit.capacity < a.bucket.tokens / a.limit.capacity ? b : a));
+  const { bucket, limit } = tightest;
+  const resetSeconds = Math.ceil((limit.capacity - bucket.tokens) / limit.refillPerMs / 1000);
+  res.set({
+    "RateLimit-Limit": String(limit.capacity),
+    "RateLimit-Remaining": String(Math.max(Math.floor(bucket.tokens), 0)),
+    "RateLimit-Reset": String(resetSeconds),
+    "RateLimit-Policy": `${limit.capacity};w=${Math.round(limit.capacity / limit.refillPerMs / 1000)};name="${tightest.scope}"`,
+  });
+
+  if (!blocked) return next();
+
+  const retryAfter = Math.max(Math.ceil((1 - bucket.tokens) / limit.refillPerMs / 1000), 1);
+  console.log(`🚦 Rate limited (${blocked.scope} ${limit.label}): ${req.method} ${req.originalUrl} [${blocked.key}]`);
+  cleanupUploads(req);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: "Too many requests",
+    code: "RATE_LIMITED",
+    details: `Rate limit of ${limit.label} exceeded (${blocked.scope})`,
+    limit: blocked.scope,
+    retryAfter,
+  });
+}
+
+export const rateLimit = (req, res, next) => applyLimits(req, res, next);
+
+// For multipart routes, after multer has parsed the sessionId
+export const rateLimitSession = (req, res, next) => applyLimits(req, res, next, { sessionOnly: true });
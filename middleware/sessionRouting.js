@@ -0,0 +1,142 @@
+// middleware/sessionRouting.js
+import fs from "fs";
+import axios from "axios";
+import { INSTANCE_ID, getSessionOwner } from "../services/leaseManager.js";
+import { apiError, sendError } from "./errors.js";
+
+/* -----------------------------------------------------
+   Route session requests to the instance that owns it
+   - A session's browser runs on a single instance (lease)
+   - Requests landing elsewhere are redirected (307) or
+     proxied to the owner, depending on SESSION_ROUTING_MODE
+----------------------------------------------------- */
+const ROUTING_MODE = process.env.SESSION_ROUTING_MODE === "proxy" ? "proxy" : "redirect";
+const PROXY_TIMEOUT_MS = parseInt(process.env.SESSION_PROXY_TIMEOUT_MS) || 120000;
+const FORWARDED_HEADER = "x-forwarded-instance";
+
+// /api/wa/session/<word> paths that are not session ids
+const RESERVED_SESSION_PATHS = new Set(["health", "all", "connect", "clear", "user", "import"]);
+
+export function extractSessionId(req) {
+  const match = req.originalUrl.match(/^\/api\/wa\/session\/([^/?]+)/);
+  if (match && !RESERVED_SESSION_PATHS.has(match[1])) {
+    return decodeURIComponent(match[1]);
+  }
+  return req.query?.sessionId || req.body?.sessionId || null;
+}
+
+// sessionIds as the schema parsed it, or still raw (JSON string) before validation
+function sessionIdList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== "string" || !value.trim()) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [value];
+  } catch {
+    return [value];
+  }
+}
+
+// Every session a request acts on: the one above plus a batch's sessionIds
+export function extractSessionIds(req) {
+  const ids = [extractSessionId(req), ...sessionIdList(req.body?.sessionIds)]
+    .filter((id) => typeof id === "string" && id.trim())
+    .map((id) => id.trim());
+  return [...new Set(ids)];
+}
+
+// Multer already wrote these files, drop them when the request is not handled here
+export function cleanupUploads(req) {
+  const files = [
+    ...(req.file ? [req.file] : []),
+    ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat()),
+  ];
+  for (const file of files) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+// Credentials and content negotiation go to the owner, the body is re-sent as JSON
+const FORWARDED_REQUEST_HEADERS = ["x-api-key", "authorization", "accept", "accept-language"];
+// Owner headers the caller needs (downloads, rate limits, retries)
+const FORWARDED_RESPONSE_HEADERS = [
+  "content-type",
+  "content-disposition",
+  "retry-after",
+  "ratelimit-limit",
+  "ratelimit-remaining",
+  "ratelimit-reset",
+  "ratelimit-policy",
+];
+
+async function proxyToOwner(req, res, owner) {
+  const headers = { "content-type": "application/json", [FORWARDED_HEADER]: INSTANCE_ID };
+  for (const name of FORWARDED_REQUEST_HEADERS) {
+    if (req.header(name)) headers[name] = req.header(name);
+  }
+
+  const response = await axios({
+    method: req.method,
+    url: owner.ownerUrl + req.originalUrl,
+    data: req.body,
+    headers,
+    responseType: "arraybuffer",
+    timeout: PROXY_TIMEOUT_MS,
+    validateStatus: () => true,
+  });
+
+  res.status(response.status);
+  for (const name of FORWARDED_RESPONSE_HEADERS) {
+    if (response.headers[name]) res.set(name, response.headers[name]);
+  }
+  res.set("X-Session-Owner", owner.ownerInstanceId);
+  res.send(Buffer.from(response.data));
+}
+
+export const routeToSessionOwner = async (req, res, next) => {
+  const sessionIds = extractSessionIds(req);
+  if (!sessionIds.length) return next();
+  const sessionId = sessionIds.join(", ");
+
+  try {
+    // Batches over several sessions are only forwarded when one other instance
+    // runs all of them; otherwise they are queued here and the job worker hands
+    // each recipient to the instance owning its session
+    const owners = await Promise.all(sessionIds.map((id) => getSessionOwner(id)));
+    const owner = owners[0];
+    if (!owners.every((o) => o?.isRemote && o.ownerInstanceId === owner.ownerInstanceId)) return next();
+
+    // Already forwarded once: the owner moved in between, don't bounce around
+    if (req.header(FORWARDED_HEADER)) {
+      return sendError(
+        res,
+        apiError("SESSION_OWNED_ELSEWHERE", `Session ${sessionId} moved to ${owner.ownerInstanceId} while forwarding`),
+        "Session ownership changed, retry the request",
+        { sessionId, ownerInstanceId: owner.ownerInstanceId }
+      );
+    }
+
+    if (!owner.ownerUrl) {
+      return sendError(
+        res,
+        apiError("SESSION_OWNED_ELSEWHERE", "The owning instance has no INSTANCE_URL configured"),
+        "Session is running on another instance",
+        { sessionId, ownerInstanceId: owner.ownerInstanceId }
+      );
+    }
+
+    const isMultipart = req.is("multipart/form-data");
+    if (ROUTING_MODE === "proxy" && !isMultipart && req.header("accept") !== "text/event-stream") {
+      console.log(`🔀 Proxying ${req.method} ${req.originalUrl} to ${owner.ownerInstanceId}`);
+      return await proxyToOwner(req, res, owner);
+    }
+
+    // 307 keeps the method and body, clients resend them to the owner
+    cleanupUploads(req);
+    res.set("X-Session-Owner", owner.ownerInstanceId);
+    return res.redirect(307, owner.ownerUrl + req.originalUrl);
+  } catch (error) {
+    console.error(`❌ Session routing failed for ${sessionId}:`, error.message);
+    sendError(res, apiError("SESSION_OWNER_UNREACHABLE", error.message), "Failed to reach the session owner");
+  }
+};
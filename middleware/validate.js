@@ -0,0 +1,46 @@
+// middleware/validate.js
+import { cleanupUploads } from "./sessionRouting.js";
+
+/* -----------------------------------------------------
+   Request validation
+   validate({ params, query, body }) checks each part
+   against a zod schema (see schemas/) and replaces it
+   with the parsed value: defaults applied, numbers and
+   booleans coerced, unknown fields dropped.
+   Failures answer 400 VALIDATION_FAILED listing every
+   issue as { location, field, message }.
+   On multipart routes it must run after multer.
+----------------------------------------------------- */
+const LOCATIONS = ["params", "query", "body"];
+
+export const validate = (schemas) => (req, res, next) => {
+  const issues = [];
+  const parsed = {};
+
+  for (const location of LOCATIONS) {
+    if (!schemas[location]) continue;
+    const result = schemas[location].safeParse(req[location] ?? {});
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      for (const issue of result.error.issues) {
+        issues.push({ location, field: issue.path.join(".") || null, message: issue.message });
+      }
+    }
+  }
+
+  if (issues.length) {
+    cleanupUploads(req);
+    const first = issues[0];
+    return res.status(400).json({
+      error: first.field ? `${first.field}: ${first.message}` : first.message,
+      code: "VALIDATION_FAILED",
+      details: issues,
+    });
+  }
+
+  for (const [location, value] of Object.entries(parsed)) {
+    req[location] = value;
+  }
+  next();
+};
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// Scopes a key can carry ("admin" implies all of them and cross-user access)
+export const API_KEY_SCOPES = [
+  "sessions:read",
+  "sessions:write",
+  "messages:read",
+  "messages:send",
+  "contacts:read",
+  "contacts:write",
+  "groups:read",
+  "groups:write",
+  "admin",
+];
+
+const ApiKeySchema = new mongoose.Schema(
+  {
+    keyId: { type: String, required: true, unique: true }, // public part, shown in listings
+    keyHash: { type: String, required: true, unique: true }, // sha256 of the full key, the key itself is never stored
+    name: { type: String, default: "" },
+    userId: { type: String, required: true, index: true }, // sessions this key may touch
+    scopes: { type: [String], enum: API_KEY_SCOPES, default: [] },
+    createdBy: { type: String }, // keyId of the admin key that issued it
+    rotatedFrom: { type: String }, // keyId this key replaced
+    expiresAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+const apiKeyModel = mongoose.model("apiKey", ApiKeySchema);
+export default apiKeyModel;
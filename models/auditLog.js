@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// Keep the audit trail for 180 days unless configured otherwise
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 180;
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    method: { type: String, required: true },
+    route: { type: String, required: true }, // route pattern, e.g. /api/wa/session/:sessionId
+    path: { type: String }, // actual path, without query string
+    keyId: { type: String }, // API key used ("env" = API_KEY from env)
+    userId: { type: String },
+    sessionId: { type: String },
+    target: { type: String }, // chat / group / contact the call acted on
+    targetCount: { type: Number }, // recipients of batch calls
+    statusCode: { type: Number },
+    outcome: { type: String }, // success | redirected | client_error | server_error | aborted
+    error: { type: String },
+    durationMs: { type: Number },
+    ip: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ userId: 1, createdAt: -1 });
+AuditLogSchema.index({ sessionId: 1, createdAt: -1 });
+AuditLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const auditLogModel = mongoose.model("auditLog", AuditLogSchema);
+export default auditLogModel;
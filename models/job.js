@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+// Finished jobs (and their per-recipient results) are kept for 30 days
+const RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS) || 30;
+
+export const JOB_STATUSES = ["queued", "running", "paused", "completed", "cancelled", "failed"];
+export const JOB_ITEM_STATUSES = ["pending", "sending", "sent", "failed", "cancelled"];
+
+// One recipient of the campaign (per session for multi-session batches)
+const JobItemSchema = new mongoose.Schema(
+  {
+    sessionId: { type: String, required: true },
+    to: { type: String, required: true }, // as given: number, chat id or group name
+    name: String,
+    phone: String,
+    fromGroup: String,
+    status: { type: String, enum: JOB_ITEM_STATUSES, default: "pending" },
+    chatId: String, // resolved recipient
+    groupName: String,
+    messages: [{ _id: false, messageId: String, type: String, filename: String }],
+    error: String,
+    code: String,
+    // Found already delivered after a restart instead of being sent again
+    recovered: Boolean,
+    startedAt: Date,
+    finishedAt: Date,
+  },
+  { _id: false }
+);
+
+const JobSchema = new mongoose.Schema(
+  {
+    jobId: { type: String, required: true, unique: true },
+    type: { type: String, required: true }, // send-batch, send-batch-excel, ..., scheduled-message, recurring-message
+    status: { type: String, enum: JOB_STATUSES, default: "queued", index: true },
+    userId: { type: String, default: null, index: true }, // null = created with the env admin key
+    createdBy: { type: String }, // API keyId
+    sessionIds: { type: [String], index: true },
+    instanceId: { type: String, default: null }, // instance whose worker runs the job
+    // Renewed by that instance's worker; once expired any instance owning the sessions adopts the job
+    leaseExpiresAt: { type: Date },
+    // What to send to every recipient; uploaded media is kept in GridFS (bucket "jobMedia") until the job ends
+    payload: {
+      text: String, // message text, or the caption of the first file
+      media: [{ _id: false, fileId: mongoose.Schema.Types.ObjectId, mimeType: String, filename: String, size: Number }],
+      mediaUrls: [String],
+      delayMin: Number,
+      delayMax: Number,
+      // Per-file send options (voice note, file as document)
+      sendOptions: { ptt: Boolean, sendMediaAsDocument: Boolean },
+    },
+    mediaStored: { type: Boolean, default: false },
+    cursor: { type: Number, default: 0 }, // index of the next recipient to process
+    resumeCount: { type: Number, default: 0 }, // times the job was picked up again after a restart
+    resumedAt: { type: Date },
+    retryAt: { type: Date }, // not picked up before this (waiting for a session)
+    // Scheduled sends: not started before scheduledFor (UTC); timezone is the one sendAt was given in
+    scheduledFor: { type: Date },
+    timezone: { type: String },
+    waitingSince: { type: Date }, // a session has not been ready since (reset by the next send)
+    meta: { type: mongoose.Schema.Types.Mixed, default: {} }, // e.g. source groups, Excel file name
+    items: [JobItemSchema],
+    error: { type: String },
+    startedAt: { type: Date },
+    pausedAt: { type: Date },
+    finishedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+JobSchema.index({ userId: 1, createdAt: -1 });
+JobSchema.index({ status: 1, instanceId: 1, leaseExpiresAt: 1 });
+JobSchema.index({ status: 1, scheduledFor: 1 });
+JobSchema.index({ "meta.recurringScheduleId": 1, createdAt: -1 });
+JobSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const jobModel = mongoose.model("job", JobSchema);
+export default jobModel;
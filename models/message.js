@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+import { encryptedString } from "../services/fieldEncryption.js";
+
+// Messages are kept until deleted unless MESSAGE_RETENTION_DAYS is set
+const RETENTION_DAYS = parseInt(process.env.MESSAGE_RETENTION_DAYS) || 0;
+
+const MessageSchema = new mongoose.Schema(
+  {
+    sessionId: { type: String, required: true },
+    messageId: { type: String, required: true }, // WhatsApp serialized id
+    chatId: { type: String, required: true }, // contact (…@c.us) or group (…@g.us)
+    direction: { type: String, enum: ["inbound", "outbound"], required: true },
+    from: { type: String },
+    to: { type: String },
+    author: { type: String }, // sender inside a group
+    type: { type: String }, // chat, image, video, audio, document, sticker, location, vcard, ...
+    // Text or media caption, encrypted at rest (services/fieldEncryption.js)
+    body: { type: String, ...encryptedString },
+    hasMedia: { type: Boolean, default: false },
+    media: {
+      mimetype: String,
+      filename: String,
+      size: Number, // bytes
+      duration: Number, // seconds (audio / video)
+    },
+    isReply: { type: Boolean, default: false },
+    isForwarded: { type: Boolean, default: false },
+    // MessageAck from whatsapp-web.js; inbound messages stay "received"
+    ack: { type: Number },
+    status: { type: String },
+    timestamp: { type: Date }, // when WhatsApp created the message
+    deliveredAt: { type: Date },
+    readAt: { type: Date },
+    playedAt: { type: Date },
+    failedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+MessageSchema.index({ sessionId: 1, messageId: 1 }, { unique: true });
+MessageSchema.index({ sessionId: 1, chatId: 1, timestamp: -1 });
+if (RETENTION_DAYS > 0) {
+  MessageSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+  );
+}
+
+const messageModel = mongoose.model("message", MessageSchema);
+export default messageModel;
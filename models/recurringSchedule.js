@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// A cron-driven message template; every run becomes a job (see services/recurringScheduler.js)
+const RecurringScheduleSchema = new mongoose.Schema(
+  {
+    scheduleId: { type: String, required: true, unique: true },
+    name: { type: String },
+    userId: { type: String, default: null, index: true }, // session owner
+    createdBy: { type: String }, // API keyId
+    sessionId: { type: String, required: true, index: true },
+    targets: { type: [String], required: true }, // numbers, chat ids or group names
+    cron: { type: String, required: true },
+    timezone: { type: String, default: "UTC" },
+    // What every run sends; media stays in GridFS (bucket "jobMedia") until the schedule is deleted
+    template: {
+      text: String,
+      media: [{ _id: false, fileId: mongoose.Schema.Types.ObjectId, mimeType: String, filename: String, size: Number }],
+      delayMin: Number,
+      delayMax: Number,
+    },
+    startAt: { type: Date }, // no runs before this
+    endAt: { type: Date }, // no runs after this
+    paused: { type: Boolean, default: false },
+    nextRunAt: { type: Date, index: true }, // null once the schedule has ended
+    endedAt: { type: Date },
+    runCount: { type: Number, default: 0 },
+    missedRuns: { type: Number, default: 0 }, // skipped because the server was down too long
+    lastRun: {
+      jobId: String,
+      runAt: Date,
+      missed: Boolean,
+    },
+  },
+  { timestamps: true }
+);
+
+const recurringScheduleModel = mongoose.model("recurringSchedule", RecurringScheduleSchema);
+export default recurringScheduleModel;
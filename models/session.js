@@ -1,8 +1,12 @@
 import mongoose from 'mongoose';
+import { encryptedString } from '../services/fieldEncryption.js';
 
 const SessionSchema = new mongoose.Schema({
     userId: { type: String, ref: "User", required: true },
     sessionName: { type: String, default: '' },
+    labels: { type: [String], default: [], index: true },
+    description: { type: String, default: '' },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
     sessionId: {
         type: String,
         unique: true,
@@ -12,12 +16,58 @@ const SessionSchema = new mongoose.Schema({
         default: 'pending'
     },
     phoneNumber: { type: String },
+    loginMode: {
+        type: String,
+        enum: ['qr', 'pairing'],
+        default: 'qr'
+    },
+    // Which WhatsApp driver runs the session (see services/drivers)
+    driver: {
+        type: String,
+        enum: ['whatsapp-web', 'sandbox'],
+        default: 'whatsapp-web'
+    },
+    pairingPhoneNumber: { type: String },
+    // Outbound proxy for this session's browser (applied at launch)
+    proxy: {
+        url: String, // scheme://host:port (http, https, socks4, socks5)
+        username: String,
+        password: { type: String, ...encryptedString }
+    },
+    // Secrets below are encrypted at rest (services/fieldEncryption.js), reads return plaintext
+    pairingCode: { type: String, ...encryptedString },
+    pairingCodeExpiresAt: { type: Date },
     qr: {
         type: String,
+        ...encryptedString
     },
+    // { zip, size, savedAt }; zip is sealed with encryptBuffer
     authData: {
         type: mongoose.Schema.Types.Mixed
     },
+    lastDisconnectReason: { type: String },
+    reconnectAttempts: { type: Number, default: 0 },
+    // Multi-instance ownership: only the lease holder runs the browser
+    ownerInstanceId: { type: String, default: null, index: true },
+    ownerUrl: { type: String, default: null },
+    leaseExpiresAt: { type: Date, default: null },
+    leaseRenewedAt: { type: Date, default: null },
+    // Set when the session was restored from an export bundle
+    importedFrom: {
+        sessionId: String,
+        instanceId: String,
+        exportedAt: Date,
+        importedAt: Date
+    },
+    reconnectLog: [{
+        _id: false,
+        attempt: Number,
+        reason: String,
+        outcome: String, // scheduled | failed | reconnected | gave_up
+        error: String,
+        delayMs: Number,
+        at: { type: Date, default: Date.now }
+    }],
     createdAt: {
         type: Date,
         default: Date.now
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// Keep lifecycle history for 90 days unless configured otherwise
+const RETENTION_DAYS = parseInt(process.env.SESSION_EVENT_RETENTION_DAYS) || 90;
+
+const SessionEventSchema = new mongoose.Schema(
+  {
+    sessionId: { type: String, required: true },
+    event: { type: String, required: true }, // qr, authenticated, ready, disconnected, ...
+    status: { type: String }, // session status after the transition
+    reason: { type: String },
+    details: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+SessionEventSchema.index({ sessionId: 1, createdAt: -1 });
+SessionEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const sessionEventModel = mongoose.model("sessionEvent", SessionEventSchema);
+export default sessionEventModel;
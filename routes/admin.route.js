@@ -0,0 +1,24 @@
+// routes/admin.route.js
+import express from "express";
+import * as adminCtrl from "../controllers/admin.controller.js";
+import { getAllSessions, clearAllSessionsController } from "../controllers/session.controller.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../schemas/admin.schema.js";
+import { allSessionsSchema } from "../schemas/session.schema.js";
+
+const router = express.Router();
+
+// 📱 Sessions of every user
+router.get("/sessions", validate(allSessionsSchema), getAllSessions);
+router.post("/sessions/clear", validate(schemas.clearAllSessionsSchema), clearAllSessionsController);
+
+// 🔑 API keys
+router.post("/keys", validate(schemas.createKeySchema), adminCtrl.createKey);
+router.get("/keys", validate(schemas.listKeysSchema), adminCtrl.listKeys);
+router.post("/keys/:keyId/rotate", validate(schemas.rotateKeySchema), adminCtrl.rotateKey);
+router.delete("/keys/:keyId", validate(schemas.revokeKeySchema), adminCtrl.revokeKey);
+
+// 📜 Audit log
+router.get("/audit", validate(schemas.auditLogSchema), adminCtrl.getAuditLog);
+
+export default router;
@@ -7,12 +7,14 @@ import {
   blockContact,
   unblockContact,
 } from "../controllers/contact.controller.js";
+import { validate } from "../middleware/validate.js";
+import { checkContactSchema, contactInfoSchema, blockContactSchema } from "../schemas/contact.schema.js";
 
 const router = express.Router();
 
-router.post("/check", checkContact);
-router.get("/info", getContactInfo);
-router.post("/block", blockContact);
-router.post("/unblock", unblockContact);
+router.post("/check", validate(checkContactSchema), checkContact);
+router.get("/info", validate(contactInfoSchema), getContactInfo);
+router.post("/block", validate(blockContactSchema), blockContact);
+router.post("/unblock", validate(blockContactSchema), unblockContact);
 
 export default router;
@@ -1,5 +1,10 @@
 import express from "express";
 import * as groupCtrl from "../controllers/group.controller.js";
+import { routeToSessionOwner } from "../middleware/sessionRouting.js";
+import { authorizeSession } from "../middleware/auth.js";
+import { rateLimitSession } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../schemas/group.schema.js";
 import multer from 'multer';
 
 const router = express.Router();
@@ -11,22 +16,22 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
-router.get("/grouplist", groupCtrl.getAllGroups)
-router.get("/:groupId/participants", groupCtrl.getGroupParticipants);
-router.post("/create", groupCtrl.createGroup);
-router.get("/latestgroups", groupCtrl.getLatestGroups)
-router.post("/:groupId/add", groupCtrl.addGroupParticipant);
-router.post("/:groupId/remove", groupCtrl.removeGroupParticipant);
-router.post("/:groupId/promote", groupCtrl.promoteGroupAdmin);
-router.post("/:groupId/demote", groupCtrl.demoteGroupAdmin);
-router.post("/:groupId/update-info", groupCtrl.updateGroupInfo);
-router.post("/:groupId/settings", groupCtrl.updateGroupSettings);
-router.get("/invite/:inviteCode", groupCtrl.getInviteInfo);
-router.post("/join-by-invite", groupCtrl.joinGroupByInvite);
-router.post("/:groupId/mention", groupCtrl.mentionInGroup);
-router.post("/:groupId/message", groupCtrl.sendGroupMessage);
-router.post("/:groupId/send-media",upload.array("file",10), groupCtrl.sendGroupMedia);
-router.get("/getgroup",groupCtrl.getGroupIdByName);
+router.get("/grouplist", validate(schemas.getAllGroupsSchema), groupCtrl.getAllGroups);
+router.get("/:groupId/participants", validate(schemas.getParticipantsSchema), groupCtrl.getGroupParticipants);
+router.post("/create", validate(schemas.createGroupSchema), groupCtrl.createGroup);
+router.get("/latestgroups", validate(schemas.latestGroupsSchema), groupCtrl.getLatestGroups);
+router.post("/:groupId/add", validate(schemas.participantSchema), groupCtrl.addGroupParticipant);
+router.post("/:groupId/remove", validate(schemas.participantSchema), groupCtrl.removeGroupParticipant);
+router.post("/:groupId/promote", validate(schemas.participantSchema), groupCtrl.promoteGroupAdmin);
+router.post("/:groupId/demote", validate(schemas.participantSchema), groupCtrl.demoteGroupAdmin);
+router.post("/:groupId/update-info", validate(schemas.updateInfoSchema), groupCtrl.updateGroupInfo);
+router.post("/:groupId/settings", validate(schemas.updateSettingsSchema), groupCtrl.updateGroupSettings);
+router.get("/invite/:inviteCode", validate(schemas.inviteInfoSchema), groupCtrl.getInviteInfo);
+router.post("/join-by-invite", validate(schemas.joinByInviteSchema), groupCtrl.joinGroupByInvite);
+router.post("/:groupId/mention", validate(schemas.mentionSchema), groupCtrl.mentionInGroup);
+router.post("/:groupId/message", validate(schemas.groupMessageSchema), groupCtrl.sendGroupMessage);
+router.post("/:groupId/send-media", upload.array("file", 10), validate(schemas.groupMediaSchema), authorizeSession, routeToSessionOwner, rateLimitSession, groupCtrl.sendGroupMedia);
+router.get("/getgroup", validate(schemas.groupByNameSchema), groupCtrl.getGroupIdByName);
 
 
 export default router;
@@ -0,0 +1,16 @@
+// routes/job.route.js
+import express from "express";
+import * as jobCtrl from "../controllers/job.controller.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../schemas/job.schema.js";
+
+const router = express.Router();
+
+// 📦 Background batch jobs
+router.get("/", validate(schemas.listJobsSchema), jobCtrl.listJobs);
+router.get("/:jobId", validate(schemas.getJobSchema), jobCtrl.getJob);
+router.post("/:jobId/pause", validate(schemas.jobActionSchema), jobCtrl.pauseJobController);
+router.post("/:jobId/resume", validate(schemas.jobActionSchema), jobCtrl.resumeJobController);
+router.post("/:jobId/cancel", validate(schemas.jobActionSchema), jobCtrl.cancelJobController);
+
+export default router;
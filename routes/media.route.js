@@ -1,6 +1,11 @@
 import express from "express";
 import multer from "multer";
 import * as mediaCtrl from "../controllers/media.controller.js";
+import { routeToSessionOwner } from "../middleware/sessionRouting.js";
+import { authorizeSession } from "../middleware/auth.js";
+import { rateLimitSession } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../schemas/media.schema.js";
 
 const router = express.Router();
 
@@ -13,11 +18,11 @@ const storage = multer.diskStorage({
 const upload = multer({ storage });
 
 // 🎯 Routes
-router.post("/send", upload.single("file"), mediaCtrl.sendMedia);
-router.post("/send-video", upload.single("file"), mediaCtrl.sendVideo);
-router.post("/send-sticker", mediaCtrl.sendSticker);
-router.post("/send-vcard", mediaCtrl.sendVcard);
-router.post("/send-location", mediaCtrl.sendLocation);
-router.post("/send-multiple", upload.array("files", 10), mediaCtrl.sendMultipleMedia); // ✅ fixed line
+router.post("/send", upload.single("file"), validate(schemas.sendMediaSchema), authorizeSession, routeToSessionOwner, rateLimitSession, mediaCtrl.sendMedia);
+router.post("/send-video", upload.single("file"), validate(schemas.sendVideoSchema), authorizeSession, routeToSessionOwner, rateLimitSession, mediaCtrl.sendVideo);
+router.post("/send-sticker", validate(schemas.sendStickerSchema), mediaCtrl.sendSticker);
+router.post("/send-vcard", validate(schemas.sendVcardSchema), mediaCtrl.sendVcard);
+router.post("/send-location", validate(schemas.sendLocationSchema), mediaCtrl.sendLocation);
+router.post("/send-multiple", upload.array("files", 10), validate(schemas.sendMultipleSchema), authorizeSession, routeToSessionOwner, rateLimitSession, mediaCtrl.sendMultipleMedia); // ✅ fixed line
 
 export default router;
@@ -1,6 +1,11 @@
 import express from "express";
 import multer from "multer";
 import * as msgCtrl from "../controllers/message.controller.js";
+import { routeToSessionOwner } from "../middleware/sessionRouting.js";
+import { authorizeSession } from "../middleware/auth.js";
+import { rateLimitSession } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../schemas/message.schema.js";
 
 const router = express.Router();
 
@@ -11,14 +16,18 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage });
 
-router.post("/send", msgCtrl.sendMessage);
-router.post("/send-batch", upload.array("files", 10), msgCtrl.sendBatchMessage);
+router.post("/send", validate(schemas.sendMessageSchema), msgCtrl.sendMessage);
+router.post("/send-batch", upload.array("files", 10), validate(schemas.sendBatchSchema), authorizeSession, routeToSessionOwner, rateLimitSession, msgCtrl.sendBatchMessage);
 router.post(
   "/send-batch-excel",
   upload.fields([
     { name: "excel", maxCount: 1 },
     { name: "media", maxCount: 1 },
   ]),
+  validate(schemas.sendBatchExcelSchema),
+  authorizeSession,
+  routeToSessionOwner,
+  rateLimitSession,
   msgCtrl.sendBatchFromExcel
 );
 router.post(
@@ -27,6 +36,10 @@ router.post(
     { name: "media", maxCount: 1 },
     { name: "files", maxCount: 10 },
   ]),
+  validate(schemas.sendBatchToGroupSchema),
+  authorizeSession,
+  routeToSessionOwner,
+  rateLimitSession,
   msgCtrl.sendBatchToGroupMembers
 );
 router.post(
@@ -35,10 +48,16 @@ router.post(
     { name: "media", maxCount: 1 },
     { name: "files", maxCount: 10 },
   ]),
+  validate(schemas.sendBatchToMultipleGroupsSchema),
+  authorizeSession,
+  routeToSessionOwner,
+  rateLimitSession,
   msgCtrl.sendBatchToMultipleGroups
 );
-router.post("/reply", msgCtrl.replyMessage);
-router.post("/react", msgCtrl.reactToMessage);
-router.get("/debug", msgCtrl.debugGroups);
+router.post("/reply", validate(schemas.replyMessageSchema), msgCtrl.replyMessage);
+router.post("/react", validate(schemas.reactMessageSchema), msgCtrl.reactToMessage);
+router.get("/debug", validate(schemas.debugGroupsSchema), msgCtrl.debugGroups);
+router.get("/chat/:chatId", validate(schemas.chatMessagesSchema), msgCtrl.getChatMessages);
+router.get("/:messageId", validate(schemas.storedMessageSchema), msgCtrl.getStoredMessage);
 
 export default router;
@@ -0,0 +1,32 @@
+// routes/schedule.route.js
+import express from "express";
+import multer from "multer";
+import * as scheduleCtrl from "../controllers/schedule.controller.js";
+import { authorizeSession } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../schemas/schedule.schema.js";
+
+const router = express.Router();
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, "uploads/"),
+  filename: (req, file, cb) => cb(null, Date.now() + "-" + file.originalname),
+});
+
+const upload = multer({ storage });
+
+// 🔁 Recurring (cron) schedules
+router.post("/recurring", upload.array("files", 10), validate(schemas.createRecurringSchema), authorizeSession, scheduleCtrl.createRecurring);
+router.get("/recurring", validate(schemas.listRecurringSchema), scheduleCtrl.listRecurring);
+router.get("/recurring/:recurringId", validate(schemas.recurringParamsSchema), scheduleCtrl.getRecurring);
+router.get("/recurring/:recurringId/runs", validate(schemas.recurringRunsSchema), scheduleCtrl.getRecurringRuns);
+router.patch("/recurring/:recurringId", validate(schemas.updateRecurringSchema), scheduleCtrl.updateRecurring);
+router.delete("/recurring/:recurringId", validate(schemas.recurringParamsSchema), scheduleCtrl.deleteRecurring);
+
+// 🗓️ Scheduled messages
+router.get("/", validate(schemas.listSchedulesSchema), scheduleCtrl.listSchedules);
+router.get("/:scheduleId", validate(schemas.scheduleParamsSchema), scheduleCtrl.getSchedule);
+router.post("/:scheduleId/cancel", validate(schemas.scheduleParamsSchema), scheduleCtrl.cancelSchedule);
+router.post("/:scheduleId/reschedule", validate(schemas.rescheduleSchema), scheduleCtrl.rescheduleSchedule);
+
+export default router;
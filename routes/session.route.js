@@ -1,4 +1,8 @@
 import express from 'express';
+import multer from 'multer';
+import { authorizeSession } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/session.schema.js';
 import { 
   connectSession, 
   getSessionStatus, 
@@ -6,23 +10,56 @@ import {
   deleteSessionController,
   getUserSessionsList, 
   checkSessionActive, 
-  clearAllSessionsController, 
-  healthCheck,
+  clearMySessionsController, 
   getAllSessions,
-  restoreSessionController
+  restoreSessionController,
+  regeneratePairingCodeController,
+  getSessionQrPng,
+  getSessionQrSvg,
+  streamSessionEvents,
+  getSessionEvents,
+  updateSession,
+  exportSessionController,
+  importSessionController
 } from '../controllers/session.controller.js';
+import {
+  linkSandboxSession,
+  injectInboundMessage,
+  simulateSandboxDisconnect,
+  getSandboxState
+} from '../controllers/sandbox.controller.js';
 
 const router = express.Router();
 
-router.get('/health', healthCheck);
-router.get('/all', getAllSessions);
-router.post('/connect', connectSession);
-router.post('/clear', clearAllSessionsController);
-router.get('/user/:userId/sessions', getUserSessionsList);
-router.get('/:sessionId/status', getSessionStatus);
-router.get('/:sessionId/active', checkSessionActive);
-router.post('/:sessionId/restore', restoreSessionController);
-router.post('/:sessionId/disconnect', disconnect);
-router.delete('/:sessionId', deleteSessionController);
+// Session bundles are uploaded to uploads/ like other files
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, 'uploads/'),
+    filename: (req, file, cb) => cb(null, Date.now() + '-' + file.originalname),
+  }),
+  limits: { fileSize: 200 * 1024 * 1024 },
+});
+
+router.get('/all', validate(schemas.allSessionsSchema), getAllSessions); // admin only, alias of /api/wa/admin/sessions
+router.post('/connect', validate(schemas.connectSchema), connectSession);
+router.post('/clear', validate(schemas.clearMySessionsSchema), clearMySessionsController);
+router.post('/import', upload.single('bundle'), validate(schemas.importSchema), authorizeSession, importSessionController);
+router.get('/user/:userId/sessions', validate(schemas.userSessionsSchema), getUserSessionsList);
+router.get('/:sessionId/status', validate(schemas.sessionOnlySchema), getSessionStatus);
+router.get('/:sessionId/active', validate(schemas.sessionOnlySchema), checkSessionActive);
+router.get('/:sessionId/qr.png', validate(schemas.qrImageSchema), getSessionQrPng);
+router.get('/:sessionId/qr.svg', validate(schemas.qrImageSchema), getSessionQrSvg);
+router.get('/:sessionId/stream', validate(schemas.sessionOnlySchema), streamSessionEvents);
+router.get('/:sessionId/events', validate(schemas.sessionEventsSchema), getSessionEvents);
+router.get('/:sessionId/export', validate(schemas.exportSchema), exportSessionController);
+router.post('/:sessionId/restore', validate(schemas.sessionOnlySchema), restoreSessionController);
+router.post('/:sessionId/pairing-code', validate(schemas.sessionOnlySchema), regeneratePairingCodeController);
+router.post('/:sessionId/disconnect', validate(schemas.sessionOnlySchema), disconnect);
+router.get('/:sessionId/sandbox', validate(schemas.sessionOnlySchema), getSandboxState);
+router.post('/:sessionId/sandbox/link', validate(schemas.sessionOnlySchema), linkSandboxSession);
+router.post('/:sessionId/sandbox/inbound', validate(schemas.sandboxInboundSchema), injectInboundMessage);
+router.post('/:sessionId/sandbox/disconnect', validate(schemas.sandboxDisconnectSchema), simulateSandboxDisconnect);
+router.patch('/:sessionId', validate(schemas.updateSessionSchema), updateSession);
+router.delete('/:sessionId', validate(schemas.sessionOnlySchema), deleteSessionController);
 
 export default router;
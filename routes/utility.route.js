@@ -1,23 +1,25 @@
 import express from "express";
 import * as utilCtrl from "../controllers/utility.controller.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../schemas/utility.schema.js";
 
 const router = express.Router();
 
 // 🧩 Group utilities
-router.get("/group/:groupId/members/export", utilCtrl.exportGroupMembers);
-router.get("/export-group-members", utilCtrl.exportGroupMembers); // Alternative route
-router.post("/group/:groupId/add-bulk", utilCtrl.addBulkMembers);
+router.get("/group/:groupId/members/export", validate(schemas.exportMembersSchema), utilCtrl.exportGroupMembers);
+router.get("/export-group-members", validate(schemas.exportMembersSchema), utilCtrl.exportGroupMembers); // Alternative route
+router.post("/group/:groupId/add-bulk", validate(schemas.addBulkSchema), utilCtrl.addBulkMembers);
 
 // 🧩 Checks & Info
-router.get("/number/validity", utilCtrl.checkNumberValidity);
-router.get("/contact/profile-pic", utilCtrl.getProfilePic);
-router.get("/messages/history", utilCtrl.getMessageHistory);
-router.post("/poll/create", utilCtrl.createPoll);
+router.get("/number/validity", validate(schemas.numberValiditySchema), utilCtrl.checkNumberValidity);
+router.get("/contact/profile-pic", validate(schemas.profilePicSchema), utilCtrl.getProfilePic);
+router.get("/messages/history", validate(schemas.messageHistorySchema), utilCtrl.getMessageHistory);
+router.post("/poll/create", validate(schemas.createPollSchema), utilCtrl.createPoll);
 
 // 📺 Channels
-router.get("/channels/list", utilCtrl.listChannels);
+router.get("/channels/list", validate(schemas.listChannelsSchema), utilCtrl.listChannels);
 
 // 📍 Location
-router.post("/location/send", utilCtrl.sendLocation);
+router.post("/location/send", validate(schemas.sendLocationSchema), utilCtrl.sendLocation);
 
 export default router;
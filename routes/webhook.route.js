@@ -1,14 +1,16 @@
 // routes/webhook.route.js
 import express from "express";
 import * as webhookCtrl from "../controllers/webhook.controller.js";
+import { validate } from "../middleware/validate.js";
+import { webhookSchema, unregisterWebhookSchema } from "../schemas/webhook.schema.js";
 
 const router = express.Router();
 
 // Webhook management
-router.post("/register", webhookCtrl.register);
-router.post("/unregister", webhookCtrl.unregister);
+router.post("/register", validate(webhookSchema), webhookCtrl.register);
+router.post("/unregister", validate(unregisterWebhookSchema), webhookCtrl.unregister);
 router.get("/list", webhookCtrl.getWebhooks);
-router.post("/test", webhookCtrl.testWebhook);
+router.post("/test", validate(webhookSchema), webhookCtrl.testWebhook);
 
 export default router;
 
@@ -0,0 +1,63 @@
+// schemas/admin.schema.js
+import { z } from "zod";
+import { API_KEY_SCOPES } from "../models/apiKey.js";
+import { requiredString, optionalString, booleanish, integer, isoDate, paging } from "./common.js";
+
+const keyParams = z.object({ keyId: requiredString("keyId") });
+
+// POST /api/wa/admin/keys
+export const createKeySchema = {
+  body: z.object({
+    userId: requiredString("userId"),
+    scopes: z
+      .array(
+        z.enum(API_KEY_SCOPES, { errorMap: () => ({ message: `Unknown scope, use one of: ${API_KEY_SCOPES.join(", ")}` }) }),
+        { required_error: "scopes is required", invalid_type_error: "scopes must be an array" }
+      )
+      .min(1, `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(", ")}`),
+    name: optionalString("name"),
+    expiresAt: isoDate("expiresAt")
+      .refine((date) => date > new Date(), "expiresAt must be a future date")
+      .optional(),
+  }),
+};
+
+// GET /api/wa/admin/keys
+export const listKeysSchema = {
+  query: z.object({
+    userId: optionalString("userId"),
+    includeRevoked: booleanish(false),
+  }),
+};
+
+// POST /api/wa/admin/keys/:keyId/rotate (grace period up to 30 days)
+export const rotateKeySchema = {
+  params: keyParams,
+  body: z.object({
+    graceSeconds: integer("graceSeconds", { min: 0, max: 30 * 24 * 3600, fallback: 0 }),
+  }),
+};
+
+// DELETE /api/wa/admin/keys/:keyId
+export const revokeKeySchema = { params: keyParams };
+
+// POST /api/wa/admin/sessions/clear
+export const clearAllSessionsSchema = {
+  body: z.object({ confirmationToken: optionalString("confirmationToken") }),
+};
+
+// GET /api/wa/admin/audit
+export const auditLogSchema = {
+  query: z.object({
+    userId: optionalString("userId"),
+    keyId: optionalString("keyId"),
+    sessionId: optionalString("sessionId"),
+    route: optionalString("route"),
+    method: optionalString("method"),
+    outcome: optionalString("outcome"),
+    target: optionalString("target"),
+    from: isoDate("from").optional(),
+    to: isoDate("to").optional(),
+    ...paging,
+  }),
+};
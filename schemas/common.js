@@ -0,0 +1,145 @@
+// schemas/common.js
+import { z } from "zod";
+import { isValidTimeZone, parseZonedDateTime } from "../services/timeZone.js";
+
+/* -----------------------------------------------------
+   Building blocks shared by the route schemas
+   Query strings and multipart fields always arrive as
+   strings, so numbers, booleans and lists are coerced
+----------------------------------------------------- */
+
+export const requiredString = (field) =>
+  z
+    .string({ required_error: `${field} is required`, invalid_type_error: `${field} must be a string` })
+    .trim()
+    .min(1, `${field} is required`);
+
+export const optionalString = (field) =>
+  z.string({ invalid_type_error: `${field} must be a string` }).trim().optional();
+
+export const sessionId = requiredString("sessionId");
+
+// Phone number, WhatsApp id (…@c.us / …@g.us) or group name
+export const recipient = requiredString("to");
+
+// true / "true" / "1" / 1 are true, anything else given is false
+export const booleanish = (fallback = false) =>
+  z.preprocess(
+    (value) => (value === undefined || value === "" ? undefined : [true, "true", "1", 1].includes(value)),
+    z.boolean().default(fallback)
+  );
+
+// Empty form fields count as missing and take the fallback
+export const integer = (field, { min, max, fallback } = {}) => {
+  let schema = z.coerce.number({ invalid_type_error: `${field} must be a number` }).int(`${field} must be an integer`);
+  if (min !== undefined) schema = schema.min(min, `${field} must be at least ${min}`);
+  if (max !== undefined) schema = schema.max(max, `${field} must be at most ${max}`);
+  return z.preprocess((value) => (value === undefined || value === "" ? fallback : value), schema);
+};
+
+export const coordinate = (field, limit) =>
+  z.preprocess(
+    (value) => (value === undefined || value === "" ? undefined : Number(value)),
+    z
+      .number({ required_error: `${field} is required`, invalid_type_error: `${field} must be a number` })
+      .min(-limit, `${field} must be between -${limit} and ${limit}`)
+      .max(limit, `${field} must be between -${limit} and ${limit}`)
+  );
+
+export const isoDate = (field) =>
+  z
+    .string()
+    .refine((value) => !isNaN(new Date(value)), `${field} must be a valid date (ISO 8601)`)
+    .transform((value) => new Date(value));
+
+/* -----------------------------------------------------
+   Scheduled sends
+   sendAt is ISO 8601; without a UTC offset it is read as
+   wall-clock time in timezone (IANA name, default UTC).
+   Add scheduleFields to the body and run the object
+   through withSendAt to get sendAt as a Date.
+----------------------------------------------------- */
+export const timezone = optionalString("timezone").refine(
+  (value) => !value || isValidTimeZone(value),
+  "timezone must be an IANA time zone such as Europe/Berlin"
+);
+
+export const scheduleFields = {
+  sendAt: optionalString("sendAt"),
+  timezone,
+};
+
+export const withSendAt = (data, ctx) => {
+  if (!data.sendAt) return { ...data, sendAt: undefined };
+
+  const zone = data.timezone || "UTC";
+  const sendAt = parseZonedDateTime(data.sendAt, zone);
+  if (!sendAt) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["sendAt"],
+      message: "sendAt must be an ISO 8601 date-time, e.g. 2026-05-01T09:30 or 2026-05-01T09:30:00+02:00",
+    });
+    return z.NEVER;
+  }
+  if (sendAt.getTime() <= Date.now()) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["sendAt"], message: "sendAt must be in the future" });
+    return z.NEVER;
+  }
+  return { ...data, sendAt, timezone: zone };
+};
+
+export const httpUrl = (field) =>
+  z
+    .string({ required_error: `${field} is required` })
+    .trim()
+    .url(`${field} must be a valid URL`)
+    .refine((value) => /^https?:\/\//i.test(value), `${field} must be an http(s) URL`);
+
+// Multipart sends arrays as a JSON string ('["a","b"]') or a single value
+const parseList = (value) => {
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+  if (!trimmed) return undefined;
+  if (trimmed.startsWith("[")) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return value;
+    }
+  }
+  return [trimmed];
+};
+
+export const stringList = (field, item = z.string().trim().min(1, `${field} entries cannot be empty`)) =>
+  z.preprocess(
+    parseList,
+    z
+      .array(item, { required_error: `${field} is required`, invalid_type_error: `${field} must be an array` })
+      .min(1, `${field} must contain at least one entry`)
+  );
+
+// Query lists: ?numbers=91987...,91876...
+export const commaList = (field) =>
+  z.preprocess(
+    (value) => (typeof value === "string" ? value.split(",").map((v) => v.trim()).filter(Boolean) : value),
+    z
+      .array(z.string(), { required_error: `${field} is required` })
+      .min(1, `${field} must contain at least one entry`)
+  );
+
+// Random pause between batch sends, in milliseconds
+export const batchDelays = {
+  delayMin: integer("delayMin", { min: 0, max: 600000, fallback: 15000 }),
+  delayMax: integer("delayMax", { min: 0, max: 600000, fallback: 20000 }),
+};
+
+export const delaysInOrder = (data) => data.delayMin <= data.delayMax;
+export const delaysInOrderMessage = { message: "delayMin must not exceed delayMax", path: ["delayMin"] };
+
+export const paging = {
+  page: integer("page", { min: 1, fallback: 1 }),
+  limit: integer("limit", { min: 1, max: 500, fallback: 50 }),
+};
+
+export const sessionParams = z.object({ sessionId });
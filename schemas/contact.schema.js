@@ -0,0 +1,25 @@
+// schemas/contact.schema.js
+import { z } from "zod";
+import { sessionId, requiredString } from "./common.js";
+
+const contactBody = z.object({
+  sessionId,
+  waId: requiredString("waId"),
+});
+
+// POST /api/wa/contact/check
+export const checkContactSchema = {
+  body: z.object({
+    sessionId,
+    number: requiredString("number").refine(
+      (n) => n.replace(/[\s\-+]/g, "").length >= 7,
+      "number must include the country code, e.g. 919876543210"
+    ),
+  }),
+};
+
+// GET /api/wa/contact/info
+export const contactInfoSchema = { query: contactBody };
+
+// POST /api/wa/contact/block|unblock
+export const blockContactSchema = { body: contactBody };
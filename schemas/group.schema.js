@@ -0,0 +1,139 @@
+// schemas/group.schema.js
+import { z } from "zod";
+import {
+  sessionId,
+  requiredString,
+  optionalString,
+  stringList,
+  integer,
+  scheduleFields,
+  withSendAt,
+} from "./common.js";
+
+// Group id (…@g.us) or, where the handler resolves names, the group name
+const groupParams = z.object({ groupId: requiredString("groupId") });
+const sessionQuery = z.object({ sessionId });
+
+const participantBody = z.object({
+  sessionId,
+  waId: requiredString("waId"),
+});
+
+// GET /api/wa/group/grouplist
+export const getAllGroupsSchema = { query: sessionQuery };
+
+// GET /api/wa/group/:groupId/participants
+export const getParticipantsSchema = { params: groupParams, query: sessionQuery };
+
+// POST /api/wa/group/create
+export const createGroupSchema = {
+  body: z.object({
+    sessionId,
+    subject: requiredString("subject"),
+    participants: stringList("participants"),
+    description: optionalString("description"),
+  }),
+};
+
+// GET /api/wa/group/latestgroups
+export const latestGroupsSchema = {
+  query: z.object({
+    sessionId,
+    limit: integer("limit", { min: 1, max: 100, fallback: 10 }),
+  }),
+};
+
+// POST /api/wa/group/:groupId/add|remove|promote|demote
+export const participantSchema = { params: groupParams, body: participantBody };
+
+// POST /api/wa/group/:groupId/update-info
+export const updateInfoSchema = {
+  params: groupParams,
+  body: z
+    .object({
+      sessionId,
+      subject: optionalString("subject"),
+      description: z.string({ invalid_type_error: "description must be a string" }).optional(),
+    })
+    .refine((b) => b.subject || b.description !== undefined, {
+      message: "Send a subject and/or a description",
+      path: ["subject"],
+    }),
+};
+
+// POST /api/wa/group/:groupId/settings
+// restrictions: who may send messages / edit the group info
+const audience = z.enum(["all", "admins"], { errorMap: () => ({ message: 'must be "all" or "admins"' }) });
+export const updateSettingsSchema = {
+  params: groupParams,
+  body: z.object({
+    sessionId,
+    restrictions: z
+      .object(
+        {
+          canSend: audience.optional(),
+          canEditInfo: audience.optional(),
+        },
+        { required_error: "restrictions is required", invalid_type_error: "restrictions must be an object" }
+      )
+      .refine((r) => r.canSend || r.canEditInfo, "restrictions needs canSend and/or canEditInfo"),
+  }),
+};
+
+// GET /api/wa/group/invite/:inviteCode
+export const inviteInfoSchema = {
+  params: z.object({ inviteCode: requiredString("inviteCode") }),
+  query: sessionQuery,
+};
+
+// POST /api/wa/group/join-by-invite (full link or bare code)
+export const joinByInviteSchema = {
+  body: z.object({
+    sessionId,
+    inviteLink: requiredString("inviteLink"),
+  }),
+};
+
+// POST /api/wa/group/:groupId/mention
+export const mentionSchema = {
+  params: groupParams,
+  body: z.object({
+    sessionId,
+    message: requiredString("message"),
+    mentions: z
+      .array(requiredString("mentions[]"), {
+        required_error: "mentions is required",
+        invalid_type_error: "mentions must be an array of WhatsApp ids",
+      })
+      .min(1, "mentions must be a non-empty array"),
+  }),
+};
+
+// POST /api/wa/group/:groupId/message (sendAt + timezone schedule it)
+export const groupMessageSchema = {
+  params: groupParams,
+  body: z
+    .object({
+      sessionId,
+      text: requiredString("text"),
+      ...scheduleFields,
+    })
+    .transform(withSendAt),
+};
+
+// POST /api/wa/group/:groupId/send-media (multipart, file[])
+export const groupMediaSchema = {
+  params: groupParams,
+  body: z.object({
+    sessionId,
+    caption: optionalString("caption"),
+  }),
+};
+
+// GET /api/wa/group/getgroup
+export const groupByNameSchema = {
+  query: z.object({
+    sessionId,
+    groupName: requiredString("groupName"),
+  }),
+};
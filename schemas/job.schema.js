@@ -0,0 +1,28 @@
+// schemas/job.schema.js
+import { z } from "zod";
+import { JOB_STATUSES } from "../models/job.js";
+import { requiredString, optionalString, paging } from "./common.js";
+
+const jobParams = z.object({ jobId: requiredString("jobId") });
+
+// GET /api/wa/jobs?status=running,paused&sessionId=&type=
+export const listJobsSchema = {
+  query: z.object({
+    status: optionalString("status").refine(
+      (value) => !value || value.split(",").every((s) => JOB_STATUSES.includes(s)),
+      `status must be one or more of: ${JOB_STATUSES.join(", ")}`
+    ),
+    sessionId: optionalString("sessionId"),
+    type: optionalString("type"),
+    ...paging,
+  }),
+};
+
+// GET /api/wa/jobs/:jobId?results=failed,sent
+export const getJobSchema = {
+  params: jobParams,
+  query: z.object({ results: optionalString("results") }),
+};
+
+// POST /api/wa/jobs/:jobId/pause|resume|cancel
+export const jobActionSchema = { params: jobParams };
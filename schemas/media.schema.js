@@ -0,0 +1,76 @@
+// schemas/media.schema.js
+import { z } from "zod";
+import {
+  sessionId,
+  recipient,
+  requiredString,
+  optionalString,
+  stringList,
+  httpUrl,
+  coordinate,
+  scheduleFields,
+  withSendAt,
+} from "./common.js";
+
+// POST /api/wa/media/send (multipart file or mediaUrl; sendAt + timezone schedule it)
+export const sendMediaSchema = {
+  body: z
+    .object({
+      sessionId,
+      to: recipient,
+      mediaUrl: httpUrl("mediaUrl").optional(),
+      type: z.enum(["image", "audio", "document", "video"]).optional(),
+      caption: optionalString("caption"),
+      ...scheduleFields,
+    })
+    .transform(withSendAt),
+};
+
+// POST /api/wa/media/send-video (multipart file or mediaUrl)
+export const sendVideoSchema = {
+  body: z.object({
+    sessionId,
+    to: recipient,
+    mediaUrl: httpUrl("mediaUrl").optional(),
+    caption: optionalString("caption"),
+  }),
+};
+
+// POST /api/wa/media/send-sticker
+export const sendStickerSchema = {
+  body: z.object({
+    sessionId,
+    to: recipient,
+    stickerUrl: httpUrl("stickerUrl"),
+  }),
+};
+
+// POST /api/wa/media/send-vcard
+export const sendVcardSchema = {
+  body: z.object({
+    sessionId,
+    to: recipient,
+    vcard: requiredString("vcard").refine((v) => /^BEGIN:VCARD/i.test(v), "vcard must start with BEGIN:VCARD"),
+  }),
+};
+
+// POST /api/wa/media/send-location
+export const sendLocationSchema = {
+  body: z.object({
+    sessionId,
+    to: recipient,
+    latitude: coordinate("latitude", 90),
+    longitude: coordinate("longitude", 180),
+    address: optionalString("address"),
+  }),
+};
+
+// POST /api/wa/media/send-multiple (multipart files[] and/or mediaUrls)
+export const sendMultipleSchema = {
+  body: z.object({
+    sessionId,
+    to: recipient,
+    caption: optionalString("caption"),
+    mediaUrls: stringList("mediaUrls", httpUrl("mediaUrls")).optional(),
+  }),
+};
@@ -0,0 +1,125 @@
+// schemas/message.schema.js
+import { z } from "zod";
+import {
+  sessionId,
+  recipient,
+  requiredString,
+  optionalString,
+  stringList,
+  httpUrl,
+  batchDelays,
+  delaysInOrder,
+  delaysInOrderMessage,
+  isoDate,
+  paging,
+  scheduleFields,
+  withSendAt,
+} from "./common.js";
+
+// POST /api/wa/message/send (sendAt + timezone schedule it)
+export const sendMessageSchema = {
+  body: z
+    .object({
+      sessionId,
+      to: recipient,
+      text: requiredString("text"),
+      ...scheduleFields,
+    })
+    .transform(withSendAt),
+};
+
+// POST /api/wa/message/send-batch (multipart, files[])
+export const sendBatchSchema = {
+  body: z
+    .object({
+      sessionIds: stringList("sessionIds"),
+      to: stringList("to"),
+      text: optionalString("text"),
+      mediaUrls: stringList("mediaUrls", httpUrl("mediaUrls")).optional(),
+      ...batchDelays,
+    })
+    .refine(delaysInOrder, delaysInOrderMessage),
+};
+
+// POST /api/wa/message/send-batch-excel (multipart, excel + media)
+export const sendBatchExcelSchema = {
+  body: z
+    .object({
+      sessionIds: stringList("sessionIds"),
+      text: optionalString("text"),
+      ...batchDelays,
+    })
+    .refine(delaysInOrder, delaysInOrderMessage),
+};
+
+// POST /api/wa/message/send-batch-to-group (multipart, media / files[])
+export const sendBatchToGroupSchema = {
+  body: z
+    .object({
+      sessionId,
+      groupId: requiredString("groupId"),
+      text: optionalString("text"),
+      ...batchDelays,
+    })
+    .refine(delaysInOrder, delaysInOrderMessage),
+};
+
+// POST /api/wa/message/send-batch-to-multiple-groups (multipart, media / files[])
+export const sendBatchToMultipleGroupsSchema = {
+  body: z
+    .object({
+      sessionId,
+      groupIds: stringList("groupIds"),
+      text: optionalString("text"),
+      ...batchDelays,
+    })
+    .refine(delaysInOrder, delaysInOrderMessage),
+};
+
+// POST /api/wa/message/reply
+export const replyMessageSchema = {
+  body: z.object({
+    sessionId,
+    to: recipient,
+    text: requiredString("text"),
+    replyTo: requiredString("replyTo"),
+  }),
+};
+
+// POST /api/wa/message/react ("" removes the reaction)
+export const reactMessageSchema = {
+  body: z.object({
+    sessionId,
+    messageId: requiredString("messageId"),
+    reaction: z.string({ required_error: "reaction is required" }).max(16, "reaction must be a single emoji"),
+  }),
+};
+
+// GET /api/wa/message/:messageId (stored message)
+export const storedMessageSchema = {
+  params: z.object({ messageId: requiredString("messageId") }),
+  query: z.object({ sessionId }),
+};
+
+// GET /api/wa/message/chat/:chatId (phone number or full chat id)
+export const chatMessagesSchema = {
+  params: z.object({
+    chatId: requiredString("chatId").transform((id) => (/^\d+$/.test(id) ? `${id}@c.us` : id)),
+  }),
+  query: z.object({
+    sessionId,
+    direction: z.enum(["inbound", "outbound"], { errorMap: () => ({ message: 'direction must be "inbound" or "outbound"' }) }).optional(),
+    status: optionalString("status"),
+    from: isoDate("from").optional(),
+    to: isoDate("to").optional(),
+    ...paging,
+  }),
+};
+
+// GET /api/wa/message/debug
+export const debugGroupsSchema = {
+  query: z.object({
+    sessionId,
+    search: optionalString("search"),
+  }),
+};
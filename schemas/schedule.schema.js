@@ -0,0 +1,163 @@
+// schemas/schedule.schema.js
+import { z } from "zod";
+import { SCHEDULE_STATUSES } from "../services/scheduler.js";
+import { parseCron } from "../services/cron.js";
+import { parseZonedDateTime } from "../services/timeZone.js";
+import {
+  sessionId,
+  requiredString,
+  optionalString,
+  stringList,
+  booleanish,
+  integer,
+  batchDelays,
+  delaysInOrder,
+  delaysInOrderMessage,
+  paging,
+  timezone,
+  withSendAt,
+} from "./common.js";
+
+const scheduleParams = z.object({ scheduleId: requiredString("scheduleId") });
+
+// GET /api/wa/schedules?status=pending&sessionId=
+export const listSchedulesSchema = {
+  query: z.object({
+    status: z
+      .enum(SCHEDULE_STATUSES, {
+        errorMap: () => ({ message: `status must be one of: ${SCHEDULE_STATUSES.join(", ")}` }),
+      })
+      .default("pending"),
+    sessionId: optionalString("sessionId"),
+    ...paging,
+  }),
+};
+
+// GET /api/wa/schedules/:scheduleId, POST /api/wa/schedules/:scheduleId/cancel
+export const scheduleParamsSchema = { params: scheduleParams };
+
+// POST /api/wa/schedules/:scheduleId/reschedule
+export const rescheduleSchema = {
+  params: scheduleParams,
+  body: z
+    .object({
+      sendAt: requiredString("sendAt"),
+      timezone,
+    })
+    .transform(withSendAt),
+};
+
+/* -----------------------------------------------------
+   Recurring schedules
+   startAt / endAt are read like sendAt: without a UTC
+   offset they are wall-clock time in timezone
+----------------------------------------------------- */
+const recurringParams = z.object({ recurringId: requiredString("recurringId") });
+
+const cronExpression = requiredString("cron").superRefine((value, ctx) => {
+  try {
+    parseCron(value);
+  } catch (err) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: err.message });
+  }
+});
+
+// Parses startAt / endAt in the body's timezone
+const withScheduleWindow = (data, ctx) => {
+  const zone = data.timezone || "UTC";
+  const parsed = { ...data };
+
+  for (const field of ["startAt", "endAt"]) {
+    if (data[field] === undefined || data[field] === null) continue;
+    parsed[field] = parseZonedDateTime(data[field], zone);
+    if (!parsed[field]) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message: `${field} must be an ISO 8601 date-time` });
+      return z.NEVER;
+    }
+  }
+  if (parsed.endAt && parsed.endAt <= new Date()) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["endAt"], message: "endAt must be in the future" });
+    return z.NEVER;
+  }
+  if (parsed.startAt && parsed.endAt && parsed.endAt <= parsed.startAt) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["endAt"], message: "endAt must be after startAt" });
+    return z.NEVER;
+  }
+  return parsed;
+};
+
+// POST /api/wa/schedules/recurring (JSON or multipart with files[])
+export const createRecurringSchema = {
+  body: z
+    .object({
+      sessionId,
+      name: optionalString("name"),
+      cron: cronExpression,
+      timezone,
+      targets: stringList("targets"),
+      text: optionalString("text"),
+      startAt: optionalString("startAt"),
+      endAt: optionalString("endAt"),
+      paused: booleanish(false),
+      ...batchDelays,
+    })
+    .refine(delaysInOrder, delaysInOrderMessage)
+    .transform(withScheduleWindow),
+};
+
+// GET /api/wa/schedules/recurring?status=active&sessionId=
+export const listRecurringSchema = {
+  query: z.object({
+    status: z
+      .enum(["active", "paused", "ended", "all"], {
+        errorMap: () => ({ message: "status must be one of: active, paused, ended, all" }),
+      })
+      .default("all"),
+    sessionId: optionalString("sessionId"),
+    ...paging,
+  }),
+};
+
+// GET / DELETE /api/wa/schedules/recurring/:recurringId
+export const recurringParamsSchema = { params: recurringParams };
+
+// GET /api/wa/schedules/recurring/:recurringId/runs
+export const recurringRunsSchema = {
+  params: recurringParams,
+  query: z.object({ ...paging }),
+};
+
+// PATCH only checks the format: without a timezone in the body the window is read
+// in the schedule's own zone (updateRecurringSchedule)
+const windowFormat = (data, ctx) => {
+  for (const field of ["startAt", "endAt"]) {
+    if (typeof data[field] === "string" && !parseZonedDateTime(data[field], "UTC")) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message: `${field} must be an ISO 8601 date-time` });
+    }
+  }
+};
+
+// PATCH /api/wa/schedules/recurring/:recurringId (JSON, only the fields to change)
+const nullableDate = (field) =>
+  z.string({ invalid_type_error: `${field} must be a string or null` }).trim().min(1).nullable().optional();
+
+export const updateRecurringSchema = {
+  params: recurringParams,
+  body: z
+    .object({
+      name: optionalString("name"),
+      cron: cronExpression.optional(),
+      timezone,
+      targets: stringList("targets").optional(),
+      text: optionalString("text"),
+      startAt: nullableDate("startAt"),
+      endAt: nullableDate("endAt"),
+      paused: z.boolean({ invalid_type_error: "paused must be true or false" }).optional(),
+      delayMin: integer("delayMin", { min: 0, max: 600000 }).optional(),
+      delayMax: integer("delayMax", { min: 0, max: 600000 }).optional(),
+    })
+    .refine((data) => Object.values(data).some((value) => value !== undefined), {
+      message: "Nothing to update",
+    })
+    .superRefine(windowFormat),
+};
@@ -0,0 +1,152 @@
+// schemas/session.schema.js
+import { z } from "zod";
+import { DRIVER_NAMES } from "../services/drivers/index.js";
+import {
+  sessionParams,
+  requiredString,
+  optionalString,
+  booleanish,
+  integer,
+  isoDate,
+  paging,
+} from "./common.js";
+
+// URL string, { url, username?, password? } or null to remove
+// (parsed further by services/proxyConfig.js)
+const proxyInput = z.union(
+  [
+    z.string(),
+    z.object({
+      url: z.string(),
+      username: z.string().optional(),
+      password: z.string().optional(),
+    }),
+    z.null(),
+  ],
+  { errorMap: () => ({ message: "proxy must be a URL string, { url, username?, password? } or null" }) }
+);
+
+// ?label=sales or ?label=sales,support
+const labelQuery = z.object({ label: optionalString("label") });
+
+// POST /api/wa/session/connect
+export const connectSchema = {
+  query: z.object({
+    forceNew: z.string().optional(),
+    force: z.string().optional(),
+  }),
+  body: z
+    .object({
+      userId: optionalString("userId"),
+      sessionName: optionalString("sessionName"),
+      name: optionalString("name"),
+      forceNew: z.union([z.boolean(), z.string(), z.number()]).optional(),
+      force: z.union([z.boolean(), z.string(), z.number()]).optional(),
+      mode: z.enum(["qr", "pairing"], { errorMap: () => ({ message: "mode must be 'qr' or 'pairing'" }) }).default("qr"),
+      phoneNumber: z.union([z.string(), z.number()]).optional(),
+      driver: z
+        .enum(DRIVER_NAMES, { errorMap: () => ({ message: `driver must be one of: ${DRIVER_NAMES.join(", ")}` }) })
+        .optional(),
+      proxy: proxyInput.optional(),
+    })
+    .refine((b) => b.mode !== "pairing" || String(b.phoneNumber || "").replace(/\D/g, "").length >= 10, {
+      message: "phoneNumber required for pairing mode (include the country code, e.g. 919876543210)",
+      path: ["phoneNumber"],
+    }),
+};
+
+// POST /api/wa/session/clear (admins name the user)
+export const clearMySessionsSchema = {
+  body: z.object({ userId: optionalString("userId") }),
+};
+
+// POST /api/wa/session/import (multipart, file "bundle")
+export const importSchema = {
+  body: z.object({
+    sessionId: z
+      .string()
+      .trim()
+      .regex(/^[\w-]{3,100}$/, "sessionId may only contain letters, digits, _ and - (3-100 characters)")
+      .optional(),
+    sessionName: optionalString("sessionName"),
+    userId: optionalString("userId"),
+    keepSessionId: booleanish(false),
+    overwrite: booleanish(false),
+  }),
+};
+
+// GET /api/wa/session/user/:userId/sessions
+export const userSessionsSchema = {
+  params: z.object({ userId: requiredString("userId") }),
+  query: labelQuery,
+};
+
+// GET /api/wa/admin/sessions, /api/wa/session/all
+export const allSessionsSchema = { query: labelQuery };
+
+// /api/wa/session/:sessionId/... without inputs of their own
+export const sessionOnlySchema = { params: sessionParams };
+
+// PATCH /api/wa/session/:sessionId
+// metadata values may be anything, null removes the key
+export const updateSessionSchema = {
+  params: sessionParams,
+  query: z.object({ apply: booleanish(false) }),
+  body: z
+    .object({
+      sessionName: requiredString("sessionName").optional(),
+      labels: z.array(z.string(), { invalid_type_error: "labels must be an array of strings" }).optional(),
+      description: z.string({ invalid_type_error: "description must be a string" }).nullable().optional(),
+      metadata: z
+        .record(z.any(), { invalid_type_error: "metadata must be an object" })
+        .refine(
+          (m) => Object.keys(m).every((key) => !key.startsWith("$") && !key.includes(".")),
+          "metadata keys cannot start with $ or contain a dot"
+        )
+        .optional(),
+      proxy: proxyInput.optional(),
+    })
+    .refine((b) => Object.values(b).some((v) => v !== undefined), {
+      message: "Nothing to update, send at least one of sessionName, labels, description, metadata, proxy",
+    }),
+};
+
+// GET /api/wa/session/:sessionId/qr.png|qr.svg
+export const qrImageSchema = {
+  params: sessionParams,
+  query: z.object({ size: integer("size", { min: 50, max: 1000, fallback: 300 }) }),
+};
+
+// GET /api/wa/session/:sessionId/events
+export const sessionEventsSchema = {
+  params: sessionParams,
+  query: z.object({
+    from: isoDate("from").optional(),
+    to: isoDate("to").optional(),
+    event: optionalString("event"),
+    ...paging,
+  }),
+};
+
+// GET /api/wa/session/:sessionId/export
+export const exportSchema = {
+  params: sessionParams,
+  query: z.object({ disconnect: booleanish(false) }),
+};
+
+// POST /api/wa/session/:sessionId/sandbox/inbound
+export const sandboxInboundSchema = {
+  params: sessionParams,
+  body: z.object({
+    from: requiredString("from"),
+    body: z.string().optional(),
+    groupId: optionalString("groupId"),
+    type: optionalString("type"),
+  }),
+};
+
+// POST /api/wa/session/:sessionId/sandbox/disconnect
+export const sandboxDisconnectSchema = {
+  params: sessionParams,
+  body: z.object({ reason: optionalString("reason") }),
+};
@@ -0,0 +1,89 @@
+// schemas/utility.schema.js
+import { z } from "zod";
+import {
+  sessionId,
+  recipient,
+  requiredString,
+  optionalString,
+  stringList,
+  commaList,
+  coordinate,
+  booleanish,
+  integer,
+} from "./common.js";
+
+// GET /api/wa/utility/group/:groupId/members/export
+// GET /api/wa/utility/export-group-members?groupId=
+export const exportMembersSchema = {
+  params: z.object({ groupId: optionalString("groupId") }),
+  query: z.object({
+    sessionId,
+    groupId: optionalString("groupId"),
+  }),
+};
+
+// POST /api/wa/utility/group/:groupId/add-bulk
+export const addBulkSchema = {
+  params: z.object({ groupId: requiredString("groupId") }),
+  body: z.object({
+    sessionId,
+    waIds: stringList("waIds"),
+  }),
+};
+
+// GET /api/wa/utility/number/validity?numbers=91...,91...
+export const numberValiditySchema = {
+  query: z.object({
+    sessionId,
+    numbers: commaList("numbers"),
+  }),
+};
+
+// GET /api/wa/utility/contact/profile-pic
+export const profilePicSchema = {
+  query: z.object({
+    sessionId,
+    waId: requiredString("waId"),
+  }),
+};
+
+// GET /api/wa/utility/messages/history
+export const messageHistorySchema = {
+  query: z.object({
+    sessionId,
+    chatId: requiredString("chatId"),
+    limit: integer("limit", { min: 1, max: 500, fallback: 50 }),
+  }),
+};
+
+// POST /api/wa/utility/poll/create (WhatsApp allows 2-12 options)
+export const createPollSchema = {
+  body: z.object({
+    sessionId,
+    group: requiredString("group"),
+    question: requiredString("question"),
+    options: z
+      .array(requiredString("options[]"), {
+        required_error: "options is required",
+        invalid_type_error: "options must be an array of strings",
+      })
+      .min(2, "options needs at least 2 entries")
+      .max(12, "options allows at most 12 entries"),
+    allowMultipleAnswers: booleanish(false),
+  }),
+};
+
+// GET /api/wa/utility/channels/list
+export const listChannelsSchema = { query: z.object({ sessionId }) };
+
+// POST /api/wa/utility/location/send
+export const sendLocationSchema = {
+  body: z.object({
+    sessionId,
+    to: recipient,
+    latitude: coordinate("latitude", 90),
+    longitude: coordinate("longitude", 180),
+    name: optionalString("name"),
+    address: optionalString("address"),
+  }),
+};
@@ -0,0 +1,21 @@
+// schemas/webhook.schema.js
+import { z } from "zod";
+import { WEBHOOK_EVENT_TYPES } from "../services/webhookManager.js";
+import { httpUrl } from "./common.js";
+
+const eventType = z.enum(WEBHOOK_EVENT_TYPES, {
+  errorMap: () => ({ message: `eventType must be one of: ${WEBHOOK_EVENT_TYPES.join(", ")}` }),
+});
+
+// POST /api/wa/webhook/register, /api/wa/webhook/test
+export const webhookSchema = {
+  body: z.object({
+    eventType,
+    url: httpUrl("url"),
+  }),
+};
+
+// POST /api/wa/webhook/unregister
+export const unregisterWebhookSchema = {
+  body: z.object({ eventType }),
+};
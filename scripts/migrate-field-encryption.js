@@ -0,0 +1,107 @@
+// scripts/migrate-field-encryption.js
+// Encrypts plaintext fields and re-encrypts fields sealed with an older key
+//   npm run migrate:encryption            (writes changes)
+//   npm run migrate:encryption -- --dry-run
+import "dotenv/config";
+import mongoose from "mongoose";
+import sessionModel from "../models/session.js";
+import messageModel from "../models/message.js";
+import {
+  activeKeyId,
+  isEncryptionEnabled,
+  reencryptString,
+  reencryptBuffer,
+} from "../services/fieldEncryption.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+/* -----------------------------------------------------
+   Sessions: qr, pairingCode, proxy.password and authData.zip
+   - Reads the raw collection so the model's getters and
+     setters don't decrypt / re-encrypt behind our back
+----------------------------------------------------- */
+const SESSION_STRING_FIELDS = ["qr", "pairingCode", "proxy.password"];
+
+async function migrateSessions() {
+  const stats = { scanned: 0, updated: 0, failed: 0 };
+  const cursor = sessionModel.collection.find(
+    {
+      $or: [
+        ...SESSION_STRING_FIELDS.map((field) => ({ [field]: { $type: "string" } })),
+        { "authData.zip": { $exists: true } },
+      ],
+    },
+    { projection: { sessionId: 1, qr: 1, pairingCode: 1, "proxy.password": 1, "authData.zip": 1 } }
+  );
+
+  for await (const doc of cursor) {
+    stats.scanned++;
+    try {
+      const $set = {};
+      for (const field of SESSION_STRING_FIELDS) {
+        const value = reencryptString(field.split(".").reduce((obj, key) => obj?.[key], doc));
+        if (value !== undefined) $set[field] = value;
+      }
+      const zip = reencryptBuffer(doc.authData?.zip);
+      if (zip !== undefined) $set["authData.zip"] = zip;
+
+      if (!Object.keys($set).length) continue;
+      if (!DRY_RUN) await sessionModel.collection.updateOne({ _id: doc._id }, { $set });
+      stats.updated++;
+      console.log(`🔐 ${DRY_RUN ? "Would update" : "Updated"} session ${doc.sessionId}: ${Object.keys($set).join(", ")}`);
+    } catch (err) {
+      stats.failed++;
+      console.error(`❌ Session ${doc.sessionId}: ${err.message}`);
+    }
+  }
+  return stats;
+}
+
+/* -----------------------------------------------------
+   Stored messages: body
+----------------------------------------------------- */
+async function migrateMessages() {
+  const stats = { scanned: 0, updated: 0, failed: 0 };
+  const cursor = messageModel.collection.find(
+    { body: { $type: "string", $ne: "" } },
+    { projection: { messageId: 1, body: 1 } }
+  );
+
+  for await (const doc of cursor) {
+    stats.scanned++;
+    try {
+      const body = reencryptString(doc.body);
+      if (body === undefined) continue;
+      if (!DRY_RUN) await messageModel.collection.updateOne({ _id: doc._id }, { $set: { body } });
+      stats.updated++;
+    } catch (err) {
+      stats.failed++;
+      console.error(`❌ Message ${doc.messageId}: ${err.message}`);
+    }
+  }
+  return stats;
+}
+
+const run = async () => {
+  if (!isEncryptionEnabled()) {
+    console.error("❌ Set FIELD_ENCRYPTION_KEYS (or FIELD_ENCRYPTION_KEY) before migrating");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`💾 Connected, encrypting with key "${activeKeyId()}"${DRY_RUN ? " (dry run)" : ""}`);
+
+  const sessions = await migrateSessions();
+  console.log(`✅ Sessions: ${sessions.scanned} scanned, ${sessions.updated} updated, ${sessions.failed} failed`);
+
+  const messages = await migrateMessages();
+  console.log(`✅ Messages: ${messages.scanned} scanned, ${messages.updated} ${DRY_RUN ? "to update" : "updated"}, ${messages.failed} failed`);
+
+  await mongoose.disconnect();
+  process.exit(sessions.failed || messages.failed ? 1 : 0);
+};
+
+run().catch((err) => {
+  console.error("❌ Migration failed:", err.message);
+  process.exit(1);
+});
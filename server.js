@@ -1,7 +1,19 @@
+// Loads .env before the modules below read their settings
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
+import mongoose from "mongoose";
 import connectDB from "./config/db.js";
+import { shutdownAllSessions } from "./services/waManager.js";
+import { stopSessionWatchdog } from "./services/sessionWatchdog.js";
+import { stopJobWorker } from "./services/jobQueue.js";
+import { stopRecurringScheduler } from "./services/recurringScheduler.js";
+import { routeToSessionOwner } from "./middleware/sessionRouting.js";
+import { authenticate, authorizeSession, requireScope, scopeFor } from "./middleware/auth.js";
+import { rateLimit } from "./middleware/rateLimit.js";
+import { auditLog } from "./middleware/audit.js";
+import { apiError, sendError, errorEnvelope, notFound, errorHandler } from "./middleware/errors.js";
+import { healthCheck } from "./controllers/session.controller.js";
 
 import sessionRoute from "./routes/session.route.js";
 import contactRoute from "./routes/contact.route.js";
@@ -10,8 +22,9 @@ import messageRoute from "./routes/message.route.js";
 import mediaRoute from "./routes/media.route.js";
 import utilityRoute from "./routes/utility.route.js";
 import webhookRoute from "./routes/webhook.route.js";
-
-dotenv.config();
+import adminRoute from "./routes/admin.route.js";
+import jobRoute from "./routes/job.route.js";
+import scheduleRoute from "./routes/schedule.route.js";
 
 const app = express();
 
@@ -19,44 +32,116 @@ const app = express();
 app.use(cors({
   origin: '*', // Allow all origins
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range']
+  exposedHeaders: [
+    'Content-Range',
+    'X-Content-Range',
+    'Retry-After',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'RateLimit-Policy'
+  ]
 }));
 
 // Handle preflight requests
 app.options('*', cors());
 
+// Every error response: { error, code, details? }
+app.use(errorEnvelope);
+
 app.use(express.json());
 
-// API key middleware (skip for health check)
-app.use((req, res, next) => {
-  if (req.path === "/api/wa/session/health") return next();
+// Graceful shutdown state
+let shuttingDown = false;
+let inFlightWrites = 0;
 
-  const apiKey = req.header("x-api-key");
-  if (!apiKey || apiKey !== process.env.API_KEY) {
-    return res.status(401).json({ message: "Unauthorized" });
+// Refuse new work while shutting down, and count in-flight mutating
+// requests (sends, deletes...) so shutdown can wait for them
+app.use((req, res, next) => {
+  if (shuttingDown) {
+    // Another instance (or this one after the restart) takes the retry
+    res.set({ Connection: "close", "Retry-After": "5" });
+    return sendError(res, apiError("SHUTTING_DOWN", "This instance is restarting"), "Server is shutting down", {
+      hint: "Retry in a few seconds",
+    });
   }
+
+  if (req.method === "GET" || req.method === "OPTIONS") return next();
+
+  inFlightWrites++;
+  let finished = false;
+  const done = () => {
+    if (finished) return;
+    finished = true;
+    inFlightWrites--;
+  };
+  res.on("finish", done);
+  res.on("close", done);
   next();
 });
 
-// Routes
-app.use("/api/wa/session", sessionRoute);
-app.use("/api/wa/contact", contactRoute);
-app.use("/api/wa/group", groupRoute);
-app.use("/api/wa/message", messageRoute);
-app.use("/api/wa/media", mediaRoute);
-app.use("/api/wa/utility", utilityRoute);
-app.use("/api/wa/webhook", webhookRoute);
-
-// Health check route
-app.get("/api/wa/session/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
-});
+// Health check route (public: registered before the key, scope and rate limit checks)
+app.get("/api/wa/session/health", healthCheck);
+
+// Record every mutating call (including rejected ones) once it completes
+app.use(auditLog);
+
+// API key middleware
+// Keys live in Mongo (per user, with scopes); API_KEY from env is an admin key
+app.use(authenticate);
+
+// A sessionId in the path, query or body must belong to the caller
+// (multipart routes re-check after multer has parsed the body)
+app.use(authorizeSession);
+
+// Send session requests to the instance running that session
+app.use(routeToSessionOwner);
+
+// Token buckets per API key, per session and for expensive endpoints
+app.use(rateLimit);
+
+// Routes (read scope for GET, write scope otherwise)
+app.use("/api/wa/session", scopeFor({
+  read: "sessions:read",
+  write: "sessions:write",
+  overrides: [[/^\/all$/, "admin"]],
+}), sessionRoute);
+app.use("/api/wa/contact", scopeFor({
+  read: "contacts:read",
+  write: "contacts:write",
+  overrides: [[/^\/check$/, "contacts:read"]],
+}), contactRoute);
+app.use("/api/wa/group", scopeFor({
+  read: "groups:read",
+  write: "groups:write",
+  overrides: [[/^\/[^/]+\/(message|mention|send-media)$/, "messages:send"]],
+}), groupRoute);
+app.use("/api/wa/message", scopeFor({ read: "messages:read", write: "messages:send" }), messageRoute);
+app.use("/api/wa/media", scopeFor({ read: "messages:read", write: "messages:send" }), mediaRoute);
+app.use("/api/wa/utility", scopeFor({
+  read: "messages:read",
+  write: "messages:send",
+  overrides: [
+    [/^\/(group\/[^/]+\/members\/export|export-group-members)$/, "groups:read"],
+    [/^\/group\/[^/]+\/add-bulk$/, "groups:write"],
+    [/^\/(number\/validity|contact\/profile-pic)$/, "contacts:read"],
+  ],
+}), utilityRoute);
+app.use("/api/wa/jobs", scopeFor({ read: "messages:read", write: "messages:send" }), jobRoute);
+app.use("/api/wa/schedules", scopeFor({ read: "messages:read", write: "messages:send" }), scheduleRoute);
+// Webhooks are server-wide (they receive every user's events)
+app.use("/api/wa/webhook", requireScope("admin"), webhookRoute);
+app.use("/api/wa/admin", requireScope("admin"), adminRoute);
+
+// JSON 404 for unknown routes, JSON errors for parser / upload failures
+app.use(notFound);
+app.use(errorHandler);
 
 // Start server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n${'='.repeat(50)}`);
   console.log(`🚀 WhatsApp API Server Started`);
   console.log(`📡 Port: ${PORT}`);
@@ -69,3 +154,60 @@ connectDB().catch((err) => {
   console.error("❌ Database connection failed:", err.message);
   process.exit(1);
 });
+
+// Graceful shutdown (Railway/Docker send SIGTERM on redeploy)
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS) || 20000;
+
+const gracefulShutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`\n🛑 ${signal} received, shutting down gracefully...`);
+
+  // Hard stop in case something hangs (browser, Mongo...)
+  setTimeout(() => {
+    console.error("❌ Shutdown deadline exceeded, forcing exit");
+    process.exit(1);
+  }, SHUTDOWN_GRACE_MS + 15000).unref();
+
+  // 1. Stop accepting connections
+  server.close();
+  stopSessionWatchdog();
+
+  // 2. Let in-flight sends finish (up to the grace period)
+  const deadline = Date.now() + SHUTDOWN_GRACE_MS;
+  while (inFlightWrites > 0 && Date.now() < deadline) {
+    await new Promise((r) => setTimeout(r, 250));
+  }
+  if (inFlightWrites > 0) {
+    console.log(`⚠️ ${inFlightWrites} request(s) still running after ${SHUTDOWN_GRACE_MS}ms, continuing shutdown`);
+  }
+
+  // Batch jobs finish the message in flight and are requeued for the next start
+  // (no new recurring runs are started meanwhile)
+  try {
+    stopRecurringScheduler();
+    await stopJobWorker(Math.max(deadline - Date.now(), 5000));
+  } catch (err) {
+    console.error("❌ Error stopping job worker:", err.message);
+  }
+
+  // 3. Park every WhatsApp client and record the clean shutdown
+  try {
+    await shutdownAllSessions();
+  } catch (err) {
+    console.error("❌ Error parking sessions:", err.message);
+  }
+
+  // 4. Close the database
+  try {
+    await mongoose.disconnect();
+  } catch (err) {
+    console.error("❌ Error closing database:", err.message);
+  }
+
+  console.log("👋 Shutdown complete");
+  process.exit(0);
+};
+
+process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
+process.on("SIGINT", () => gracefulShutdown("SIGINT"));
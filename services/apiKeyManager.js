@@ -0,0 +1,171 @@
+// services/apiKeyManager.js
+import crypto from "crypto";
+import apiKeyModel, { API_KEY_SCOPES } from "../models/apiKey.js";
+
+/* -----------------------------------------------------
+   API keys
+   - Format: wak_<keyId>_<secret>; only the sha256 of the
+     whole key is stored, the plaintext is shown once
+   - Each key is bound to a userId and a set of scopes
+   - process.env.API_KEY stays valid as a bootstrap admin
+     key so existing deployments keep working
+----------------------------------------------------- */
+const KEY_PREFIX = "wak";
+
+// Verified keys are cached briefly so every request doesn't hit Mongo
+const CACHE_TTL_MS = parseInt(process.env.API_KEY_CACHE_TTL_MS) || 30000;
+// lastUsedAt is written at most this often per key
+const LAST_USED_WRITE_MS = 60000;
+
+// keyHash -> { key, cachedAt }
+const keyCache = new Map();
+
+export function hashApiKey(plaintext) {
+  return crypto.createHash("sha256").update(plaintext).digest("hex");
+}
+
+function generateKey() {
+  const keyId = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  return { keyId, plaintext: `${KEY_PREFIX}_${keyId}_${secret}` };
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+export function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || !scopes.length) {
+    throw new Error(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(", ")}`);
+  }
+  const unknown = scopes.filter((s) => !API_KEY_SCOPES.includes(s));
+  if (unknown.length) {
+    throw new Error(`Unknown scope(s): ${unknown.join(", ")}`);
+  }
+  return [...new Set(scopes)];
+}
+
+// Listing shape: never includes the hash
+export function describeApiKey(key) {
+  return {
+    keyId: key.keyId,
+    name: key.name,
+    userId: key.userId,
+    scopes: key.scopes,
+    createdBy: key.createdBy || null,
+    rotatedFrom: key.rotatedFrom || null,
+    expiresAt: key.expiresAt,
+    revokedAt: key.revokedAt,
+    lastUsedAt: key.lastUsedAt,
+    createdAt: key.createdAt,
+    active: !key.revokedAt && (!key.expiresAt || key.expiresAt > new Date()),
+  };
+}
+
+/* -----------------------------------------------------
+   Resolve the caller of a request
+   Returns { keyId, userId, scopes, isAdmin } or null
+----------------------------------------------------- */
+export async function verifyApiKey(plaintext) {
+  if (!plaintext) return null;
+
+  if (process.env.API_KEY && safeEqual(plaintext, process.env.API_KEY)) {
+    return { keyId: "env", userId: null, scopes: ["admin"], isAdmin: true };
+  }
+  if (!plaintext.startsWith(`${KEY_PREFIX}_`)) return null;
+
+  const keyHash = hashApiKey(plaintext);
+  const now = Date.now();
+  let key = keyCache.get(keyHash);
+  if (!key || now - key.cachedAt > CACHE_TTL_MS) {
+    const doc = await apiKeyModel.findOne({ keyHash }).lean();
+    if (!doc) return null;
+    key = { ...doc, cachedAt: now };
+    keyCache.set(keyHash, key);
+  }
+
+  if (key.revokedAt || (key.expiresAt && new Date(key.expiresAt).getTime() <= now)) return null;
+
+  if (!key.lastUsedAt || now - new Date(key.lastUsedAt).getTime() > LAST_USED_WRITE_MS) {
+    key.lastUsedAt = new Date(now);
+    apiKeyModel
+      .updateOne({ keyHash }, { lastUsedAt: key.lastUsedAt })
+      .catch((err) => console.error(`⚠️ Could not update lastUsedAt for key ${key.keyId}:`, err.message));
+  }
+
+  return {
+    keyId: key.keyId,
+    userId: key.userId,
+    scopes: key.scopes,
+    isAdmin: key.scopes.includes("admin"),
+  };
+}
+
+/* -----------------------------------------------------
+   Admin operations
+----------------------------------------------------- */
+export async function createApiKey({ userId, name = "", scopes, expiresAt = null, createdBy, rotatedFrom }) {
+  const { keyId, plaintext } = generateKey();
+  const key = await apiKeyModel.create({
+    keyId,
+    keyHash: hashApiKey(plaintext),
+    name,
+    userId,
+    scopes: validateScopes(scopes),
+    expiresAt,
+    createdBy,
+    rotatedFrom,
+  });
+  console.log(`🔑 API key ${keyId} created for ${userId} [${key.scopes.join(", ")}]`);
+  return { key, plaintext };
+}
+
+export async function listApiKeys(filter = {}) {
+  return await apiKeyModel.find(filter).sort({ createdAt: -1 });
+}
+
+export async function revokeApiKey(keyId) {
+  const key = await apiKeyModel.findOneAndUpdate(
+    { keyId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+  if (key) {
+    keyCache.delete(key.keyHash);
+    console.log(`🚫 API key ${keyId} revoked`);
+  }
+  return key;
+}
+
+/* -----------------------------------------------------
+   Rotate: issue a replacement with the same owner and
+   scopes; the old key keeps working for graceSeconds so
+   clients can switch over (0 = revoked immediately)
+----------------------------------------------------- */
+export async function rotateApiKey(keyId, { graceSeconds = 0, createdBy } = {}) {
+  const old = await apiKeyModel.findOne({ keyId, revokedAt: null });
+  if (!old) return null;
+
+  const replacement = await createApiKey({
+    userId: old.userId,
+    name: old.name,
+    scopes: old.scopes,
+    expiresAt: old.expiresAt,
+    createdBy,
+    rotatedFrom: old.keyId,
+  });
+
+  if (graceSeconds > 0) {
+    const graceEnd = new Date(Date.now() + graceSeconds * 1000);
+    if (!old.expiresAt || old.expiresAt > graceEnd) old.expiresAt = graceEnd;
+    await old.save();
+  } else {
+    old.revokedAt = new Date();
+    await old.save();
+  }
+  keyCache.delete(old.keyHash);
+
+  return { old, ...replacement };
+}
@@ -0,0 +1,51 @@
+// services/confirmationTokens.js
+import crypto from "crypto";
+
+/* -----------------------------------------------------
+   Confirmation tokens for destructive admin actions
+   - First call returns a token, the second call must send
+     it back within the TTL to actually run the action
+   - Bound to the action and the API key that asked for it
+   - Signed (not stored) so any instance can verify it;
+     set CONFIRMATION_SECRET when running several instances
+   - Settings are read on use, after dotenv has filled process.env
+----------------------------------------------------- */
+const tokenTtlMs = () => parseInt(process.env.CONFIRMATION_TOKEN_TTL_MS) || 60000;
+
+// Per-process fallback: tokens only verify on the instance that issued them
+let fallbackSecret = null;
+
+function secret() {
+  return (
+    process.env.CONFIRMATION_SECRET ||
+    process.env.API_KEY ||
+    (fallbackSecret ??= crypto.randomBytes(32).toString("hex"))
+  );
+}
+
+function sign(payload) {
+  return crypto.createHmac("sha256", secret()).update(payload).digest("base64url");
+}
+
+export function issueConfirmationToken(action, keyId) {
+  const expiresAt = Date.now() + tokenTtlMs();
+  const payload = Buffer.from(JSON.stringify({ action, keyId, expiresAt })).toString("base64url");
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt) };
+}
+
+export function verifyConfirmationToken(token, action, keyId) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) return false;
+
+  const expected = sign(payload);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return false;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return data.action === action && data.keyId === keyId && data.expiresAt > Date.now();
+  } catch {
+    return false;
+  }
+}
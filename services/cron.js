@@ -0,0 +1,154 @@
+// services/cron.js
+import { zonedParts, zonedTimeToUtc } from "./timeZone.js";
+
+/* -----------------------------------------------------
+   Cron expressions (5 fields, minute resolution)
+     minute hour day-of-month month day-of-week
+   - *, lists (1,15), ranges (1-5), steps (*\/10, 8-18/2)
+   - JAN-DEC and SUN-SAT names, 7 is Sunday too
+   - @yearly, @monthly, @weekly, @daily, @hourly
+   - Day-of-month and day-of-week both restricted: either
+     one matching is enough (classic cron)
+   - Evaluated in an IANA time zone
+----------------------------------------------------- */
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+const MONTH_NAMES = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day-of-month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "day-of-week", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+// Occurrences are searched this far ahead (0 0 29 2 1 can take years)
+const SEARCH_DAYS = 366 * 8;
+
+function cronError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_CRON";
+  return err;
+}
+
+function parseValue(text, field) {
+  const upper = text.toUpperCase();
+  const named = field.names?.indexOf(upper);
+  if (named !== undefined && named >= 0) return named + field.offset;
+  if (!/^\d+$/.test(text)) throw cronError(`Invalid ${field.name} value "${text}"`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw cronError(`${field.name} must be between ${field.min} and ${field.max}, got ${value}`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw cronError(`Invalid step in ${field.name} "${part}"`);
+
+    let from, to;
+    if (range === "*") {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes("-")) {
+      [from, to] = range.split("-").map((v) => parseValue(v, field));
+      if (from > to) throw cronError(`Invalid ${field.name} range "${range}"`);
+    } else {
+      from = parseValue(range, field);
+      // "5/15" = from 5 to the end in steps of 15
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/* -----------------------------------------------------
+   Parse an expression
+   Throws INVALID_CRON with a readable message
+----------------------------------------------------- */
+export function parseCron(expression) {
+  const text = String(expression || "").trim();
+  const expanded = MACROS[text.toLowerCase()] || text;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) {
+    throw cronError(`Cron expression needs 5 fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is Sunday as well
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    expression: text,
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+}
+
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function dayMatches(cron, year, month, day) {
+  if (!cron.months.has(month)) return false;
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const byDay = cron.days.has(day);
+  const byWeekday = cron.weekdays.has(weekday);
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return byWeekday;
+  if (cron.anyWeekday) return byDay;
+  return byDay || byWeekday;
+}
+
+/* -----------------------------------------------------
+   First occurrence strictly after `after`, or null when
+   there is none within SEARCH_DAYS
+   - cron: expression or parseCron() result
+----------------------------------------------------- */
+export function nextCronRun(cron, after = new Date(), timeZone = "UTC") {
+  const parsed = typeof cron === "string" ? parseCron(cron) : cron;
+  const start = zonedParts(after, timeZone);
+
+  for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+    // Walk calendar days in the zone (UTC date math avoids DST)
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+    if (!dayMatches(parsed, year, month, day)) continue;
+
+    for (const hour of parsed.hours) {
+      if (offset === 0 && hour < start.hour) continue;
+      for (const minute of parsed.minutes) {
+        const runAt = zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+        if (runAt > after) return runAt;
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,38 @@
+// services/drivers/index.js
+import { createWhatsappWebClient } from "./whatsappWebDriver.js";
+import { createSandboxClient } from "./sandboxDriver.js";
+
+/* -----------------------------------------------------
+   WhatsApp drivers
+   - A driver builds the client object waManager wires
+     events to; every driver exposes the whatsapp-web.js
+     Client surface the controllers call
+   - Chosen per session at /session/connect (stored on
+     the session document)
+----------------------------------------------------- */
+const DRIVERS = {
+  "whatsapp-web": createWhatsappWebClient,
+  sandbox: createSandboxClient,
+};
+
+export const DRIVER_NAMES = Object.keys(DRIVERS);
+export const DEFAULT_DRIVER = "whatsapp-web";
+
+// The sandbox fakes connected sessions: off unless SANDBOX_DRIVER_ENABLED=true
+export function isDriverEnabled(name) {
+  if (!DRIVERS[name]) return false;
+  if (name === "sandbox") return process.env.SANDBOX_DRIVER_ENABLED === "true";
+  return true;
+}
+
+export async function createDriverClient(name, options) {
+  const factory = DRIVERS[name || DEFAULT_DRIVER];
+  if (!factory) throw new Error(`Unknown WhatsApp driver: ${name}`);
+  // Also keeps sessions created while the sandbox was enabled from coming back
+  if (!isDriverEnabled(name || DEFAULT_DRIVER)) {
+    const err = new Error(`The "${name}" driver is disabled on this server`);
+    err.code = "DRIVER_DISABLED";
+    throw err;
+  }
+  return await factory(options);
+}
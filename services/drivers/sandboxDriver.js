@@ -0,0 +1,640 @@
+// services/drivers/sandboxDriver.js
+import { EventEmitter } from "events";
+import crypto from "crypto";
+
+/* -----------------------------------------------------
+   "sandbox" driver
+   - Simulates a WhatsApp account in memory: no browser,
+     no phone, nothing leaves the server
+   - Mimics the whatsapp-web.js Client surface the
+     controllers use, and emits the same events (qr, code,
+     ready, message, message_create, message_ack...) so
+     session tracking and webhooks behave as in production
+   - Numbers are "on WhatsApp" when they have 7-15 digits
+   - Sent messages are acked sent -> delivered -> read
+----------------------------------------------------- */
+
+// Delay before a QR / pairing code is "scanned" (0 = wait for the link endpoint)
+const AUTO_LINK_MS = parseInt(process.env.SANDBOX_AUTO_LINK_MS ?? 3000);
+// Delay between simulated ack steps
+const ACK_DELAY_MS = parseInt(process.env.SANDBOX_ACK_DELAY_MS) || 1000;
+// Messages kept per chat
+const MAX_MESSAGES_PER_CHAT = 200;
+
+const ACK_SERVER = 1;
+const ACK_DEVICE = 2;
+const ACK_READ = 3;
+
+// sessionId -> simulated account state, survives hibernation (not restarts)
+const worlds = new Map();
+
+function toWid(serialized) {
+  const [user, server] = serialized.split("@");
+  return { _serialized: serialized, user, server };
+}
+
+function randomDigits(length) {
+  let out = "";
+  while (out.length < length) out += crypto.randomInt(0, 10);
+  return out;
+}
+
+// Stable fake phone number per session so restarts keep the same "account"
+function sandboxPhoneFor(sessionId) {
+  const hash = crypto.createHash("sha1").update(sessionId).digest();
+  return `1555${(hash.readUInt32BE(0) % 10_000_000).toString().padStart(7, "0")}`;
+}
+
+function isValidUser(user) {
+  return /^\d{7,15}$/.test(user);
+}
+
+function normalizeUserId(id) {
+  const raw = String(id);
+  if (raw.includes("@")) return raw;
+  return `${raw.replace(/\D/g, "")}@c.us`;
+}
+
+function getWorld(sessionId, phone) {
+  if (worlds.has(sessionId)) return worlds.get(sessionId);
+
+  const me = `${phone}@c.us`;
+  const alice = "15550000001@c.us";
+  const bob = "15550000002@c.us";
+  const groupId = `120363${randomDigits(12)}@g.us`;
+
+  const world = {
+    me,
+    linked: false,
+    contacts: new Map([
+      [alice, { id: alice, name: "Alice Sandbox", pushname: "Alice", isBlocked: false }],
+      [bob, { id: bob, name: "Bob Sandbox", pushname: "Bob", isBlocked: false }],
+    ]),
+    chats: new Map([
+      [groupId, {
+        id: groupId,
+        name: "Sandbox Group",
+        isGroup: true,
+        description: "Seeded by the sandbox driver",
+        owner: me,
+        inviteCode: crypto.randomBytes(11).toString("base64url"),
+        participants: [
+          { id: me, isAdmin: true, isSuperAdmin: true },
+          { id: alice, isAdmin: false, isSuperAdmin: false },
+          { id: bob, isAdmin: false, isSuperAdmin: false },
+        ],
+        messageIds: [],
+        unreadCount: 0,
+        timestamp: Math.floor(Date.now() / 1000),
+      }],
+    ]),
+    messages: new Map(),
+  };
+  worlds.set(sessionId, world);
+  return world;
+}
+
+// Forget a session's simulated account (session deleted)
+export function resetSandboxSession(sessionId) {
+  worlds.delete(sessionId);
+}
+
+function describeContent(content, options = {}) {
+  if (typeof content === "string") {
+    if (content.startsWith("BEGIN:VCARD")) return { type: "vcard", body: content };
+    return { type: "chat", body: content };
+  }
+  if (content?.mimetype && content?.data !== undefined) {
+    const kind = content.mimetype.split("/")[0];
+    const type = options.sendMediaAsSticker
+      ? "sticker"
+      : ["image", "video", "audio"].includes(kind) ? kind : "document";
+    return {
+      type,
+      body: options.caption || "",
+      media: { mimetype: content.mimetype, data: content.data, filename: content.filename || null },
+    };
+  }
+  if (content?.latitude !== undefined) {
+    return { type: "location", body: content.description || "", location: { ...content } };
+  }
+  return { type: "chat", body: String(content ?? "") };
+}
+
+class SandboxClient extends EventEmitter {
+  constructor({ sessionId, sessionInfo }) {
+    super();
+    this.isSandbox = true;
+    this.sessionId = sessionId;
+    this.loginMode = sessionInfo?.loginMode || "qr";
+    this.phone = sessionInfo?.pairingPhoneNumber || sandboxPhoneFor(sessionId);
+    this.displayName = sessionInfo?.sessionName || sessionId;
+    this.world = getWorld(sessionId, this.phone);
+    // A session that was linked before (restart / wake-up) comes back without a scan
+    if (sessionInfo?.phoneNumber) this.world.linked = true;
+    this.info = null;
+    this.timers = new Set();
+    this.destroyed = false;
+  }
+
+  later(fn, ms) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      if (!this.destroyed) fn();
+    }, ms);
+    this.timers.add(timer);
+  }
+
+  /* ----------------------- lifecycle ----------------------- */
+
+  async initialize() {
+    if (this.world.linked) {
+      this.later(() => this.completeLogin(), 0);
+      return;
+    }
+
+    if (this.loginMode === "pairing") {
+      this.emit("code", this.newPairingCode());
+    } else {
+      this.emit("qr", `sandbox@${this.sessionId},${crypto.randomBytes(16).toString("base64")}`);
+    }
+
+    if (AUTO_LINK_MS > 0) this.later(() => this.completeLogin(), AUTO_LINK_MS);
+  }
+
+  newPairingCode() {
+    return crypto.randomBytes(4).toString("hex").toUpperCase();
+  }
+
+  async requestPairingCode() {
+    const code = this.newPairingCode();
+    this.emit("code", code);
+    return code;
+  }
+
+  // The simulated phone "scanned" the QR / entered the code
+  completeLogin() {
+    if (this.info || this.destroyed) return false;
+    this.world.linked = true;
+    this.emit("authenticated", { sandbox: true });
+    this.info = {
+      wid: toWid(this.world.me),
+      me: toWid(this.world.me),
+      pushname: `Sandbox ${this.displayName}`,
+      platform: "sandbox",
+    };
+    this.emit("ready");
+    return true;
+  }
+
+  async getState() {
+    return this.info ? "CONNECTED" : null;
+  }
+
+  async logout() {
+    this.world.linked = false;
+    this.info = null;
+    this.emit("disconnected", "LOGOUT");
+  }
+
+  async destroy() {
+    this.destroyed = true;
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+    this.info = null;
+  }
+
+  assertReady() {
+    if (!this.info) throw new Error("Sandbox session is not linked yet");
+  }
+
+  /* ----------------------- wrappers ----------------------- */
+
+  wrapContact(id) {
+    const data = this.world.contacts.get(id) || { id, name: undefined, pushname: undefined, isBlocked: false };
+    const wid = toWid(id);
+    const client = this;
+    return {
+      id: wid,
+      number: wid.user,
+      name: data.name,
+      pushname: data.pushname,
+      shortName: data.name?.split(" ")[0],
+      isMe: id === this.world.me,
+      isUser: wid.server === "c.us",
+      isGroup: wid.server === "g.us",
+      isWAContact: isValidUser(wid.user),
+      isMyContact: this.world.contacts.has(id),
+      isBusiness: false,
+      isBlocked: !!data.isBlocked,
+      async block() {
+        client.world.contacts.set(id, { ...data, isBlocked: true });
+        return true;
+      },
+      async unblock() {
+        client.world.contacts.set(id, { ...data, isBlocked: false });
+        return true;
+      },
+      async getProfilePicUrl() {
+        return undefined;
+      },
+      async getAbout() {
+        return "Hey there! I am using the WhatsApp sandbox.";
+      },
+    };
+  }
+
+  wrapMessage(data) {
+    const client = this;
+    return {
+      id: { _serialized: data.id, fromMe: data.fromMe, remote: data.chatId, id: data.id.split("_").pop() },
+      body: data.body,
+      type: data.type,
+      from: data.from,
+      to: data.to,
+      author: data.author,
+      fromMe: data.fromMe,
+      timestamp: data.timestamp,
+      ack: data.ack,
+      hasMedia: !!data.media,
+      hasQuotedMsg: !!data.quotedMessageId,
+      // raw fields whatsapp-web.js keeps on _data (media metadata)
+      _data: data.media
+        ? {
+            mimetype: data.media.mimetype,
+            filename: data.media.filename,
+            size: Math.floor((data.media.data?.length || 0) * 3 / 4),
+          }
+        : {},
+      isForwarded: false,
+      location: data.location,
+      reactions: data.reactions,
+      async react(emoji) {
+        data.reactions = emoji ? { [client.world.me]: emoji } : {};
+      },
+      async reply(content, chatId, options = {}) {
+        return client.sendMessage(chatId || data.chatId, content, { ...options, quotedMessageId: data.id });
+      },
+      async getChat() {
+        return client.getChatById(data.chatId);
+      },
+      async getContact() {
+        return client.wrapContact(data.author || data.from);
+      },
+      async downloadMedia() {
+        return data.media || undefined;
+      },
+      async delete() {
+        data.body = "";
+        data.type = "revoked";
+      },
+    };
+  }
+
+  wrapChat(data) {
+    const client = this;
+    const chat = {
+      id: toWid(data.id),
+      name: data.name,
+      isGroup: data.isGroup,
+      isReadOnly: false,
+      unreadCount: data.unreadCount,
+      timestamp: data.timestamp,
+      archived: false,
+      pinned: false,
+      isMuted: false,
+      async sendMessage(content, options) {
+        return client.sendMessage(data.id, content, options);
+      },
+      async fetchMessages({ limit = 50 } = {}) {
+        return data.messageIds
+          .slice(-limit)
+          .map((id) => client.world.messages.get(id))
+          .filter(Boolean)
+          .map((m) => client.wrapMessage(m));
+      },
+      async sendSeen() {
+        data.unreadCount = 0;
+        return true;
+      },
+      async sendStateTyping() {},
+      async clearState() {},
+    };
+
+    if (!data.isGroup) return chat;
+
+    const emitMembership = (event, ids) => {
+      for (const id of ids) {
+        client.later(() => client.emit(event, {
+          id: { participant: id },
+          chatId: data.id,
+          chatName: data.name,
+          author: client.world.me,
+          recipientIds: [id],
+        }), 0);
+      }
+    };
+
+    return Object.assign(chat, {
+      description: data.description,
+      owner: toWid(data.owner),
+      participants: data.participants.map((p) => ({
+        id: toWid(p.id),
+        isAdmin: p.isAdmin,
+        isSuperAdmin: p.isSuperAdmin,
+      })),
+      groupMetadata: { desc: data.description, owner: toWid(data.owner) },
+      async addParticipants(ids) {
+        const result = {};
+        const added = [];
+        for (const raw of ids) {
+          const id = normalizeUserId(raw);
+          if (!isValidUser(id.split("@")[0])) {
+            result[id] = { code: 404, message: "Not a WhatsApp user" };
+            continue;
+          }
+          if (!data.participants.some((p) => p.id === id)) {
+            data.participants.push({ id, isAdmin: false, isSuperAdmin: false });
+            added.push(id);
+          }
+          result[id] = { code: 200, message: "The participant was added successfully" };
+        }
+        emitMembership("group_join", added);
+        return result;
+      },
+      async removeParticipants(ids) {
+        const removed = ids.map(normalizeUserId).filter((id) => data.participants.some((p) => p.id === id));
+        data.participants = data.participants.filter((p) => !removed.includes(p.id));
+        emitMembership("group_leave", removed);
+        return { status: 200 };
+      },
+      async promoteParticipants(ids) {
+        const targets = ids.map(normalizeUserId);
+        for (const p of data.participants) if (targets.includes(p.id)) p.isAdmin = true;
+        return { status: 200 };
+      },
+      async demoteParticipants(ids) {
+        const targets = ids.map(normalizeUserId);
+        for (const p of data.participants) if (targets.includes(p.id) && !p.isSuperAdmin) p.isAdmin = false;
+        return { status: 200 };
+      },
+      async setSubject(subject) {
+        data.name = subject;
+        return true;
+      },
+      async setDescription(description) {
+        data.description = description;
+        return true;
+      },
+      async setMessagesAdminsOnly(adminsOnly = true) {
+        data.announce = adminsOnly;
+        return true;
+      },
+      async setInfoAdminsOnly(adminsOnly = true) {
+        data.restrict = adminsOnly;
+        return true;
+      },
+      async getInviteCode() {
+        return data.inviteCode;
+      },
+      async revokeInvite() {
+        data.inviteCode = crypto.randomBytes(11).toString("base64url");
+        return data.inviteCode;
+      },
+      async leave() {
+        data.participants = data.participants.filter((p) => p.id !== client.world.me);
+      },
+    });
+  }
+
+  ensureChat(chatId) {
+    let data = this.world.chats.get(chatId);
+    if (data) return data;
+
+    const wid = toWid(chatId);
+    if (wid.server !== "c.us" || !isValidUser(wid.user)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+    data = {
+      id: chatId,
+      name: this.world.contacts.get(chatId)?.name || `+${wid.user}`,
+      isGroup: false,
+      messageIds: [],
+      unreadCount: 0,
+      timestamp: Math.floor(Date.now() / 1000),
+    };
+    this.world.chats.set(chatId, data);
+    return data;
+  }
+
+  storeMessage(chat, message) {
+    this.world.messages.set(message.id, message);
+    chat.messageIds.push(message.id);
+    chat.timestamp = message.timestamp;
+    while (chat.messageIds.length > MAX_MESSAGES_PER_CHAT) {
+      this.world.messages.delete(chat.messageIds.shift());
+    }
+  }
+
+  /* ----------------------- client API ----------------------- */
+
+  async getChats() {
+    this.assertReady();
+    return [...this.world.chats.values()]
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .map((c) => this.wrapChat(c));
+  }
+
+  async getChatById(chatId) {
+    this.assertReady();
+    return this.wrapChat(this.ensureChat(chatId));
+  }
+
+  async getContacts() {
+    this.assertReady();
+    return [...this.world.contacts.keys()].map((id) => this.wrapContact(id));
+  }
+
+  async getContactById(contactId) {
+    this.assertReady();
+    return this.wrapContact(contactId);
+  }
+
+  async getBlockedContacts() {
+    this.assertReady();
+    return [...this.world.contacts.values()]
+      .filter((c) => c.isBlocked)
+      .map((c) => this.wrapContact(c.id));
+  }
+
+  async getProfilePicUrl() {
+    return undefined;
+  }
+
+  async isRegisteredUser(id) {
+    return isValidUser(normalizeUserId(id).split("@")[0]);
+  }
+
+  async getNumberId(number) {
+    const id = normalizeUserId(number);
+    return isValidUser(id.split("@")[0]) ? toWid(id) : null;
+  }
+
+  async getMessageById(messageId) {
+    this.assertReady();
+    const data = this.world.messages.get(messageId);
+    return data ? this.wrapMessage(data) : null;
+  }
+
+  async sendMessage(chatId, content, options = {}) {
+    this.assertReady();
+    const chat = this.ensureChat(chatId);
+    const message = {
+      ...describeContent(content, options),
+      id: `true_${chatId}_3EB0${crypto.randomBytes(8).toString("hex").toUpperCase()}`,
+      chatId,
+      from: this.world.me,
+      to: chatId,
+      author: chat.isGroup ? this.world.me : undefined,
+      fromMe: true,
+      timestamp: Math.floor(Date.now() / 1000),
+      ack: ACK_SERVER,
+      quotedMessageId: options.quotedMessageId,
+    };
+    this.storeMessage(chat, message);
+
+    const wrapped = this.wrapMessage(message);
+    this.later(() => this.emit("message_create", wrapped), 0);
+    this.scheduleAcks(message);
+    return wrapped;
+  }
+
+  scheduleAcks(message) {
+    for (const [step, ack] of [[1, ACK_DEVICE], [2, ACK_READ]]) {
+      this.later(() => {
+        message.ack = ack;
+        this.emit("message_ack", this.wrapMessage(message), ack);
+      }, ACK_DELAY_MS * step);
+    }
+  }
+
+  async createGroup(title, participants = []) {
+    this.assertReady();
+    const id = `120363${randomDigits(12)}@g.us`;
+    const members = participants.map(normalizeUserId).filter((p) => isValidUser(p.split("@")[0]));
+    this.world.chats.set(id, {
+      id,
+      name: title,
+      isGroup: true,
+      description: "",
+      owner: this.world.me,
+      inviteCode: crypto.randomBytes(11).toString("base64url"),
+      participants: [
+        { id: this.world.me, isAdmin: true, isSuperAdmin: true },
+        ...members.map((p) => ({ id: p, isAdmin: false, isSuperAdmin: false })),
+      ],
+      messageIds: [],
+      unreadCount: 0,
+      timestamp: Math.floor(Date.now() / 1000),
+    });
+
+    return {
+      title,
+      gid: toWid(id),
+      participants: Object.fromEntries(
+        members.map((p) => [p, { statusCode: 200, message: "The participant was added successfully" }])
+      ),
+    };
+  }
+
+  findGroupByInvite(inviteCode) {
+    return [...this.world.chats.values()].find((c) => c.isGroup && c.inviteCode === inviteCode);
+  }
+
+  async getInviteInfo(inviteCode) {
+    this.assertReady();
+    const group = this.findGroupByInvite(inviteCode);
+    if (!group) throw new Error("Invite code not found");
+    return {
+      id: toWid(group.id),
+      subject: group.name,
+      desc: group.description,
+      size: group.participants.length,
+      owner: toWid(group.owner),
+    };
+  }
+
+  async acceptInvite(inviteCode) {
+    this.assertReady();
+    const group = this.findGroupByInvite(inviteCode);
+    if (!group) throw new Error("Invite code not found");
+    if (!group.participants.some((p) => p.id === this.world.me)) {
+      group.participants.push({ id: this.world.me, isAdmin: false, isSuperAdmin: false });
+    }
+    return group.id;
+  }
+
+  /* ----------------------- simulation hooks ----------------------- */
+
+  // Deliver a message "from" someone else, as if received on the phone
+  simulateIncomingMessage({ from, body = "", groupId, type = "chat", media } = {}) {
+    this.assertReady();
+    const author = normalizeUserId(from);
+    if (!isValidUser(author.split("@")[0])) throw new Error(`Invalid sender: ${from}`);
+
+    const chatId = groupId || author;
+    const chat = this.ensureChat(chatId);
+    if (chat.isGroup && !chat.participants.some((p) => p.id === author)) {
+      chat.participants.push({ id: author, isAdmin: false, isSuperAdmin: false });
+    }
+
+    const message = {
+      id: `false_${chatId}_3EB0${crypto.randomBytes(8).toString("hex").toUpperCase()}`,
+      chatId,
+      from: chatId,
+      to: this.world.me,
+      author: chat.isGroup ? author : undefined,
+      fromMe: false,
+      body,
+      type: media ? (type === "chat" ? "document" : type) : type,
+      media,
+      timestamp: Math.floor(Date.now() / 1000),
+      ack: ACK_DEVICE,
+    };
+    this.storeMessage(chat, message);
+    chat.unreadCount++;
+
+    const wrapped = this.wrapMessage(message);
+    this.emit("message_create", wrapped);
+    this.emit("message", wrapped);
+    return wrapped;
+  }
+
+  // Simulate WhatsApp dropping the connection (reason e.g. "NAVIGATION", "LOGOUT")
+  simulateDisconnect(reason = "NAVIGATION") {
+    if (String(reason).toUpperCase() === "LOGOUT") this.world.linked = false;
+    this.info = null;
+    this.emit("disconnected", reason);
+  }
+
+  // Everything the sandbox knows, for debugging integrations
+  snapshot() {
+    return {
+      me: this.world.me,
+      linked: this.world.linked,
+      ready: !!this.info,
+      contacts: [...this.world.contacts.values()],
+      chats: [...this.world.chats.values()].map(({ messageIds, ...chat }) => ({
+        ...chat,
+        messageCount: messageIds.length,
+      })),
+      messages: [...this.world.messages.values()]
+        .slice(-100)
+        .map(({ media, ...m }) => ({ ...m, hasMedia: !!media })),
+    };
+  }
+}
+
+export function createSandboxClient({ sessionId, sessionInfo }) {
+  return new SandboxClient({ sessionId, sessionInfo });
+}
@@ -0,0 +1,103 @@
+// services/drivers/whatsappWebDriver.js
+import pkg from "whatsapp-web.js";
+const { Client } = pkg;
+import proxyChain from "proxy-chain";
+import { proxyUrlWithAuth } from "../proxyConfig.js";
+
+/* -----------------------------------------------------
+   "whatsapp-web" driver
+   - Real WhatsApp Web session in a headless Chromium,
+     linked to a phone by QR or pairing code
+   - sessionInfo.proxy routes that browser through its own
+     outbound proxy
+----------------------------------------------------- */
+const PUPPETEER_ARGS = [
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-dev-shm-usage",
+  "--disable-accelerated-2d-canvas",
+  "--no-first-run",
+  "--no-zygote",
+  "--single-process",
+  "--disable-gpu",
+  "--disable-extensions",
+  "--disable-features=IsolateOrigins,site-per-process",
+  "--disable-software-rasterizer",
+  "--disable-background-timer-throttling",
+  "--disable-backgrounding-occluded-windows",
+  "--disable-renderer-backgrounding",
+  "--disable-web-security",
+  "--disable-infobars",
+  "--window-size=1920,1080",
+  "--start-maximized",
+  "--disk-cache-size=1",
+  "--media-cache-size=1",
+  "--aggressive-cache-discard"
+];
+
+/* -----------------------------------------------------
+   Internal: Proxy for one browser
+   Chromium can't authenticate to SOCKS proxies (nor answer
+   HTTP auth prompts headless), so proxies with credentials
+   go through a local unauthenticated bridge
+----------------------------------------------------- */
+async function launchProxy(proxy) {
+  if (!proxy?.url) return null;
+
+  if (!proxy.username) {
+    return { server: proxy.url, close: async () => {} };
+  }
+
+  const bridgeUrl = await proxyChain.anonymizeProxy({ url: proxyUrlWithAuth(proxy), port: 0 });
+  return {
+    server: bridgeUrl,
+    close: () => proxyChain.closeAnonymizedProxy(bridgeUrl, true),
+  };
+}
+
+export async function createWhatsappWebClient({ sessionInfo, authStrategy, pairingIntervalMs }) {
+  const proxy = await launchProxy(sessionInfo?.proxy);
+  // Pairing mode: WhatsApp emits an 8-character code instead of a QR
+  const pairingOptions =
+    sessionInfo?.loginMode === "pairing" && sessionInfo.pairingPhoneNumber
+      ? {
+          pairWithPhoneNumber: {
+            phoneNumber: sessionInfo.pairingPhoneNumber,
+            showNotification: true,
+            intervalMs: pairingIntervalMs,
+          },
+        }
+      : {};
+
+  const client = new Client({
+    ...pairingOptions,
+    authStrategy,
+    puppeteer: {
+      headless: true,
+      args: proxy ? [...PUPPETEER_ARGS, `--proxy-server=${proxy.server}`] : PUPPETEER_ARGS,
+      timeout: 120000, // Increased to 2 minutes for slower Render.com servers
+      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+    },
+    webVersionCache: {
+      type: 'remote',
+      remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
+    },
+  });
+
+  // Proxy this browser actually launched with (status endpoint reports it)
+  client.effectiveProxy = sessionInfo?.proxy?.url ? sessionInfo.proxy : null;
+
+  if (proxy) {
+    // The bridge lives as long as the browser
+    const destroy = client.destroy.bind(client);
+    client.destroy = async () => {
+      try {
+        return await destroy();
+      } finally {
+        await proxy.close().catch(() => {});
+      }
+    };
+  }
+
+  return client;
+}
@@ -0,0 +1,167 @@
+// services/fieldEncryption.js
+import crypto from "crypto";
+
+/* -----------------------------------------------------
+   Field-level encryption for data at rest
+   - AES-256-GCM, one random IV per value
+   - FIELD_ENCRYPTION_KEYS="<keyId>:<secret>,<keyId>:<secret>"
+     the first key encrypts, every listed key decrypts;
+     FIELD_ENCRYPTION_KEY=<secret> is the same as "default:<secret>"
+   - Rotation: put the new key first, restart, run
+     `npm run migrate:encryption`, then drop the old key
+   - Without a key values are stored as-is (a warning is logged)
+   - Strings:  enc1:<keyId>:<base64(iv | tag | ciphertext)>
+     Buffers:  "WAENC1" | keyId length | keyId | iv | tag | ciphertext
+   - Plaintext values read back unchanged, so documents written
+     before encryption was enabled keep working until migrated
+----------------------------------------------------- */
+const STRING_PREFIX = "enc1:";
+const BUFFER_MAGIC = Buffer.from("WAENC1");
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function encryptionError(message, code = "ENCRYPTION_KEY_MISSING") {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Secrets may be any string, the 256-bit key is derived per keyId
+function deriveKey(keyId, secret) {
+  return crypto.scryptSync(secret, `field-encryption:${keyId}`, 32);
+}
+
+// Loaded on first use, after dotenv has filled process.env
+let keys = null;
+
+function loadKeys() {
+  if (keys) return keys;
+  const raw = process.env.FIELD_ENCRYPTION_KEYS
+    || (process.env.FIELD_ENCRYPTION_KEY ? `default:${process.env.FIELD_ENCRYPTION_KEY}` : "");
+
+  const loaded = new Map();
+  for (const entry of raw.split(",").map((e) => e.trim()).filter(Boolean)) {
+    const sep = entry.indexOf(":");
+    const keyId = sep > 0 ? entry.slice(0, sep) : "";
+    const secret = sep > 0 ? entry.slice(sep + 1) : "";
+    if (!/^[\w-]{1,32}$/.test(keyId) || !secret) {
+      throw new Error("FIELD_ENCRYPTION_KEYS entries must look like <keyId>:<secret> (keyId: letters, digits, _ or -)");
+    }
+    if (!loaded.has(keyId)) loaded.set(keyId, deriveKey(keyId, secret));
+  }
+  keys = loaded;
+  return keys;
+}
+
+// keyId new values are encrypted with (null = encryption off)
+export const activeKeyId = () => loadKeys().keys().next().value || null;
+
+export const isEncryptionEnabled = () => !!activeKeyId();
+
+function keyFor(keyId) {
+  const key = loadKeys().get(keyId);
+  if (!key) throw encryptionError(`Encryption key "${keyId}" is not configured (FIELD_ENCRYPTION_KEYS)`);
+  return key;
+}
+
+function seal(plain) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", keyFor(activeKeyId()), iv);
+  const ciphertext = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(keyId, sealed) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", keyFor(keyId), sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  try {
+    return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+  } catch {
+    throw encryptionError(`Unable to decrypt value with key "${keyId}" (wrong key or corrupted data)`, "DECRYPTION_FAILED");
+  }
+}
+
+// Mixed fields come back as BSON Binary rather than Buffer
+export function toBuffer(value) {
+  if (value == null) return value;
+  return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer);
+}
+
+/* -----------------------------------------------------
+   Strings (QR codes, pairing codes, proxy passwords, message bodies)
+----------------------------------------------------- */
+export const isEncryptedString = (value) =>
+  typeof value === "string" && value.startsWith(STRING_PREFIX);
+
+// keyId a stored string was encrypted with (null = plaintext)
+export function stringKeyId(value) {
+  return isEncryptedString(value) ? value.slice(STRING_PREFIX.length).split(":")[0] : null;
+}
+
+export function encryptString(value) {
+  if (value == null || value === "" || !isEncryptionEnabled() || isEncryptedString(value)) return value;
+  return `${STRING_PREFIX}${activeKeyId()}:${seal(Buffer.from(String(value), "utf8")).toString("base64")}`;
+}
+
+export function decryptString(value) {
+  if (!isEncryptedString(value)) return value;
+  const [keyId, payload] = value.slice(STRING_PREFIX.length).split(":");
+  return open(keyId, Buffer.from(payload, "base64")).toString("utf8");
+}
+
+/* -----------------------------------------------------
+   Buffers (auth profile zips)
+----------------------------------------------------- */
+export function isEncryptedBuffer(value) {
+  const buf = toBuffer(value);
+  return !!buf && buf.length > BUFFER_MAGIC.length && buf.subarray(0, BUFFER_MAGIC.length).equals(BUFFER_MAGIC);
+}
+
+export function bufferKeyId(value) {
+  if (!isEncryptedBuffer(value)) return null;
+  const buf = toBuffer(value);
+  const len = buf[BUFFER_MAGIC.length];
+  return buf.subarray(BUFFER_MAGIC.length + 1, BUFFER_MAGIC.length + 1 + len).toString("utf8");
+}
+
+export function encryptBuffer(value) {
+  const buf = toBuffer(value);
+  if (!buf || !isEncryptionEnabled() || isEncryptedBuffer(buf)) return buf;
+  const keyId = Buffer.from(activeKeyId(), "utf8");
+  return Buffer.concat([BUFFER_MAGIC, Buffer.from([keyId.length]), keyId, seal(buf)]);
+}
+
+export function decryptBuffer(value) {
+  const buf = toBuffer(value);
+  if (!isEncryptedBuffer(buf)) return buf;
+  const keyId = bufferKeyId(buf);
+  return open(keyId, buf.subarray(BUFFER_MAGIC.length + 1 + Buffer.byteLength(keyId)));
+}
+
+/* -----------------------------------------------------
+   Migration helpers
+   - Return the value re-encrypted with the active key, or
+     undefined when it is already current (nothing to write)
+----------------------------------------------------- */
+export function reencryptString(value) {
+  if (value == null || value === "" || stringKeyId(value) === activeKeyId()) return undefined;
+  return encryptString(decryptString(value));
+}
+
+export function reencryptBuffer(value) {
+  if (value == null || bufferKeyId(value) === activeKeyId()) return undefined;
+  return encryptBuffer(decryptBuffer(value));
+}
+
+// Mongoose getter/setter pair for encrypted String paths
+export const encryptedString = {
+  set: (value) => encryptString(value),
+  get: (value) => {
+    try {
+      return decryptString(value);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      return null;
+    }
+  },
+};
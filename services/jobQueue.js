@@ -0,0 +1,586 @@
+// services/jobQueue.js
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import jobModel from "../models/job.js";
+import sessionModel from "../models/session.js";
+import { INSTANCE_ID, LEASE_TTL_MS } from "./leaseManager.js";
+
+/* -----------------------------------------------------
+   Durable background jobs (batch sends)
+   - Jobs and their per-recipient items live in MongoDB;
+     the HTTP request only creates the job
+   - Uploaded media is kept in GridFS, so any instance can
+     run a job; one job per session at a time
+   - Pause / cancel are stored on the job and picked up
+     between recipients and while waiting between sends
+   - The running instance holds a lease on its jobs; after a
+     crash or redeploy the instance that owns the sessions
+     adopts them and continues from the recipient cursor
+   - Scheduled sends (services/scheduler.js) are jobs that
+     wait for their scheduledFor time
+----------------------------------------------------- */
+const POLL_MS = parseInt(process.env.JOB_POLL_MS) || 5000;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 5;
+// How long a job waits for a session to come back before its recipients fail
+const SESSION_WAIT_MS = parseInt(process.env.JOB_SESSION_WAIT_MS) || 5 * 60 * 1000;
+// How often a waiting job re-reads its status (pause / cancel from any instance)
+const CONTROL_CHECK_MS = 5000;
+const MEDIA_BUCKET = "jobMedia";
+
+const ACTIVE_STATUSES = ["queued", "running", "paused"];
+
+// Session is restoring / reconnecting: the recipient is retried on a later poll
+const DEFERRED_CODES = ["SESSION_NOT_READY"];
+
+// type -> { send, recover? }
+//   send(job, item, context)    => { status, chatId?, messages?, error?, code? }
+//   recover(job, item, context) => same, or null when the item never went out
+const handlers = new Map();
+// jobId -> { sessionIds, stopping }
+const running = new Map();
+
+let pollTimer = null;
+let polling = false;
+let stopped = false;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const randomDelay = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+
+function jobError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const leaseUntil = () => new Date(Date.now() + LEASE_TTL_MS);
+
+// Job types are registered by the controllers that know how to send them
+export function registerJobHandler(type, { send, recover }) {
+  handlers.set(type, { send, recover });
+}
+
+/* -----------------------------------------------------
+   Job media (GridFS)
+----------------------------------------------------- */
+const mediaBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: MEDIA_BUCKET });
+
+export async function deleteJobMedia(media) {
+  const bucket = mediaBucket();
+  for (const { fileId } of media) {
+    // Already gone is fine (another instance got there first)
+    await bucket.delete(fileId).catch(() => {});
+  }
+}
+
+// Uploaded files ({ path, mimeType, filename }) -> GridFS entries, removed from disk
+export async function storeJobMedia(files, metadata = {}) {
+  const media = [];
+  try {
+    for (const file of files) {
+      const { size } = await fs.promises.stat(file.path);
+      const upload = mediaBucket().openUploadStream(file.filename || path.basename(file.path), {
+        metadata: { ...metadata, mimeType: file.mimeType },
+      });
+      await pipeline(fs.createReadStream(file.path), upload);
+      media.push({ fileId: upload.id, mimeType: file.mimeType, filename: file.filename, size });
+    }
+  } catch (err) {
+    await deleteJobMedia(media);
+    throw err;
+  }
+  for (const file of files) await fs.promises.rm(file.path, { force: true });
+  return media;
+}
+
+// Media of a job as { mimeType, filename, base64 }, in upload order
+export async function loadJobMedia(job) {
+  const bucket = mediaBucket();
+  const media = [];
+  for (const m of job.payload.media || []) {
+    const chunks = [];
+    for await (const chunk of bucket.openDownloadStream(m.fileId)) chunks.push(chunk);
+    media.push({ mimeType: m.mimeType, filename: m.filename, base64: Buffer.concat(chunks).toString("base64") });
+  }
+  return media;
+}
+
+/* -----------------------------------------------------
+   Create a job
+   - payload.media: uploaded files ({ path, mimeType, filename });
+     they are copied to GridFS and removed from disk, and kept
+     there until the job ends
+   - payload.media entries that are already stored (fileId)
+     belong to the caller and outlive the job (recurring
+     schedules reuse them for every run)
+   - jobId: optional, a duplicate fails with Mongo's 11000
+----------------------------------------------------- */
+export async function createJob({
+  jobId = uuidv4(),
+  type,
+  userId = null,
+  createdBy,
+  sessionIds,
+  payload,
+  items,
+  meta = {},
+  scheduledFor,
+  timezone,
+}) {
+  const files = payload.media || [];
+  const shared = files.length > 0 && files.every((m) => m.fileId);
+  const media = shared ? files : await storeJobMedia(files, { jobId });
+
+  let job;
+  try {
+    job = await jobModel.create({
+      jobId,
+      type,
+      userId,
+      createdBy,
+      sessionIds,
+      instanceId: INSTANCE_ID,
+      leaseExpiresAt: leaseUntil(),
+      payload: { ...payload, media },
+      mediaStored: !shared && media.length > 0,
+      meta,
+      items,
+      scheduledFor,
+      timezone,
+    });
+  } catch (err) {
+    if (!shared) await deleteJobMedia(media);
+    throw err;
+  }
+
+  console.log(
+    `📥 Job ${jobId} queued: ${type}, ${items.length} recipient(s) via ${sessionIds.join(", ")}` +
+      (scheduledFor ? ` for ${scheduledFor.toISOString()}` : "")
+  );
+  setImmediate(pollJobs);
+  return job;
+}
+
+/* -----------------------------------------------------
+   State changes requested through the API
+----------------------------------------------------- */
+async function transition(jobId, from, update, action, options = {}) {
+  const job = await jobModel.findOneAndUpdate(
+    { jobId, status: { $in: from } },
+    update,
+    { ...options, new: true }
+  );
+  if (job) return job;
+
+  const current = await jobModel.findOne({ jobId }, { status: 1 });
+  if (!current) throw jobError(`Job not found: ${jobId}`, "JOB_NOT_FOUND");
+  throw jobError(`Cannot ${action} a job that is ${current.status}`, "INVALID_JOB_STATE");
+}
+
+export async function pauseJob(jobId) {
+  const job = await transition(
+    jobId,
+    ["queued", "running"],
+    { $set: { status: "paused", pausedAt: new Date() } },
+    "pause"
+  );
+  console.log(`⏸️ Job ${jobId} paused`);
+  return job;
+}
+
+export async function resumeJob(jobId) {
+  const job = await transition(
+    jobId,
+    ["paused"],
+    { $set: { status: "queued" }, $unset: { pausedAt: 1 } },
+    "resume"
+  );
+  console.log(`▶️ Job ${jobId} resumed`);
+  setImmediate(pollJobs);
+  return job;
+}
+
+// Scheduled jobs only move while they have not started
+export async function rescheduleJob(jobId, scheduledFor, timezone) {
+  const job = await transition(
+    jobId,
+    ["queued", "paused"],
+    { $set: { scheduledFor, timezone } },
+    "reschedule"
+  );
+  console.log(`🗓️ Job ${jobId} rescheduled for ${scheduledFor.toISOString()}`);
+  return job;
+}
+
+export async function cancelJob(jobId) {
+  const job = await transition(
+    jobId,
+    ACTIVE_STATUSES,
+    {
+      $set: { status: "cancelled", finishedAt: new Date(), "items.$[open].status": "cancelled" },
+    },
+    "cancel",
+    { arrayFilters: [{ "open.status": "pending" }] }
+  );
+  console.log(`🛑 Job ${jobId} cancelled`);
+  return job;
+}
+
+/* -----------------------------------------------------
+   Progress summary (+ per-recipient results)
+----------------------------------------------------- */
+export function describeJob(job, { withResults = false } = {}) {
+  const counts = { pending: 0, sending: 0, sent: 0, failed: 0, cancelled: 0 };
+  for (const item of job.items) counts[item.status] = (counts[item.status] || 0) + 1;
+  const total = job.items.length;
+  const done = counts.sent + counts.failed + counts.cancelled;
+
+  return {
+    jobId: job.jobId,
+    type: job.type,
+    status: job.status,
+    sessionIds: job.sessionIds,
+    userId: job.userId,
+    progress: {
+      total,
+      ...counts,
+      percent: total ? Math.round((done / total) * 100) : 100,
+      cursor: job.cursor || 0,
+    },
+    resumeCount: job.resumeCount || 0,
+    meta: job.meta || {},
+    error: job.error || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    pausedAt: job.pausedAt || null,
+    resumedAt: job.resumedAt || null,
+    finishedAt: job.finishedAt || null,
+    ...(job.scheduledFor && { scheduledFor: job.scheduledFor, timezone: job.timezone || "UTC" }),
+    ...(withResults && {
+      results: job.items.map((item) => ({
+        sessionId: item.sessionId,
+        to: item.to,
+        name: item.name || null,
+        phone: item.phone || null,
+        fromGroup: item.fromGroup || null,
+        status: item.status,
+        chatId: item.chatId || null,
+        groupName: item.groupName || null,
+        messages: item.messages,
+        error: item.error || null,
+        code: item.code || null,
+        recovered: !!item.recovered,
+        finishedAt: item.finishedAt || null,
+      })),
+    }),
+  };
+}
+
+/* -----------------------------------------------------
+   Worker
+----------------------------------------------------- */
+async function isStillRunning(jobId, state) {
+  if (state.stopping) return false;
+  const job = await jobModel.findOne({ jobId }, { status: 1 });
+  return job?.status === "running";
+}
+
+// Waits between sends; false when the job was paused, cancelled or the worker stopped
+async function waitWhileRunning(jobId, ms, state) {
+  const until = Date.now() + ms;
+  while (Date.now() < until) {
+    await sleep(Math.min(CONTROL_CHECK_MS, until - Date.now()));
+    if (!(await isStillRunning(jobId, state))) return false;
+  }
+  return true;
+}
+
+function itemUpdate(index, fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => [`items.${index}.${key}`, value]));
+}
+
+// Runs a handler step, errors become a failed result
+async function attempt(step) {
+  try {
+    return await step();
+  } catch (err) {
+    return { status: "failed", error: err.message, code: err.code };
+  }
+}
+
+async function runJob(job) {
+  const { jobId } = job;
+  // A scheduled message goes out on time even while its session runs a batch
+  const state = { sessionIds: job.scheduledFor ? [] : job.sessionIds, stopping: false };
+  running.set(jobId, state);
+
+  // Handlers cache clients / media here for the length of the run
+  const context = {};
+  const { delayMin = 15000, delayMax = 20000 } = job.payload || {};
+
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+    if (!job.startedAt) await jobModel.updateOne({ jobId }, { $set: { startedAt: new Date() } });
+
+    const left = job.items.filter((item) => ["pending", "sending"].includes(item.status)).length;
+    console.log(`🚀 Job ${jobId} running: ${left} of ${job.items.length} recipient(s) left`);
+
+    // Everything before the cursor is finished, recipients are processed in order
+    let sentBefore = false;
+    for (let i = job.cursor || 0; i < job.items.length; i++) {
+      const item = job.items[i];
+      if (!["pending", "sending"].includes(item.status)) continue;
+
+      // Pause / cancel / shutdown take effect between recipients
+      const keepGoing = sentBefore
+        ? await waitWhileRunning(jobId, randomDelay(delayMin, delayMax), state)
+        : await isStillRunning(jobId, state);
+      if (!keepGoing) {
+        console.log(`⏹️ Job ${jobId} stopped before recipient ${i + 1}/${job.items.length}`);
+        return;
+      }
+
+      // "sending" = the process stopped mid-send; check whether it went out before sending again
+      let result = null;
+      let attempted = false;
+      if (item.status === "sending" && handler.recover) {
+        result = await attempt(() => handler.recover(job, item, context));
+        if (result?.status === "sent") {
+          result.recovered = true;
+          console.log(`♻️ Job ${jobId} [${i + 1}/${job.items.length}] already delivered to ${item.to} before the restart`);
+        }
+      }
+      if (!result) {
+        attempted = true;
+        await jobModel.updateOne({ jobId }, { $set: itemUpdate(i, { status: "sending", startedAt: new Date() }) });
+        result = await attempt(() => handler.send(job, item, context));
+      }
+
+      // Nothing went out: leave the recipient where it was and hand the job back
+      if (!result.messages?.length && (await deferItem(job, i, result, !attempted))) return;
+
+      await jobModel.updateOne(
+        { jobId },
+        {
+          $set: { ...itemUpdate(i, { ...result, finishedAt: new Date() }), cursor: i + 1 },
+          ...(result.status === "sent" && { $unset: { waitingSince: 1 } }),
+        }
+      );
+      sentBefore = result.status === "sent" && !result.recovered;
+      console.log(
+        result.status === "sent"
+          ? `✅ Job ${jobId} [${i + 1}/${job.items.length}] sent to ${item.to} via ${item.sessionId}`
+          : `❌ Job ${jobId} [${i + 1}/${job.items.length}] ${item.to}: ${result.error}`
+      );
+    }
+
+    await jobModel.updateOne(
+      { jobId, status: "running" },
+      { $set: { status: "completed", finishedAt: new Date() } }
+    );
+    console.log(`🏁 Job ${jobId} completed`);
+  } catch (err) {
+    console.error(`❌ Job ${jobId} failed:`, err.message);
+    await jobModel
+      .updateOne({ jobId, status: "running" }, { $set: { status: "failed", error: err.message, finishedAt: new Date() } })
+      .catch(() => {});
+  } finally {
+    running.delete(jobId);
+    if (pollTimer) setImmediate(pollJobs);
+  }
+}
+
+/* -----------------------------------------------------
+   Recipients that can't be handled here right now
+   - Session owned by another instance: the job is released
+     and adopted by that instance
+   - Session still restoring: the job goes back to the queue
+     and retries until it has waited SESSION_WAIT_MS
+   Returns true when the run should stop
+----------------------------------------------------- */
+async function deferItem(job, index, result, notAttempted) {
+  const { jobId } = job;
+  const item = job.items[index];
+  // Still in doubt when only the delivery check ran
+  const status = notAttempted ? item.status : "pending";
+
+  if (result.code === "SESSION_OWNED_ELSEWHERE") {
+    await jobModel.updateOne({ jobId }, { $set: itemUpdate(index, { status }) });
+    await jobModel.updateOne(
+      { jobId, status: "running" },
+      { $set: { status: "queued", instanceId: null }, $unset: { leaseExpiresAt: 1 } }
+    );
+    console.log(`↪️ Job ${jobId} handed off: ${item.sessionId} is owned by another instance`);
+    return true;
+  }
+
+  if (DEFERRED_CODES.includes(result.code)) {
+    // Once the wait is over, recipients fail until one gets through again
+    const waitingSince = job.waitingSince || new Date();
+    if (Date.now() - waitingSince.getTime() >= SESSION_WAIT_MS) return false;
+
+    await jobModel.updateOne({ jobId }, { $set: { ...itemUpdate(index, { status }), waitingSince } });
+    await jobModel.updateOne(
+      { jobId, status: "running" },
+      { $set: { status: "queued", retryAt: new Date(Date.now() + POLL_MS) } }
+    );
+    if (!job.waitingSince) console.log(`⏳ Job ${jobId} waiting for ${item.sessionId}: ${result.error}`);
+    return true;
+  }
+
+  return false;
+}
+
+// Media of finished jobs is removed by whichever instance gets to it first
+async function removeFinishedJobMedia() {
+  for (;;) {
+    const job = await jobModel.findOneAndUpdate(
+      { status: { $nin: ACTIVE_STATUSES }, mediaStored: true },
+      { $set: { mediaStored: false } },
+      { projection: { jobId: 1, "payload.media": 1 } }
+    );
+    if (!job) return;
+    await deleteJobMedia(job.payload?.media || []);
+  }
+}
+
+/* -----------------------------------------------------
+   Jobs whose instance is gone
+   - Lease expired (crash, redeploy with a new INSTANCE_ID)
+     or released on a hand-off
+   - Adopted when no other live instance owns one of the
+     job's sessions; a job that was running continues from
+     its cursor
+----------------------------------------------------- */
+async function adoptOrphanedJobs() {
+  const now = new Date();
+  const orphans = await jobModel.find(
+    {
+      status: { $in: ACTIVE_STATUSES },
+      instanceId: { $ne: INSTANCE_ID },
+      $or: [{ instanceId: null }, { leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }],
+    },
+    { jobId: 1, status: 1, instanceId: 1, sessionIds: 1 }
+  );
+  if (!orphans.length) return;
+
+  const remote = await sessionModel.distinct("sessionId", {
+    sessionId: { $in: orphans.flatMap((job) => job.sessionIds) },
+    ownerInstanceId: { $nin: [null, INSTANCE_ID] },
+    leaseExpiresAt: { $gt: now },
+  });
+
+  for (const orphan of orphans) {
+    if (orphan.sessionIds.some((id) => remote.includes(id))) continue;
+
+    // Guarded on the previous owner so only one instance wins
+    const adopted = await jobModel.findOneAndUpdate(
+      { jobId: orphan.jobId, instanceId: orphan.instanceId, status: orphan.status },
+      {
+        $set: {
+          instanceId: INSTANCE_ID,
+          leaseExpiresAt: leaseUntil(),
+          ...(orphan.status === "running" && { status: "queued", resumedAt: now }),
+        },
+        ...(orphan.status === "running" && { $inc: { resumeCount: 1 } }),
+      }
+    );
+    if (adopted) {
+      console.log(`♻️ Job ${orphan.jobId} adopted from ${orphan.instanceId || "released"} (${orphan.status})`);
+    }
+  }
+}
+
+async function pollJobs() {
+  if (!pollTimer || polling) return;
+  polling = true;
+
+  try {
+    // Keep our jobs from being adopted
+    await jobModel.updateMany(
+      { instanceId: INSTANCE_ID, status: { $in: ACTIVE_STATUSES } },
+      { $set: { leaseExpiresAt: leaseUntil() } }
+    );
+    await adoptOrphanedJobs();
+
+    while (running.size < CONCURRENCY) {
+      // A session that is already sending for one job waits for it to end
+      const busySessions = [...running.values()].flatMap((r) => r.sessionIds);
+      const now = new Date();
+      const job = await jobModel.findOneAndUpdate(
+        {
+          status: "queued",
+          instanceId: INSTANCE_ID,
+          $and: [
+            { $or: [{ sessionIds: { $nin: busySessions } }, { scheduledFor: { $ne: null } }] },
+            { $or: [{ retryAt: null }, { retryAt: { $lte: now } }] },
+            { $or: [{ scheduledFor: null }, { scheduledFor: { $lte: now } }] },
+          ],
+        },
+        { $set: { status: "running", leaseExpiresAt: leaseUntil() }, $unset: { retryAt: 1 } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!job) break;
+      runJob(job);
+    }
+    await removeFinishedJobMedia();
+  } catch (err) {
+    console.error("❌ Job poll failed:", err.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/* -----------------------------------------------------
+   Start the worker
+   - Called once restoreSessions() is done, so resumed jobs
+     find their sessions back
+   - Jobs this instance left "running" (same INSTANCE_ID,
+     the process died) are queued again first
+----------------------------------------------------- */
+export async function startJobWorker() {
+  if (pollTimer || stopped) return;
+
+  const interrupted = await jobModel.updateMany(
+    { instanceId: INSTANCE_ID, status: "running" },
+    { $set: { status: "queued", resumedAt: new Date() }, $inc: { resumeCount: 1 } }
+  );
+  if (interrupted.modifiedCount) {
+    console.log(`♻️ ${interrupted.modifiedCount} interrupted job(s) will resume`);
+  }
+
+  pollTimer = setInterval(pollJobs, POLL_MS);
+  setImmediate(pollJobs);
+  console.log(`🧵 Job worker started (every ${POLL_MS / 1000}s, up to ${CONCURRENCY} job(s) at once)`);
+}
+
+/* -----------------------------------------------------
+   Stop for shutdown
+   - Running jobs finish the message in flight, then go
+     back to "queued"; their leases are released so the
+     next instance picks them up without waiting
+----------------------------------------------------- */
+export async function stopJobWorker(timeoutMs = 15000) {
+  stopped = true;
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+
+  const jobIds = [...running.keys()];
+  if (jobIds.length) {
+    for (const state of running.values()) state.stopping = true;
+    const deadline = Date.now() + timeoutMs;
+    while (running.size && Date.now() < deadline) await sleep(250);
+
+    await jobModel.updateMany({ jobId: { $in: jobIds }, status: "running" }, { $set: { status: "queued" } });
+    console.log(`⏸️ ${jobIds.length} running job(s) requeued for the next start`);
+  }
+
+  await jobModel.updateMany(
+    { instanceId: INSTANCE_ID, status: { $in: ACTIVE_STATUSES } },
+    { $set: { leaseExpiresAt: new Date() } }
+  );
+}
@@ -0,0 +1,109 @@
+// services/leaseManager.js
+import os from "os";
+import sessionModel from "../models/session.js";
+
+/* -----------------------------------------------------
+   Session ownership leases
+   - Each session runs on exactly one instance: the one
+     holding an unexpired lease in MongoDB
+   - Owners renew their leases on a heartbeat, a crashed
+     instance's leases expire and get taken over
+----------------------------------------------------- */
+
+export const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+// Base URL other instances use to reach this one (for routing)
+export const INSTANCE_URL = process.env.INSTANCE_URL || null;
+
+export const LEASE_TTL_MS = parseInt(process.env.SESSION_LEASE_TTL_MS) || 45000;
+export const LEASE_RENEW_MS = parseInt(process.env.SESSION_LEASE_RENEW_MS) || 15000;
+
+/* -----------------------------------------------------
+   Acquire (or extend) the lease for a session
+   - Succeeds when the session is unowned, already ours,
+     or the previous owner's lease has expired
+----------------------------------------------------- */
+export async function acquireLease(sessionId) {
+  const now = new Date();
+  const session = await sessionModel.findOneAndUpdate(
+    {
+      sessionId,
+      $or: [
+        { ownerInstanceId: INSTANCE_ID },
+        { ownerInstanceId: null },
+        { leaseExpiresAt: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        ownerInstanceId: INSTANCE_ID,
+        ownerUrl: INSTANCE_URL,
+        leaseExpiresAt: new Date(now.getTime() + LEASE_TTL_MS),
+        leaseRenewedAt: now,
+      },
+    },
+    { new: true }
+  );
+  return !!session;
+}
+
+/* -----------------------------------------------------
+   Renew the leases of every session we run
+   Returns the sessionIds whose lease we no longer hold
+----------------------------------------------------- */
+export async function renewLeases(sessionIds) {
+  if (!sessionIds.length) return [];
+
+  const now = new Date();
+  await sessionModel.updateMany(
+    { sessionId: { $in: sessionIds }, ownerInstanceId: INSTANCE_ID },
+    {
+      $set: {
+        ownerUrl: INSTANCE_URL,
+        leaseExpiresAt: new Date(now.getTime() + LEASE_TTL_MS),
+        leaseRenewedAt: now,
+      },
+    }
+  );
+
+  // Taken over by another instance, or deleted (e.g. cleared elsewhere)
+  const held = await sessionModel.find(
+    { sessionId: { $in: sessionIds }, ownerInstanceId: INSTANCE_ID },
+    { sessionId: 1 }
+  );
+  const heldIds = new Set(held.map((s) => s.sessionId));
+  return sessionIds.filter((id) => !heldIds.has(id));
+}
+
+/* -----------------------------------------------------
+   Give a session up (disconnect, hibernate, shutdown)
+----------------------------------------------------- */
+export async function releaseLease(sessionId) {
+  await sessionModel.updateOne(
+    { sessionId, ownerInstanceId: INSTANCE_ID },
+    { $set: { ownerInstanceId: null, ownerUrl: null, leaseExpiresAt: null } }
+  );
+}
+
+/* -----------------------------------------------------
+   Who runs this session?
+   Returns null when the session does not exist
+----------------------------------------------------- */
+export async function getSessionOwner(sessionId) {
+  const session = await sessionModel.findOne(
+    { sessionId },
+    { ownerInstanceId: 1, ownerUrl: 1, leaseExpiresAt: 1 }
+  );
+  if (!session) return null;
+
+  const isExpired = !session.leaseExpiresAt || session.leaseExpiresAt < new Date();
+  return {
+    ownerInstanceId: session.ownerInstanceId,
+    ownerUrl: session.ownerUrl,
+    leaseExpiresAt: session.leaseExpiresAt,
+    isLocal: session.ownerInstanceId === INSTANCE_ID,
+    isExpired,
+    // Owned by a live instance other than this one
+    isRemote: !!session.ownerInstanceId && session.ownerInstanceId !== INSTANCE_ID && !isExpired,
+  };
+}
@@ -0,0 +1,136 @@
+// services/messageStore.js
+import messageModel from "../models/message.js";
+
+/* -----------------------------------------------------
+   Persistent message store
+   - Every message a session sends or receives is recorded
+     from the client's "message_create" event, so all send
+     paths (controllers, batches, replies) are covered
+   - "message_ack" moves outbound messages forward through
+     sent -> delivered -> read -> played, never backwards
+----------------------------------------------------- */
+
+// MessageAck values from whatsapp-web.js
+export const ACK_STATUS = {
+  [-1]: "error",
+  0: "pending",
+  1: "sent",
+  2: "delivered",
+  3: "read",
+  4: "played",
+};
+
+// Timestamp field set when a message reaches the status
+const STATUS_TIME_FIELD = {
+  error: "failedAt",
+  delivered: "deliveredAt",
+  read: "readAt",
+  played: "playedAt",
+};
+
+// System notices, not conversation messages
+const SKIPPED_TYPES = ["e2e_notification", "notification_template", "protocol", "ciphertext", "gp2"];
+
+const serializedId = (id) => (typeof id === "string" ? id : id?._serialized);
+
+function mediaInfo(message) {
+  if (!message.hasMedia) return undefined;
+  const data = message._data || {};
+  return {
+    mimetype: data.mimetype || undefined,
+    filename: data.filename || undefined,
+    size: Number(data.size) || undefined,
+    duration: Number(message.duration || data.duration) || undefined,
+  };
+}
+
+/* -----------------------------------------------------
+   Record a sent or received message
+   - Upserts on (sessionId, messageId) so replays are harmless
+   - The ack is only set on insert, later acks come through
+     recordMessageAck
+----------------------------------------------------- */
+export async function recordMessage(sessionId, message) {
+  const messageId = message.id?._serialized;
+  if (!messageId || SKIPPED_TYPES.includes(message.type)) return;
+  if (message.from === "status@broadcast" || message.to === "status@broadcast") return;
+
+  const outbound = !!message.fromMe;
+  const chatId = serializedId(message.id.remote) || (outbound ? message.to : message.from);
+  const ack = outbound ? message.ack ?? 0 : undefined;
+  const timestamp = message.timestamp ? new Date(message.timestamp * 1000) : new Date();
+
+  await messageModel.updateOne(
+    { sessionId, messageId },
+    {
+      $set: {
+        chatId,
+        direction: outbound ? "outbound" : "inbound",
+        from: message.from,
+        to: message.to,
+        author: message.author || undefined,
+        type: message.type,
+        body: message.body || "",
+        hasMedia: !!message.hasMedia,
+        media: mediaInfo(message),
+        isReply: !!message.hasQuotedMsg,
+        isForwarded: !!message.isForwarded,
+        timestamp,
+      },
+      $setOnInsert: outbound
+        ? { ack, status: ACK_STATUS[ack] || "pending" }
+        : { status: "received" },
+    },
+    { upsert: true }
+  );
+}
+
+/* -----------------------------------------------------
+   Apply a message_ack update
+   Returns true when the stored status changed
+----------------------------------------------------- */
+export async function recordMessageAck(sessionId, messageId, ack) {
+  const status = ACK_STATUS[ack] || "unknown";
+  const $set = { ack, status };
+  if (STATUS_TIME_FIELD[status]) $set[STATUS_TIME_FIELD[status]] = new Date();
+
+  const result = await messageModel.updateOne(
+    {
+      sessionId,
+      messageId,
+      direction: "outbound",
+      // acks arrive out of order now and then; keep the furthest one
+      // (an error only replaces pending)
+      $or: [{ ack: ack < 0 ? { $lte: 0 } : { $lt: ack } }, { ack: null }],
+    },
+    { $set }
+  );
+  return result.modifiedCount > 0;
+}
+
+// API shape of a stored message
+export function describeMessage(doc) {
+  return {
+    messageId: doc.messageId,
+    sessionId: doc.sessionId,
+    chatId: doc.chatId,
+    direction: doc.direction,
+    from: doc.from,
+    to: doc.to,
+    author: doc.author || null,
+    type: doc.type,
+    body: doc.body,
+    hasMedia: doc.hasMedia,
+    media: doc.hasMedia ? doc.media : null,
+    isReply: doc.isReply,
+    isForwarded: doc.isForwarded,
+    status: doc.status,
+    ack: doc.ack ?? null,
+    timestamp: doc.timestamp,
+    deliveredAt: doc.deliveredAt || null,
+    readAt: doc.readAt || null,
+    playedAt: doc.playedAt || null,
+    failedAt: doc.failedAt || null,
+    updatedAt: doc.updatedAt,
+  };
+}
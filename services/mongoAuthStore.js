@@ -0,0 +1,61 @@
+// services/mongoAuthStore.js
+import fs from "fs";
+import sessionModel from "../models/session.js";
+import { encryptBuffer, decryptBuffer } from "./fieldEncryption.js";
+
+// MongoDB rejects documents over 16MB, keep headroom for the other fields
+export const MAX_AUTH_BUNDLE_BYTES = 15 * 1024 * 1024;
+
+/* -----------------------------------------------------
+   Mongo-backed store for whatsapp-web.js RemoteAuth
+   - RemoteAuth zips the browser profile to `${session}.zip`
+     and asks the store to save / extract / delete it
+   - The bundle lives in the session document's `authData`
+     so it survives container redeploys
+   - The zip is encrypted with FIELD_ENCRYPTION_KEYS when set
+----------------------------------------------------- */
+export function createMongoAuthStore(sessionId) {
+  return {
+    async sessionExists() {
+      const count = await sessionModel.countDocuments({
+        sessionId,
+        "authData.zip": { $exists: true },
+      });
+      return count > 0;
+    },
+
+    async save({ session }) {
+      const zip = await fs.promises.readFile(`${session}.zip`);
+
+      if (zip.length > MAX_AUTH_BUNDLE_BYTES) {
+        console.error(
+          `❌ Auth bundle for ${sessionId} is ${(zip.length / 1024 / 1024).toFixed(1)}MB, too large to store in MongoDB`
+        );
+        return;
+      }
+
+      await sessionModel.findOneAndUpdate(
+        { sessionId },
+        { authData: { zip: encryptBuffer(zip), size: zip.length, savedAt: new Date() } }
+      );
+      console.log(`💾 Auth bundle saved to MongoDB: ${sessionId} (${(zip.length / 1024).toFixed(0)}KB)`);
+    },
+
+    async extract({ path: zipPath }) {
+      const session = await sessionModel.findOne({ sessionId }, { authData: 1 });
+      const stored = session?.authData?.zip;
+      if (!stored) return;
+
+      const zip = decryptBuffer(stored);
+      await fs.promises.writeFile(zipPath, zip);
+      console.log(`♻️ Auth bundle restored from MongoDB: ${sessionId}`);
+    },
+
+    async delete() {
+      await sessionModel.findOneAndUpdate(
+        { sessionId },
+        { $unset: { authData: 1 } }
+      );
+    },
+  };
+}
@@ -0,0 +1,310 @@
+// services/recurringScheduler.js
+import { v4 as uuidv4 } from "uuid";
+import recurringScheduleModel from "../models/recurringSchedule.js";
+import jobModel from "../models/job.js";
+import { createJob, cancelJob, storeJobMedia, deleteJobMedia } from "./jobQueue.js";
+import { scheduleOwner } from "./scheduler.js";
+import { nextCronRun } from "./cron.js";
+import { formatInTimeZone, parseZonedDateTime } from "./timeZone.js";
+
+/* -----------------------------------------------------
+   Recurring message schedules
+   - A cron expression, read in the schedule's timezone,
+     says when; every run is a job of type
+     "recurring-message" sent through the batch path
+     (message.controller.js), so each run keeps its own
+     per-target results
+   - Any instance may start a run: the run's jobId comes
+     from the schedule and the run time, so a run is only
+     created once, even after a crash halfway
+   - Runs the server was down for are skipped and counted
+     (sent late only within MISSED_RUN_GRACE_MS)
+----------------------------------------------------- */
+export const RECURRING_MESSAGE_JOB = "recurring-message";
+
+const POLL_MS = parseInt(process.env.RECURRING_POLL_MS) || 15000;
+const MISSED_RUN_GRACE_MS = parseInt(process.env.RECURRING_MISSED_GRACE_MS) || 30 * 60 * 1000;
+// Upper bound when counting skipped runs (a minutely schedule after a long outage)
+const MAX_COUNTED_MISSES = 1000;
+
+let pollTimer = null;
+let polling = false;
+
+function scheduleError(message, code = "VALIDATION_FAILED") {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Next run after `after` within startAt / endAt; null when the schedule is over
+function runAfter({ cron, timezone, startAt, endAt }, after) {
+  // startAt itself may be a run
+  const from = startAt && startAt > after ? new Date(startAt.getTime() - 1) : after;
+  const next = nextCronRun(cron, from, timezone);
+  return next && (!endAt || next <= endAt) ? next : null;
+}
+
+// Runs due in (from, until] that will not happen
+function countRunsBetween(schedule, from, until) {
+  let count = 0;
+  for (let at = runAfter(schedule, from); at && at <= until && count < MAX_COUNTED_MISSES; at = runAfter(schedule, at)) {
+    count++;
+  }
+  return count;
+}
+
+export function describeRecurringSchedule(schedule) {
+  const timezone = schedule.timezone || "UTC";
+  const local = (date) => (date ? formatInTimeZone(date, timezone) : null);
+
+  return {
+    recurringId: schedule.scheduleId,
+    name: schedule.name || null,
+    status: schedule.paused ? "paused" : schedule.nextRunAt ? "active" : "ended",
+    sessionId: schedule.sessionId,
+    targets: schedule.targets,
+    cron: schedule.cron,
+    timezone,
+    text: schedule.template?.text || null,
+    media: (schedule.template?.media || []).map(({ filename, mimeType, size }) => ({ filename, mimeType, size })),
+    delayMin: schedule.template?.delayMin ?? null,
+    delayMax: schedule.template?.delayMax ?? null,
+    startAt: schedule.startAt || null,
+    endAt: schedule.endAt || null,
+    paused: schedule.paused,
+    nextRunAt: schedule.nextRunAt || null,
+    localNextRunAt: local(schedule.nextRunAt),
+    endedAt: schedule.endedAt || null,
+    runCount: schedule.runCount,
+    missedRuns: schedule.missedRuns,
+    lastRun: schedule.lastRun?.runAt
+      ? { jobId: schedule.lastRun.jobId || null, runAt: schedule.lastRun.runAt, missed: !!schedule.lastRun.missed }
+      : null,
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt,
+  };
+}
+
+/* -----------------------------------------------------
+   Create
+   - files: uploaded template media ({ path, mimeType,
+     filename }), kept in GridFS for every run
+----------------------------------------------------- */
+export async function createRecurringSchedule(
+  auth,
+  { name, sessionId, targets, cron, timezone = "UTC", text, files = [], delayMin, delayMax, startAt, endAt, paused = false }
+) {
+  const scheduleId = uuidv4();
+  const nextRunAt = runAfter({ cron, timezone, startAt, endAt }, new Date());
+  if (!nextRunAt) throw scheduleError("The schedule has no run before its end date");
+
+  const media = await storeJobMedia(files, { recurringScheduleId: scheduleId });
+  try {
+    const schedule = await recurringScheduleModel.create({
+      scheduleId,
+      name,
+      userId: await scheduleOwner(auth, sessionId),
+      createdBy: auth?.keyId,
+      sessionId,
+      targets,
+      cron,
+      timezone,
+      template: { text, media, delayMin, delayMax },
+      startAt,
+      endAt,
+      paused,
+      nextRunAt,
+    });
+    console.log(`🔁 Recurring schedule ${scheduleId} created: "${cron}" (${timezone}), next run ${nextRunAt.toISOString()}`);
+    return schedule;
+  } catch (err) {
+    await deleteJobMedia(media);
+    throw err;
+  }
+}
+
+/* -----------------------------------------------------
+   Update
+   - changes: name, targets, text, delayMin, delayMax, cron,
+     timezone, startAt, endAt (null clears), paused
+   - startAt / endAt without a UTC offset are read in the
+     new timezone, else in the schedule's own
+   - Timing changes and resuming pick the next run from
+     now; runs missed while paused are not replayed
+----------------------------------------------------- */
+const TIMING_FIELDS = ["cron", "timezone", "startAt", "endAt"];
+
+export async function updateRecurringSchedule(schedule, requested) {
+  const changes = { ...requested };
+  const zone = changes.timezone || schedule.timezone || "UTC";
+  for (const field of ["startAt", "endAt"]) {
+    if (typeof changes[field] !== "string") continue;
+    changes[field] = parseZonedDateTime(changes[field], zone);
+    if (!changes[field]) throw scheduleError(`${field} must be an ISO 8601 date-time`);
+  }
+  if (changes.endAt && changes.endAt <= new Date()) throw scheduleError("endAt must be in the future");
+
+  const merged = {
+    cron: changes.cron ?? schedule.cron,
+    timezone: changes.timezone ?? schedule.timezone,
+    startAt: changes.startAt !== undefined ? changes.startAt : schedule.startAt,
+    endAt: changes.endAt !== undefined ? changes.endAt : schedule.endAt,
+    paused: changes.paused ?? schedule.paused,
+    delayMin: changes.delayMin ?? schedule.template?.delayMin,
+    delayMax: changes.delayMax ?? schedule.template?.delayMax,
+  };
+  if (merged.startAt && merged.endAt && merged.endAt <= merged.startAt) {
+    throw scheduleError("endAt must be after startAt");
+  }
+  if (merged.delayMin > merged.delayMax) throw scheduleError("delayMin must not exceed delayMax");
+  if (changes.text !== undefined && !changes.text && !schedule.template?.media?.length) {
+    throw scheduleError("text is required when the schedule has no media");
+  }
+
+  const $set = {};
+  const $unset = {};
+  for (const field of ["name", "targets", "cron", "timezone", "paused"]) {
+    if (changes[field] !== undefined) $set[field] = changes[field];
+  }
+  for (const field of ["startAt", "endAt"]) {
+    if (changes[field] === null) $unset[field] = 1;
+    else if (changes[field] !== undefined) $set[field] = changes[field];
+  }
+  for (const field of ["text", "delayMin", "delayMax"]) {
+    if (changes[field] !== undefined) $set[`template.${field}`] = changes[field];
+  }
+
+  const retimed = TIMING_FIELDS.some((field) => changes[field] !== undefined);
+  const resumed = schedule.paused && changes.paused === false;
+  if (retimed || resumed) {
+    const nextRunAt = runAfter(merged, new Date());
+    $set.nextRunAt = nextRunAt;
+    if (nextRunAt) $unset.endedAt = 1;
+    else $set.endedAt = new Date();
+  }
+
+  const updated = await recurringScheduleModel.findOneAndUpdate(
+    { scheduleId: schedule.scheduleId },
+    { $set, ...(Object.keys($unset).length && { $unset }) },
+    { new: true }
+  );
+  console.log(`🔁 Recurring schedule ${schedule.scheduleId} updated: ${Object.keys(changes).join(", ")}`);
+  return updated;
+}
+
+/* -----------------------------------------------------
+   Delete
+   - Runs that have not started are cancelled
+   - A run in progress keeps the template media and
+     removes it when it ends
+----------------------------------------------------- */
+export async function deleteRecurringSchedule(schedule) {
+  const { scheduleId } = schedule;
+  await recurringScheduleModel.deleteOne({ scheduleId });
+
+  const pending = await jobModel.find(
+    { "meta.recurringScheduleId": scheduleId, status: { $in: ["queued", "paused"] } },
+    { jobId: 1 }
+  );
+  for (const { jobId } of pending) await cancelJob(jobId).catch(() => {});
+
+  const media = schedule.template?.media || [];
+  if (media.length) {
+    const handedOver = await jobModel.findOneAndUpdate(
+      { "meta.recurringScheduleId": scheduleId, status: "running" },
+      { $set: { mediaStored: true } },
+      { sort: { createdAt: -1 } }
+    );
+    if (!handedOver) await deleteJobMedia(media);
+  }
+  console.log(`🗑️ Recurring schedule ${scheduleId} deleted (${pending.length} pending run(s) cancelled)`);
+}
+
+/* -----------------------------------------------------
+   Start one due run and move the schedule to its next one
+----------------------------------------------------- */
+async function startRun(schedule, now) {
+  const { scheduleId, nextRunAt: runAt } = schedule;
+  const missed = now - runAt > MISSED_RUN_GRACE_MS;
+  const jobId = `${scheduleId}-${runAt.getTime()}`;
+
+  if (!missed) {
+    const { text, media, delayMin, delayMax } = schedule.template || {};
+    try {
+      await createJob({
+        jobId,
+        type: RECURRING_MESSAGE_JOB,
+        userId: schedule.userId,
+        createdBy: schedule.createdBy,
+        sessionIds: [schedule.sessionId],
+        payload: { text, media: (media || []).map((m) => m.toObject()), delayMin, delayMax },
+        items: schedule.targets.map((to) => ({ sessionId: schedule.sessionId, to })),
+        meta: { recurringScheduleId: scheduleId, name: schedule.name, runAt },
+        // Due now; also lets the run go out while its session sends a batch
+        scheduledFor: runAt,
+        timezone: schedule.timezone,
+      });
+    } catch (err) {
+      // Created before a crash, or by another instance
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  // Occurrences that already passed are not replayed
+  const skipped = countRunsBetween(schedule, runAt, now);
+  const nextRunAt = runAfter(schedule, now > runAt ? now : runAt);
+
+  // Guarded on nextRunAt: only one instance advances the schedule
+  const advanced = await recurringScheduleModel.updateOne(
+    { scheduleId, nextRunAt: runAt },
+    {
+      $set: {
+        nextRunAt,
+        lastRun: { jobId: missed ? undefined : jobId, runAt, missed },
+        ...(!nextRunAt && { endedAt: now }),
+      },
+      $inc: { runCount: missed ? 0 : 1, missedRuns: skipped + (missed ? 1 : 0) },
+    }
+  );
+  if (!advanced.modifiedCount) return;
+
+  if (missed) console.log(`⏭️ Recurring schedule ${scheduleId}: run of ${runAt.toISOString()} missed (server was down)`);
+  else console.log(`🔁 Recurring schedule ${scheduleId}: run ${jobId} started`);
+  if (skipped) console.log(`⏭️ Recurring schedule ${scheduleId}: ${skipped} more run(s) skipped`);
+  if (!nextRunAt) console.log(`🏁 Recurring schedule ${scheduleId} ended`);
+}
+
+async function pollSchedules() {
+  if (!pollTimer || polling) return;
+  polling = true;
+
+  try {
+    const now = new Date();
+    const due = await recurringScheduleModel
+      .find({ paused: false, nextRunAt: { $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .limit(50);
+    for (const schedule of due) {
+      await startRun(schedule, now).catch((err) =>
+        console.error(`❌ Recurring schedule ${schedule.scheduleId} run failed:`, err.message)
+      );
+    }
+  } catch (err) {
+    console.error("❌ Recurring schedule poll failed:", err.message);
+  } finally {
+    polling = false;
+  }
+}
+
+// Started with the job worker, once sessions are restored
+export function startRecurringScheduler() {
+  if (pollTimer) return;
+  pollTimer = setInterval(pollSchedules, POLL_MS);
+  setImmediate(pollSchedules);
+  console.log(`🔁 Recurring scheduler started (every ${POLL_MS / 1000}s)`);
+}
+
+export function stopRecurringScheduler() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
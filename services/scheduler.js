@@ -0,0 +1,114 @@
+// services/scheduler.js
+import sessionModel from "../models/session.js";
+import { createJob } from "./jobQueue.js";
+import { formatInTimeZone } from "./timeZone.js";
+
+/* -----------------------------------------------------
+   Scheduled messages
+   - /message/send, /media/send and /group/:groupId/message
+     called with a sendAt are stored as single-recipient jobs
+     with a scheduledFor time; the job worker sends them when
+     due, so they survive restarts like batch jobs do
+   - The send itself is the batch path (message.controller.js)
+   - Recurring (cron) schedules: services/recurringScheduler.js
+----------------------------------------------------- */
+export const SCHEDULED_MESSAGE_JOB = "scheduled-message";
+
+// ?status= values of GET /api/wa/schedules ("pending" = not sent yet)
+export const SCHEDULE_STATUSES = ["pending", "scheduled", "paused", "sending", "sent", "failed", "cancelled", "all"];
+
+// Schedule status from the job behind it
+export function scheduleStatus(job) {
+  switch (job.status) {
+    case "queued":
+      return "scheduled";
+    case "running":
+      return "sending";
+    case "completed":
+      return job.items[0]?.status === "sent" ? "sent" : "failed";
+    default:
+      return job.status; // paused, cancelled, failed
+  }
+}
+
+// Schedule status -> job query
+export function scheduleStatusFilter(status) {
+  switch (status) {
+    case "pending":
+      return { status: { $in: ["queued", "paused", "running"] } };
+    case "scheduled":
+      return { status: "queued" };
+    case "sending":
+      return { status: "running" };
+    case "sent":
+      return { status: "completed", "items.0.status": "sent" };
+    case "failed":
+      return { $or: [{ status: "failed" }, { status: "completed", "items.0.status": { $ne: "sent" } }] };
+    case "all":
+      return {};
+    default:
+      return { status }; // paused, cancelled
+  }
+}
+
+// Scheduled sends belong to the session owner (admin keys act for any user)
+export async function scheduleOwner(auth, sessionId) {
+  if (!auth?.isAdmin) return auth?.userId || null;
+  const session = await sessionModel.findOne({ sessionId }, { userId: 1 });
+  return session?.userId || null;
+}
+
+/* -----------------------------------------------------
+   Schedule a message
+   - auth: req.auth of the caller
+   - media: uploaded files ({ path, mimeType, filename }),
+     moved to job storage
+----------------------------------------------------- */
+export async function scheduleMessage(auth, { sessionId, to, text, media = [], sendOptions, sendAt, timezone, source }) {
+  return createJob({
+    type: SCHEDULED_MESSAGE_JOB,
+    userId: await scheduleOwner(auth, sessionId),
+    createdBy: auth?.keyId,
+    sessionIds: [sessionId],
+    payload: { text, media, sendOptions },
+    items: [{ sessionId, to }],
+    meta: { source },
+    scheduledFor: sendAt,
+    timezone,
+  });
+}
+
+// API shape of a scheduled message
+export function describeScheduledMessage(job) {
+  const item = job.items[0] || {};
+  const timezone = job.timezone || "UTC";
+  const status = scheduleStatus(job);
+
+  return {
+    scheduleId: job.jobId,
+    status,
+    source: job.meta?.source || null,
+    sessionId: item.sessionId,
+    to: item.to,
+    text: job.payload?.text || null,
+    media: (job.payload?.media || []).map(({ filename, mimeType, size }) => ({ filename, mimeType, size })),
+    sendAt: job.scheduledFor,
+    timezone,
+    localSendAt: formatInTimeZone(job.scheduledFor, timezone),
+    chatId: item.chatId || null,
+    messageIds: (item.messages || []).map((m) => m.messageId),
+    sentAt: status === "sent" ? item.finishedAt : null,
+    error: item.error || job.error || null,
+    code: item.code || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+// 202 body of a send endpoint called with sendAt
+export const scheduledReply = (job) => ({
+  success: true,
+  scheduled: true,
+  ...describeScheduledMessage(job),
+  statusUrl: `/api/wa/schedules/${job.jobId}`,
+});
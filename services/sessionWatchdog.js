@@ -0,0 +1,156 @@
+// services/sessionWatchdog.js
+import {
+  listLiveClients,
+  setSessionHealth,
+  restartSession,
+} from "./waManager.js";
+
+const WATCHDOG_INTERVAL_MS = parseInt(process.env.WATCHDOG_INTERVAL_MS ?? 60000);
+const PROBE_TIMEOUT_MS = parseInt(process.env.WATCHDOG_PROBE_TIMEOUT_MS) || 10000;
+// Consecutive failed probes before a session is restarted
+const FAILURE_THRESHOLD = parseInt(process.env.WATCHDOG_FAILURE_THRESHOLD) || 2;
+
+// WhatsApp states that mean the client will not recover on its own
+const BAD_STATES = ["CONFLICT", "UNLAUNCHED", "TIMEOUT", "PROXYBLOCK", "DEPRECATED_VERSION"];
+
+// sessionId -> latest probe result
+const probeResults = new Map();
+
+let timer = null;
+let running = false;
+
+function withTimeout(promise, ms, label) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms)
+    ),
+  ]);
+}
+
+/* -----------------------------------------------------
+   Probe one client
+   - Puppeteer page must be open and able to run JS
+   - WhatsApp state must be readable and not a dead state
+   Clients still waiting for QR / pairing are only page-checked
+----------------------------------------------------- */
+async function probeClient(sessionId, client) {
+  const previous = probeResults.get(sessionId);
+  const started = Date.now();
+  const result = {
+    sessionId,
+    healthy: true,
+    ready: !!client.info,
+    pageAlive: null,
+    state: null,
+    latencyMs: null,
+    error: null,
+    consecutiveFailures: 0,
+    restarts: previous?.restarts || 0,
+    checkedAt: new Date().toISOString(),
+  };
+
+  try {
+    if (client.pupPage) {
+      if (client.pupPage.isClosed()) throw new Error("Puppeteer page is closed");
+      await withTimeout(client.pupPage.evaluate(() => 1), PROBE_TIMEOUT_MS, "Page evaluate");
+      result.pageAlive = true;
+    }
+
+    if (client.info) {
+      result.state = await withTimeout(client.getState(), PROBE_TIMEOUT_MS, "getState");
+      if (!result.state || BAD_STATES.includes(result.state)) {
+        throw new Error(`WhatsApp state is ${result.state || "unknown"}`);
+      }
+    }
+  } catch (err) {
+    result.healthy = false;
+    result.error = err.message;
+    if (result.pageAlive === null && client.pupPage) result.pageAlive = false;
+    result.consecutiveFailures = (previous?.consecutiveFailures || 0) + 1;
+  }
+
+  result.latencyMs = Date.now() - started;
+  probeResults.set(sessionId, result);
+  return result;
+}
+
+/* -----------------------------------------------------
+   One watchdog pass over every live client
+----------------------------------------------------- */
+export async function runWatchdogPass() {
+  if (running) return; // previous pass still waiting on a hung probe
+  running = true;
+
+  try {
+    const live = listLiveClients();
+    const liveIds = new Set(live.map((c) => c.sessionId));
+
+    // Forget sessions that were deleted / hibernated since the last pass
+    for (const sessionId of probeResults.keys()) {
+      if (!liveIds.has(sessionId)) probeResults.delete(sessionId);
+    }
+
+    for (const { sessionId, client } of live) {
+      const result = await probeClient(sessionId, client);
+      setSessionHealth(sessionId, result.healthy);
+
+      if (result.healthy) continue;
+
+      console.error(`🩺 Probe failed for ${sessionId} (${result.consecutiveFailures}/${FAILURE_THRESHOLD}): ${result.error}`);
+
+      if (result.consecutiveFailures >= FAILURE_THRESHOLD) {
+        result.restarts += 1;
+        result.lastRestartAt = new Date().toISOString();
+        // Don't block the pass on a slow boot
+        restartSession(sessionId, `watchdog: ${result.error}`).catch((err) =>
+          console.error(`❌ Watchdog restart failed for ${sessionId}:`, err.message)
+        );
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/* -----------------------------------------------------
+   Start / stop the background watchdog
+   (WATCHDOG_INTERVAL_MS=0 disables it)
+----------------------------------------------------- */
+export function startSessionWatchdog() {
+  if (!WATCHDOG_INTERVAL_MS || timer) return timer;
+
+  timer = setInterval(() => {
+    runWatchdogPass().catch((err) => console.error("❌ Watchdog pass failed:", err.message));
+  }, WATCHDOG_INTERVAL_MS);
+  timer.unref();
+
+  console.log(`🩺 Session watchdog running every ${Math.round(WATCHDOG_INTERVAL_MS / 1000)}s`);
+  return timer;
+}
+
+export function stopSessionWatchdog() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/* -----------------------------------------------------
+   Latest probe results for the health endpoints
+   - counts for the public /health, probes (per session)
+     for the admin endpoint
+----------------------------------------------------- */
+export function getWatchdogReport() {
+  const probes = Array.from(probeResults.values());
+  const restarted = probes.filter((p) => p.restarts > 0);
+  return {
+    enabled: !!timer,
+    intervalMs: WATCHDOG_INTERVAL_MS || null,
+    failureThreshold: FAILURE_THRESHOLD,
+    probed: probes.length,
+    unhealthy: probes.filter((p) => !p.healthy).length,
+    restarted: restarted.length,
+    restarts: restarted.reduce((sum, p) => sum + p.restarts, 0),
+    lastRestartAt: restarted.map((p) => p.lastRestartAt).sort().pop() || null,
+    probes,
+  };
+}
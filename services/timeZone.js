@@ -0,0 +1,114 @@
+// services/timeZone.js
+
+/* -----------------------------------------------------
+   IANA time zone helpers (Intl only, no tz database
+   of our own)
+   - Wall-clock times like "2026-05-01T09:30" are read in
+     a given zone, DST included
+----------------------------------------------------- */
+
+// 2026-05-01T09:30, 2026-05-01 09:30:15, 2026-05-01T09:30:15.250
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+// Same with Z or a UTC offset
+const OFFSET_DATE_TIME = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a zone
+export function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) parts[type] = Number(value);
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+// Milliseconds the zone is ahead of UTC at that instant
+function offsetAt(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+}
+
+/* -----------------------------------------------------
+   Wall-clock time in a zone -> Date
+   - Times skipped by a DST jump land just after it, times
+     that happen twice take the first occurrence
+----------------------------------------------------- */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  // Offsets a day either side cover any transition near the wall-clock time
+  const DAY = 24 * 60 * 60 * 1000;
+  const before = offsetAt(new Date(wallClock - DAY), timeZone);
+  const after = offsetAt(new Date(wallClock + DAY), timeZone);
+
+  const candidates = [wallClock - before, wallClock - after].sort((a, b) => a - b);
+  const valid = candidates.find((utc) => utc + offsetAt(new Date(utc), timeZone) === wallClock);
+  // No match = inside a DST gap; the pre-jump offset lands just after it
+  return new Date(valid ?? wallClock - before);
+}
+
+/* -----------------------------------------------------
+   Parse an ISO 8601 date-time
+   - With Z / an offset it is taken as is
+   - Without, it is wall-clock time in timeZone
+   Returns null when the value is not a valid date-time
+----------------------------------------------------- */
+export function parseZonedDateTime(value, timeZone = "UTC") {
+  const text = String(value).trim();
+
+  if (OFFSET_DATE_TIME.test(text)) {
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+  }
+
+  const match = LOCAL_DATE_TIME.exec(text);
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map((v) => Number(v || 0));
+  const millisecond = match[7] ? Number(match[7].padEnd(3, "0")) : 0;
+  // Day 0 of the next month = last day of this one (rejects 2026-02-30)
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth || hour > 23 || minute > 59 || second > 59) return null;
+
+  return zonedTimeToUtc({ year, month, day, hour, minute, second, millisecond }, timeZone);
+}
+
+// "2026-05-01T09:30:00" in the zone, for responses
+export function formatInTimeZone(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
@@ -1,8 +1,25 @@
 // services/waManager.js
 import pkg from "whatsapp-web.js";
-const { Client, LocalAuth, MessageAck } = pkg;
+const { LocalAuth, RemoteAuth, MessageAck } = pkg;
 import qrcode from "qrcode-terminal";
+import fs from "fs";
+import path from "path";
+import JSZip from "jszip";
 import sessionModel from "../models/session.js";
+import sessionEventModel from "../models/sessionEvent.js";
+import { createMongoAuthStore, MAX_AUTH_BUNDLE_BYTES } from "./mongoAuthStore.js";
+import { encryptBuffer, decryptBuffer } from "./fieldEncryption.js";
+import { ACK_STATUS, recordMessage, recordMessageAck } from "./messageStore.js";
+import { DEFAULT_DRIVER, createDriverClient, isDriverEnabled } from "./drivers/index.js";
+import { resetSandboxSession } from "./drivers/sandboxDriver.js";
+import {
+  INSTANCE_ID,
+  LEASE_RENEW_MS,
+  acquireLease,
+  renewLeases,
+  releaseLease,
+  getSessionOwner,
+} from "./leaseManager.js";
 import { v4 as uuidv4 } from "uuid";
 import { EventEmitter } from "events";
 import {
@@ -19,15 +36,581 @@ EventEmitter.defaultMaxListeners = 100;
 
 const clients = new Map();
 
+// Live session lifecycle events (consumed by the SSE stream endpoint)
+export const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0);
+
+// Pairing codes are regenerated by WhatsApp Web roughly every 3 minutes
+const PAIRING_CODE_TTL_MS = parseInt(process.env.PAIRING_CODE_TTL_MS) || 180000;
+
+// "local" keeps the browser profile on disk only, "mongo" also persists it
+// to the session document so it survives container redeploys
+const AUTH_STRATEGY = (process.env.WA_AUTH_STRATEGY || "local").toLowerCase();
+const AUTH_DATA_PATH = "./.wwebjs_auth";
+const REMOTE_AUTH_BACKUP_MS = Math.max(parseInt(process.env.REMOTE_AUTH_BACKUP_MS) || 300000, 60000);
+
+// Reconnect policy for unexpected disconnects (exponential backoff)
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS) || 5;
+const RECONNECT_BASE_DELAY_MS = parseInt(process.env.RECONNECT_BASE_DELAY_MS) || 5000;
+const RECONNECT_MAX_DELAY_MS = parseInt(process.env.RECONNECT_MAX_DELAY_MS) || 300000;
+
+// Disconnect reasons that need a human (re-scan / unban), never retried
+const FATAL_DISCONNECT_REASONS = ["LOGOUT", "UNPAIRED", "UNPAIRED_IDLE", "TOS_BLOCK", "SMB_TOS_BLOCK"];
+
+// sessionId -> { attempt, timer }
+const reconnectState = new Map();
+
+// Browser pool: at most MAX_LIVE_CLIENTS Chromium instances (0 = unlimited).
+// Idle sessions are hibernated: browser destroyed, auth data kept on disk/Mongo
+const MAX_LIVE_CLIENTS = parseInt(process.env.MAX_LIVE_CLIENTS) || 0;
+const SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.SESSION_IDLE_TIMEOUT_MS) || 0;
+
+// sessionId -> last time an API call or incoming message used the client
+const lastActivity = new Map();
+
+// Sessions whose browser we are closing on purpose (no reconnect)
+const parkingSessions = new Set();
+
+// sessionId -> in-flight restore promise, so concurrent wake-ups share one browser
+const pendingRestores = new Map();
+
+// Statuses of a session whose browser should be running somewhere
+const LIVE_STATUSES = ["connected", "authenticated", "reconnecting", "unhealthy"];
+
+// Statuses of a session that is still waiting to be linked to a phone
+const PENDING_LOGIN_STATUSES = ["pending", "qr", "pairing_code"];
+
+// Per-user session cap (0 = unlimited)
+const MAX_SESSIONS_PER_USER = parseInt(process.env.MAX_SESSIONS_PER_USER ?? 10) || 0;
+
+// userId -> in-flight connect, serializes double-clicks
+const pendingConnects = new Map();
+
+// Sessions the watchdog found stuck (info set but browser unresponsive)
+const unhealthySessions = new Set();
+
 function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/* -----------------------------------------------------
+   Internal: Publish a lifecycle transition
+   - Pushed live to SSE listeners
+   - Persisted to the SessionEvent history (QR strings and
+     pairing codes are credentials, they are not stored)
+----------------------------------------------------- */
+function emitSessionEvent(sessionId, event, data = {}) {
+  sessionEvents.emit("update", {
+    sessionId,
+    event,
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+
+  const { status, reason, qr, pairingCode, ...details } = data;
+  sessionEventModel
+    .create({
+      sessionId,
+      event,
+      status,
+      reason: reason != null ? String(reason) : undefined,
+      details: Object.keys(details).length ? details : undefined,
+    })
+    .catch((err) => console.error(`❌ Failed to record session event ${event} for ${sessionId}:`, err.message));
+}
+
+/* -----------------------------------------------------
+   Internal: Auth strategy for a session
+   - RemoteAuth extracts the stored bundle before the
+     browser launches inside client.initialize()
+----------------------------------------------------- */
+function buildAuthStrategy(sessionId) {
+  if (AUTH_STRATEGY === "mongo") {
+    return new RemoteAuth({
+      clientId: sessionId,
+      dataPath: AUTH_DATA_PATH,
+      store: createMongoAuthStore(sessionId),
+      backupSyncIntervalMs: REMOTE_AUTH_BACKUP_MS,
+    });
+  }
+
+  return new LocalAuth({
+    clientId: sessionId,
+    dataPath: AUTH_DATA_PATH,
+  });
+}
+
+/* -----------------------------------------------------
+   Internal: Remove on-disk auth data for a session
+   (LocalAuth and RemoteAuth use different folder names)
+----------------------------------------------------- */
+function removeLocalAuthData(sessionId) {
+  const targets = [
+    path.join(process.cwd(), ".wwebjs_auth", `session-${sessionId}`),
+    path.join(process.cwd(), ".wwebjs_auth", `RemoteAuth-${sessionId}`),
+    path.join(process.cwd(), `RemoteAuth-${sessionId}.zip`),
+  ];
+
+  for (const target of targets) {
+    if (fs.existsSync(target)) {
+      fs.rmSync(target, { recursive: true, force: true });
+      console.log(`✅ Deleted local auth data: ${target}`);
+    }
+  }
+}
+
+/* -----------------------------------------------------
+   Internal: Reconnect supervision
+   - Transient disconnects are retried with exponential
+     backoff, LOGOUT-like reasons are not
+   - Every attempt is recorded on the session document
+----------------------------------------------------- */
+function reconnectDelay(attempt) {
+  const base = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), RECONNECT_MAX_DELAY_MS);
+  // Up to 20% jitter so sessions dropped together don't retry together
+  return Math.round(base + Math.random() * base * 0.2);
+}
+
+async function recordReconnectAttempt(sessionId, entry, update = {}) {
+  await sessionModel.findOneAndUpdate(
+    { sessionId },
+    {
+      ...update,
+      updatedAt: new Date(),
+      $push: { reconnectLog: { $each: [{ ...entry, at: new Date() }], $slice: -50 } },
+    }
+  );
+}
+
+function cancelReconnect(sessionId) {
+  const state = reconnectState.get(sessionId);
+  if (state?.timer) clearTimeout(state.timer);
+  reconnectState.delete(sessionId);
+}
+
+async function scheduleReconnect(userId, sessionId, sessionName, reason) {
+  const state = reconnectState.get(sessionId) || { attempt: 0, timer: null };
+  if (state.timer) return; // already waiting for the next attempt
+
+  const attempt = state.attempt + 1;
+  if (attempt > RECONNECT_MAX_ATTEMPTS) {
+    await giveUpReconnect(sessionId, reason, state.attempt);
+    return;
+  }
+
+  const delayMs = reconnectDelay(attempt);
+  const nextRetryAt = new Date(Date.now() + delayMs);
+  state.attempt = attempt;
+  state.timer = setTimeout(() => runReconnectAttempt(userId, sessionId, sessionName, attempt), delayMs);
+  reconnectState.set(sessionId, state);
+
+  console.log(`🔁 Reconnecting ${sessionId} in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt}/${RECONNECT_MAX_ATTEMPTS}, reason: ${reason})`);
+
+  await recordReconnectAttempt(
+    sessionId,
+    { attempt, reason, outcome: "scheduled", delayMs },
+    { status: "reconnecting", reconnectAttempts: attempt }
+  );
+  emitSessionEvent(sessionId, "reconnecting", { status: "reconnecting", attempt, reason });
+  await notifySessionUpdate({
+    sessionId,
+    status: "reconnecting",
+    phoneNumber: null,
+    reason,
+    attempt,
+    maxAttempts: RECONNECT_MAX_ATTEMPTS,
+    nextRetryAt: nextRetryAt.toISOString(),
+    timestamp: new Date().toISOString(),
+  });
+}
+
+async function runReconnectAttempt(userId, sessionId, sessionName, attempt) {
+  const state = reconnectState.get(sessionId);
+  if (!state) return; // cancelled (manual disconnect / delete)
+  state.timer = null;
+
+  try {
+    // Make sure the previous browser is gone before reusing its profile
+    const stale = clients.get(sessionId);
+    if (stale) {
+      clients.delete(sessionId);
+      await stale.destroy().catch(() => {});
+    }
+
+    await createClient(userId, sessionId, sessionName);
+    // The "ready" handler confirms the reconnect
+  } catch (err) {
+    console.error(`❌ Reconnect attempt ${attempt} failed for ${sessionId}:`, err.message);
+    await recordReconnectAttempt(sessionId, { attempt, reason: "init_failed", outcome: "failed", error: err.message });
+    if (reconnectState.has(sessionId)) {
+      await scheduleReconnect(userId, sessionId, sessionName, "init_failed");
+    }
+  }
+}
+
+async function giveUpReconnect(sessionId, reason, attempts) {
+  cancelReconnect(sessionId);
+  console.error(`🛑 Giving up reconnecting ${sessionId} after ${attempts} attempt(s) (${reason})`);
+
+  await recordReconnectAttempt(
+    sessionId,
+    { attempt: attempts, reason, outcome: "gave_up" },
+    { status: "disconnected" }
+  );
+  emitSessionEvent(sessionId, "gave_up", { status: "disconnected", reason, attempt: attempts });
+  await releaseLease(sessionId);
+  await notifySessionUpdate({
+    sessionId,
+    status: "gave_up",
+    phoneNumber: null,
+    reason,
+    attempt: attempts,
+    maxAttempts: RECONNECT_MAX_ATTEMPTS,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/* -----------------------------------------------------
+   Internal: Browser pool bookkeeping
+----------------------------------------------------- */
+function touchSession(sessionId) {
+  lastActivity.set(sessionId, Date.now());
+}
+
+// Live clients that own a Chromium instance (sandbox sessions don't)
+function liveBrowserCount() {
+  let count = 0;
+  for (const client of clients.values()) {
+    if (!client.isSandbox) count++;
+  }
+  return count;
+}
+
+// Least recently used session that is safe to hibernate (ready, not mid-login)
+function findHibernationCandidate(excludeSessionId) {
+  let candidate = null;
+  for (const [sessionId, client] of clients.entries()) {
+    if (sessionId === excludeSessionId || parkingSessions.has(sessionId)) continue;
+    if (!client.info || client.isSandbox) continue;
+
+    const lastUsed = lastActivity.get(sessionId) || 0;
+    if (!candidate || lastUsed < candidate.lastUsed) {
+      candidate = { sessionId, lastUsed };
+    }
+  }
+  return candidate?.sessionId || null;
+}
+
+async function ensurePoolCapacity(sessionId) {
+  if (!MAX_LIVE_CLIENTS) return;
+
+  while (liveBrowserCount() >= MAX_LIVE_CLIENTS) {
+    const victim = findHibernationCandidate(sessionId);
+    if (!victim) {
+      throw new Error(`Browser pool is full (${MAX_LIVE_CLIENTS} live clients) and no idle session can be hibernated`);
+    }
+    console.log(`🛏️ Pool full (${liveBrowserCount()}/${MAX_LIVE_CLIENTS}), hibernating least recently used: ${victim}`);
+    await hibernateSession(victim, "pool_full");
+  }
+}
+
+/* -----------------------------------------------------
+   Hibernate a session
+   - Destroys the browser but keeps the auth data, the
+     next getOrRestoreClient() wakes it up transparently
+   - Incoming messages are not received while hibernated
+----------------------------------------------------- */
+export async function hibernateSession(sessionId, reason = "manual") {
+  const client = clients.get(sessionId);
+  if (!client) return false;
+
+  cancelReconnect(sessionId);
+  parkingSessions.add(sessionId);
+  try {
+    // RemoteAuth only backs up periodically, flush the latest profile first
+    if (client.authStrategy instanceof RemoteAuth) {
+      await client.authStrategy.storeRemoteSession().catch((err) =>
+        console.error(`⚠️ Could not back up ${sessionId} before hibernating:`, err.message)
+      );
+    }
+
+    clients.delete(sessionId);
+    await client.destroy();
+  } catch (err) {
+    console.error(`❌ Error hibernating ${sessionId}:`, err.message);
+  } finally {
+    parkingSessions.delete(sessionId);
+    lastActivity.delete(sessionId);
+  }
+
+  await sessionModel.findOneAndUpdate(
+    { sessionId },
+    { status: "hibernated", updatedAt: new Date() }
+  );
+  // Any instance may wake it up again
+  await releaseLease(sessionId);
+  emitSessionEvent(sessionId, "hibernated", { status: "hibernated", reason });
+  console.log(`🛏️ Hibernated: ${sessionId} (${reason})`);
+  return true;
+}
+
+/* -----------------------------------------------------
+   Hibernate sessions idle for longer than
+   SESSION_IDLE_TIMEOUT_MS (no-op when unset)
+----------------------------------------------------- */
+export function startHibernationSweeper() {
+  if (!SESSION_IDLE_TIMEOUT_MS) return null;
+
+  const timer = setInterval(async () => {
+    const now = Date.now();
+    for (const [sessionId, client] of clients.entries()) {
+      if (!client.info || parkingSessions.has(sessionId)) continue;
+      const lastUsed = lastActivity.get(sessionId) || now;
+      if (now - lastUsed >= SESSION_IDLE_TIMEOUT_MS) {
+        await hibernateSession(sessionId, "idle");
+      }
+    }
+  }, Math.min(SESSION_IDLE_TIMEOUT_MS, 60000));
+  timer.unref();
+
+  console.log(`🛏️ Idle hibernation enabled (after ${Math.round(SESSION_IDLE_TIMEOUT_MS / 1000)}s)`);
+  return timer;
+}
+
+/* -----------------------------------------------------
+   Live clients (used by the session watchdog)
+----------------------------------------------------- */
+export function listLiveClients() {
+  return Array.from(clients.entries()).map(([sessionId, client]) => ({ sessionId, client }));
+}
+
+/* -----------------------------------------------------
+   Flag a session as (un)healthy
+   - Unhealthy sessions are not reported as active and
+     are restarted before they are handed to a request
+----------------------------------------------------- */
+export function setSessionHealth(sessionId, healthy) {
+  if (healthy) unhealthySessions.delete(sessionId);
+  else unhealthySessions.add(sessionId);
+}
+
+/* -----------------------------------------------------
+   Restart a stuck session
+   - Tears down the zombie browser and boots a new one
+     from the stored auth data
+   - Also used to apply launch settings (e.g. a new proxy),
+     with status "reconnecting" instead of "unhealthy"
+----------------------------------------------------- */
+export async function restartSession(sessionId, reason = "unhealthy", status = "unhealthy") {
+  // Another caller is already bringing this session back
+  if (pendingRestores.has(sessionId)) return pendingRestores.get(sessionId);
+
+  const client = clients.get(sessionId);
+  console.log(`🩺 Restarting ${sessionId} (${reason})`);
+
+  await sessionModel.findOneAndUpdate(
+    { sessionId },
+    { status, updatedAt: new Date() }
+  );
+  emitSessionEvent(sessionId, status === "unhealthy" ? "unhealthy" : "restarting", { status, reason });
+
+  if (client) {
+    cancelReconnect(sessionId);
+    parkingSessions.add(sessionId);
+    clients.delete(sessionId);
+    try {
+      // A crashed page can make destroy() hang as well
+      await Promise.race([client.destroy(), delay(15000)]);
+    } catch (err) {
+      console.error(`⚠️ Error destroying stuck client ${sessionId}:`, err.message);
+    } finally {
+      parkingSessions.delete(sessionId);
+    }
+  }
+
+  try {
+    return await restoreSession(sessionId);
+  } finally {
+    unhealthySessions.delete(sessionId);
+  }
+}
+
+/* -----------------------------------------------------
+   Graceful shutdown: park every live client
+   - Flushes RemoteAuth, closes each browser cleanly so the
+     profile on disk is not corrupted
+   - Marks sessions "shutdown" so the next boot knows they
+     were parked on purpose (vs. a crash)
+----------------------------------------------------- */
+let shuttingDown = false;
+
+export async function shutdownAllSessions(timeoutMs = 15000) {
+  shuttingDown = true;
+  for (const sessionId of reconnectState.keys()) cancelReconnect(sessionId);
+
+  const live = Array.from(clients.entries());
+  if (!live.length) return { parked: 0 };
+
+  console.log(`🅿️ Parking ${live.length} live client(s)...`);
+
+  const park = async ([sessionId, client]) => {
+    parkingSessions.add(sessionId);
+    const wasReady = !!client.info;
+    try {
+      if (wasReady && client.authStrategy instanceof RemoteAuth) {
+        await client.authStrategy.storeRemoteSession().catch((err) =>
+          console.error(`⚠️ Could not back up ${sessionId} before shutdown:`, err.message)
+        );
+      }
+      clients.delete(sessionId);
+      await client.destroy();
+    } catch (err) {
+      console.error(`❌ Error parking ${sessionId}:`, err.message);
+    }
+
+    await releaseLease(sessionId);
+
+    // Only linked sessions are worth restoring, pending QR sessions are dropped
+    if (wasReady) {
+      await sessionModel.findOneAndUpdate(
+        { sessionId },
+        { status: "shutdown", updatedAt: new Date() }
+      );
+      emitSessionEvent(sessionId, "shutdown", { status: "shutdown", reason: "graceful_shutdown" });
+    }
+  };
+
+  await Promise.race([
+    Promise.allSettled(live.map(park)),
+    delay(timeoutMs),
+  ]);
+
+  console.log(`🅿️ Parked ${live.length - clients.size}/${live.length} client(s)`);
+  return { parked: live.length - clients.size };
+}
+
+/* -----------------------------------------------------
+   Lease heartbeat (multi-instance ownership)
+   - Renews the leases of every session running here
+   - Drops local clients whose lease another instance took
+   - Takes over live sessions of instances that stopped
+     renewing (crashed / killed)
+----------------------------------------------------- */
+const TAKEOVERS_PER_PASS = 3;
+
+async function dropLocalClient(sessionId) {
+  cancelReconnect(sessionId);
+  const client = clients.get(sessionId);
+  if (!client) return;
+
+  parkingSessions.add(sessionId);
+  clients.delete(sessionId);
+  lastActivity.delete(sessionId);
+  try {
+    await client.destroy();
+  } catch (err) {
+    console.error(`⚠️ Error dropping ${sessionId}:`, err.message);
+  } finally {
+    parkingSessions.delete(sessionId);
+  }
+}
+
+async function takeOverOrphanedSessions() {
+  const orphaned = await sessionModel
+    .find({
+      status: { $in: LIVE_STATUSES },
+      ownerInstanceId: { $nin: [null, INSTANCE_ID] },
+      leaseExpiresAt: { $lt: new Date() },
+    })
+    .sort({ updatedAt: -1 })
+    .limit(TAKEOVERS_PER_PASS);
+
+  for (const session of orphaned) {
+    if (clients.has(session.sessionId)) continue;
+    console.log(`🔀 Taking over ${session.sessionId} from ${session.ownerInstanceId} (lease expired)`);
+    emitSessionEvent(session.sessionId, "restored", {
+      status: session.status,
+      reason: "takeover",
+      previousOwner: session.ownerInstanceId,
+    });
+
+    try {
+      await createClient(session.userId, session.sessionId, session.sessionName);
+    } catch (err) {
+      if (err.code !== "SESSION_OWNED_ELSEWHERE") {
+        console.error(`❌ Takeover of ${session.sessionId} failed:`, err.message);
+      }
+    }
+  }
+}
+
+let leaseTimer = null;
+
+export function startLeaseHeartbeat() {
+  if (leaseTimer) return leaseTimer;
+
+  leaseTimer = setInterval(async () => {
+    if (shuttingDown) return;
+    try {
+      const owned = [...new Set([...clients.keys(), ...reconnectState.keys()])];
+      const lost = await renewLeases(owned);
+
+      for (const sessionId of lost) {
+        console.log(`↪️ Lost lease on ${sessionId} (taken over or deleted), closing local browser`);
+        await dropLocalClient(sessionId);
+      }
+
+      await takeOverOrphanedSessions();
+    } catch (err) {
+      console.error("❌ Lease heartbeat failed:", err.message);
+    }
+  }, LEASE_RENEW_MS);
+  leaseTimer.unref();
+
+  console.log(`🔐 Session leases held by instance ${INSTANCE_ID}`);
+  return leaseTimer;
+}
+
+/* -----------------------------------------------------
+   Pool stats for monitoring endpoints
+----------------------------------------------------- */
+export function getPoolStats() {
+  return {
+    instanceId: INSTANCE_ID,
+    liveClients: clients.size,
+    liveBrowsers: liveBrowserCount(),
+    maxLiveClients: MAX_LIVE_CLIENTS || null,
+    idleTimeoutMs: SESSION_IDLE_TIMEOUT_MS || null,
+  };
+}
+
 /* -----------------------------------------------------
    Start New or Restore Existing Session
    Supports multiple sessions per user
+   - Re-uses the user's pending QR / pairing session unless
+     forceNew is set (double-clicks don't spawn browsers)
+   - options.mode: "qr" (default) or "pairing"
+   - options.phoneNumber: required for pairing mode
+   - options.driver: "whatsapp-web" (default) or "sandbox"
+   - options.proxy: { url, username, password } for this browser
+   Returns { sessionId, reused, status, qr, pairingCode }
 ----------------------------------------------------- */
-export async function startNewSession(userId, sessionName = '', forceNew = false) {
+export async function startNewSession(userId, sessionName = '', forceNew = false, options = {}) {
+  // Serialize connects per user so concurrent requests see each other's session
+  const previous = pendingConnects.get(userId) || Promise.resolve();
+  const run = previous
+    .catch(() => {})
+    .then(() => startNewSessionLocked(userId, sessionName, forceNew, options));
+  pendingConnects.set(userId, run);
+
+  try {
+    return await run;
+  } finally {
+    if (pendingConnects.get(userId) === run) pendingConnects.delete(userId);
+  }
+}
+
+async function startNewSessionLocked(userId, sessionName, forceNew, options) {
   try {
     // Clean up old disconnected sessions
     await sessionModel.deleteMany({
@@ -36,27 +619,94 @@ export async function startNewSession(userId, sessionName = '', forceNew = false
       updatedAt: { $lt: new Date(Date.now() - 3600000) }
     });
 
-    // Clean up old QR sessions
-    await sessionModel.deleteMany({
+    // Clean up abandoned pending / QR / pairing-code sessions (and their browsers)
+    const abandoned = await sessionModel.find({
       userId,
-      status: "qr",
+      status: { $in: PENDING_LOGIN_STATUSES },
       updatedAt: { $lt: new Date(Date.now() - 600000) }
     });
+    for (const { sessionId } of abandoned) {
+      const client = clients.get(sessionId);
+      if (client) {
+        clients.delete(sessionId);
+        await client.destroy().catch(() => {});
+      }
+    }
+    if (abandoned.length) {
+      await sessionModel.deleteMany({ sessionId: { $in: abandoned.map((s) => s.sessionId) } });
+    }
+
+    const loginMode = options.mode === "pairing" ? "pairing" : "qr";
+    const driver = options.driver || DEFAULT_DRIVER;
+
+    // Hand back the session that is already waiting for a scan
+    if (!forceNew) {
+      const pending = await sessionModel
+        .findOne({
+          userId,
+          status: { $in: PENDING_LOGIN_STATUSES },
+          loginMode,
+          ...(loginMode === "pairing" && { pairingPhoneNumber: options.phoneNumber }),
+          // Sessions created before drivers existed have no driver field
+          driver: driver === DEFAULT_DRIVER ? { $in: [DEFAULT_DRIVER, null] } : driver,
+          "proxy.url": options.proxy?.url ?? null,
+        })
+        .sort({ updatedAt: -1 });
+
+      if (pending) {
+        if (!clients.has(pending.sessionId)) {
+          await createClient(userId, pending.sessionId, pending.sessionName);
+        }
+        console.log(`♻️ Re-using pending session ${pending.sessionId} for ${userId}`);
+        const current = await sessionModel.findOne({ sessionId: pending.sessionId });
+        return {
+          sessionId: pending.sessionId,
+          sessionName: current?.sessionName || pending.sessionName,
+          reused: true,
+          status: current?.status || pending.status,
+          qr: current?.qr || null,
+          pairingCode: current?.pairingCode || null,
+        };
+      }
+    }
+
+    // Enforce the per-user cap (0 = unlimited)
+    if (MAX_SESSIONS_PER_USER) {
+      const count = await sessionModel.countDocuments({ userId });
+      if (count >= MAX_SESSIONS_PER_USER) {
+        const err = new Error(`User ${userId} already has ${count} session(s), the maximum is ${MAX_SESSIONS_PER_USER}`);
+        err.code = "SESSION_LIMIT_REACHED";
+        throw err;
+      }
+    }
 
     // Create new session
     const sessionId = `session_${uuidv4()}`;
+    const finalName = sessionName || `Session ${new Date().toLocaleString()}`;
     
     await sessionModel.create({
       userId,
       sessionId,
-      sessionName: sessionName || `Session ${new Date().toLocaleString()}`,
+      sessionName: finalName,
       status: "pending",
+      loginMode,
+      pairingPhoneNumber: loginMode === "pairing" ? options.phoneNumber : undefined,
+      driver,
+      proxy: options.proxy || undefined,
       createdAt: new Date(),
       updatedAt: new Date()
     });
 
     await createClient(userId, sessionId, sessionName);
-    return sessionId;
+    const created = await sessionModel.findOne({ sessionId });
+    return {
+      sessionId,
+      sessionName: finalName,
+      reused: false,
+      status: created?.status || "pending",
+      qr: created?.qr || null,
+      pairingCode: created?.pairingCode || null,
+    };
   } catch (error) {
     console.error(`❌ Error creating session:`, error.message);
     throw error;
@@ -80,51 +730,42 @@ async function createClient(userId, sessionId, sessionName = '') {
       }
     }
     
+    // Only the lease holder may launch this session's browser
+    if (!(await acquireLease(sessionId))) {
+      const owner = await getSessionOwner(sessionId);
+      if (!owner) throw new Error(`Session ${sessionId} not found in database`);
+
+      const err = new Error(`Session ${sessionId} is running on instance ${owner.ownerInstanceId}`);
+      err.code = "SESSION_OWNED_ELSEWHERE";
+      err.owner = owner;
+      throw err;
+    }
+
     // Get session info from database
     const sessionInfo = await sessionModel.findOne({ sessionId });
     const displayName = sessionInfo?.sessionName || sessionName || sessionId;
+    const driver = sessionInfo?.driver || DEFAULT_DRIVER;
 
-    const client = new Client({
-      authStrategy: new LocalAuth({
-        clientId: sessionId,
-        dataPath: "./.wwebjs_auth",
-      }),
-      puppeteer: {
-        headless: true,
-        args: [
-          "--no-sandbox",
-          "--disable-setuid-sandbox",
-          "--disable-dev-shm-usage",
-          "--disable-accelerated-2d-canvas",
-          "--no-first-run",
-          "--no-zygote",
-          "--single-process",
-          "--disable-gpu",
-          "--disable-extensions",
-          "--disable-features=IsolateOrigins,site-per-process",
-          "--disable-software-rasterizer",
-          "--disable-background-timer-throttling",
-          "--disable-backgrounding-occluded-windows",
-          "--disable-renderer-backgrounding",
-          "--disable-web-security",
-          "--disable-infobars",
-          "--window-size=1920,1080",
-          "--start-maximized",
-          "--disk-cache-size=1",
-          "--media-cache-size=1",
-          "--aggressive-cache-discard"
-        ],
-        timeout: 120000, // Increased to 2 minutes for slower Render.com servers
-        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-      },
-      webVersionCache: {
-        type: 'remote',
-        remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
-      },
+    // Make room in the browser pool (may hibernate an idle session).
+    // Sandbox sessions run no browser and don't count against the pool
+    if (driver !== "sandbox") await ensurePoolCapacity(sessionId);
+
+    const client = await createDriverClient(driver, {
+      sessionId,
+      sessionInfo,
+      authStrategy: buildAuthStrategy(sessionId),
+      pairingIntervalMs: PAIRING_CODE_TTL_MS,
     });
+    if (driver !== DEFAULT_DRIVER) {
+      console.log(`🧪 ${sessionId} uses the "${driver}" driver`);
+    }
+    if (sessionInfo?.proxy?.url && driver !== "sandbox") {
+      console.log(`🌍 ${sessionId} goes out through proxy ${sessionInfo.proxy.url}`);
+    }
 
     // Store client immediately
     clients.set(sessionId, client);
+    touchSession(sessionId);
 
     // QR Code event
     client.on("qr", async (qr) => {
@@ -141,15 +782,33 @@ async function createClient(userId, sessionId, sessionName = '') {
         { userId, qr, status: "qr", updatedAt: new Date() },
         { upsert: true }
       );
+      emitSessionEvent(sessionId, "qr", { status: "qr", qr });
+
+      // A QR during a reconnect means the stored login is gone, retrying won't help
+      if (reconnectState.has(sessionId)) {
+        await giveUpReconnect(sessionId, "qr_required", reconnectState.get(sessionId).attempt);
+      }
+    });
+
+    // Pairing code event (phone-number login)
+    client.on("code", async (code) => {
+      console.log(`🔢 PAIRING CODE for "${displayName}" (${userId}): ${code}`);
+      await storePairingCode(sessionId, code);
     });
 
     // Authenticated event
     client.on("authenticated", async () => {
       await sessionModel.findOneAndUpdate(
         { sessionId },
-        { status: "authenticated", updatedAt: new Date() },
+        {
+          status: "authenticated",
+          pairingCode: null,
+          pairingCodeExpiresAt: null,
+          updatedAt: new Date(),
+        },
         { upsert: true }
       );
+      emitSessionEvent(sessionId, "authenticated", { status: "authenticated" });
     });
 
     // Ready event - Client is fully ready to use
@@ -158,9 +817,38 @@ async function createClient(userId, sessionId, sessionName = '') {
       console.log(`✅ Connected: "${displayName}" (${userId}) - Phone: +${phoneNumber} - ID: ${sessionId}`);
       await sessionModel.findOneAndUpdate(
         { sessionId },
-        { status: "connected", phoneNumber, qr: null, updatedAt: new Date() },
+        {
+          status: "connected",
+          phoneNumber,
+          qr: null,
+          pairingCode: null,
+          pairingCodeExpiresAt: null,
+          updatedAt: new Date(),
+        },
         { upsert: true }
       );
+      emitSessionEvent(sessionId, "ready", { status: "connected", phoneNumber });
+
+      // Successful reconnect: reset the backoff and tell listeners
+      const reconnect = reconnectState.get(sessionId);
+      if (reconnect) {
+        cancelReconnect(sessionId);
+        console.log(`🔁 Reconnected: "${displayName}" after ${reconnect.attempt} attempt(s)`);
+        await recordReconnectAttempt(
+          sessionId,
+          { attempt: reconnect.attempt, outcome: "reconnected" },
+          { reconnectAttempts: 0 }
+        );
+        emitSessionEvent(sessionId, "reconnected", { status: "connected", attempt: reconnect.attempt });
+        await notifySessionUpdate({
+          sessionId,
+          status: "reconnected",
+          phoneNumber,
+          attempt: reconnect.attempt,
+          maxAttempts: RECONNECT_MAX_ATTEMPTS,
+          timestamp: new Date().toISOString(),
+        });
+      }
       
       // Notify webhook
       await notifySessionUpdate({
@@ -179,6 +867,7 @@ async function createClient(userId, sessionId, sessionName = '') {
         { status: "auth_failed", updatedAt: new Date() }
       );
       clients.delete(sessionId);
+      emitSessionEvent(sessionId, "auth_failed", { status: "auth_failed", message: msg });
       
       // Notify webhook
       await notifySessionUpdate({
@@ -191,24 +880,44 @@ async function createClient(userId, sessionId, sessionName = '') {
 
     // Disconnected event
     client.on("disconnected", async (reason) => {
-      console.log(`⚠️ Disconnected: "${displayName}" (${userId})`);
+      // Ignore late events from a client that has already been replaced or parked
+      if (clients.has(sessionId) && clients.get(sessionId) !== client) return;
+      if (parkingSessions.has(sessionId) || shuttingDown) return;
+
+      console.log(`⚠️ Disconnected: "${displayName}" (${userId}) - reason: ${reason}`);
       await sessionModel.findOneAndUpdate(
         { sessionId },
-        { status: "disconnected", updatedAt: new Date() }
+        { status: "disconnected", lastDisconnectReason: String(reason), updatedAt: new Date() }
       );
       clients.delete(sessionId);
+      emitSessionEvent(sessionId, "disconnected", { status: "disconnected", reason });
       
       // Notify webhook
       await notifySessionUpdate({
         sessionId,
         status: "disconnected",
         phoneNumber: null,
+        reason: String(reason),
         timestamp: new Date().toISOString(),
       });
+
+      if (FATAL_DISCONNECT_REASONS.includes(String(reason).toUpperCase())) {
+        cancelReconnect(sessionId);
+        console.log(`🚪 ${sessionId} logged out (${reason}), not reconnecting`);
+        return;
+      }
+
+      await scheduleReconnect(userId, sessionId, displayName, String(reason));
+    });
+
+    // RemoteAuth finished backing up the profile to MongoDB
+    client.on("remote_session_saved", () => {
+      console.log(`💾 Remote session saved: "${displayName}" (${sessionId})`);
     });
 
     // Message received event
     client.on("message", async (message) => {
+      touchSession(sessionId);
       await notifyMessageReceived({
         messageId: message.id._serialized,
         from: message.from,
@@ -221,18 +930,20 @@ async function createClient(userId, sessionId, sessionName = '') {
       });
     });
 
+    // Every sent and received message goes to the message store
+    client.on("message_create", (message) => {
+      recordMessage(sessionId, message).catch((err) =>
+        console.error(`❌ Failed to store message ${message.id?._serialized} (${sessionId}):`, err.message)
+      );
+    });
+
     // Message acknowledgment event (sent, delivered, read)
     client.on("message_ack", async (message, ack) => {
-      const ackNames = {
-        [MessageAck.ACK_ERROR]: "error",
-        [MessageAck.ACK_PENDING]: "pending",
-        [MessageAck.ACK_SERVER]: "sent",
-        [MessageAck.ACK_DEVICE]: "delivered",
-        [MessageAck.ACK_READ]: "read",
-        [MessageAck.ACK_PLAYED]: "played",
-      };
-      
-      const ackName = ackNames[ack] || "unknown";
+      const ackName = ACK_STATUS[ack] || "unknown";
+
+      recordMessageAck(sessionId, message.id._serialized, ack).catch((err) =>
+        console.error(`❌ Failed to update message status ${message.id._serialized}:`, err.message)
+      );
       
       if (ack === MessageAck.ACK_DEVICE) {
         await notifyMessageDelivered({
@@ -298,14 +1009,18 @@ async function createClient(userId, sessionId, sessionName = '') {
           { sessionId },
           { status: "network_error", updatedAt: new Date() }
         );
+        emitSessionEvent(sessionId, "network_error", { status: "network_error", reason: initError.message });
       } else {
         await sessionModel.findOneAndUpdate(
           { sessionId },
           { status: "failed", updatedAt: new Date() }
         );
+        emitSessionEvent(sessionId, "failed", { status: "failed", reason: initError.message });
       }
       
       clients.delete(sessionId);
+      // Close the half-started browser (and its proxy bridge, if any)
+      client.destroy().catch(() => {});
       throw initError;
     }
   } catch (error) {
@@ -315,10 +1030,75 @@ async function createClient(userId, sessionId, sessionName = '') {
   }
 }
 
+/* -----------------------------------------------------
+   Internal: Persist a freshly issued pairing code
+----------------------------------------------------- */
+async function storePairingCode(sessionId, code) {
+  const expiresAt = new Date(Date.now() + PAIRING_CODE_TTL_MS);
+  await sessionModel.findOneAndUpdate(
+    { sessionId },
+    {
+      pairingCode: code,
+      pairingCodeExpiresAt: expiresAt,
+      status: "pairing_code",
+      updatedAt: new Date(),
+    }
+  );
+  emitSessionEvent(sessionId, "pairing_code", {
+    status: "pairing_code",
+    pairingCode: code,
+    pairingCodeExpiresAt: expiresAt.toISOString(),
+  });
+  return expiresAt;
+}
+
+/* -----------------------------------------------------
+   Request a new pairing code for a pending session
+   - Re-uses the live client when possible, otherwise
+     re-creates it (which issues a fresh code)
+----------------------------------------------------- */
+export async function regeneratePairingCode(sessionId) {
+  const session = await sessionModel.findOne({ sessionId });
+  if (!session) {
+    throw new Error(`Session ${sessionId} not found in database`);
+  }
+  if (session.loginMode !== "pairing" || !session.pairingPhoneNumber) {
+    throw new Error(`Session ${sessionId} was not created in pairing mode`);
+  }
+  if (session.status === "connected" || session.status === "authenticated") {
+    throw new Error(`Session ${sessionId} is already linked`);
+  }
+
+  const client = clients.get(sessionId);
+  if (client) {
+    const code = await client.requestPairingCode(session.pairingPhoneNumber, true);
+    const expiresAt = await storePairingCode(sessionId, code);
+    return { code, expiresAt };
+  }
+
+  // Browser is gone (e.g. init timed out) - boot a new one, it emits "code"
+  await sessionModel.findOneAndUpdate(
+    { sessionId },
+    { pairingCode: null, pairingCodeExpiresAt: null, updatedAt: new Date() }
+  );
+  await createClient(session.userId, sessionId, session.sessionName);
+  for (let attempts = 0; attempts < 30; attempts++) {
+    const updated = await sessionModel.findOne({ sessionId });
+    if (updated?.pairingCode && updated.pairingCodeExpiresAt > new Date()) {
+      return { code: updated.pairingCode, expiresAt: updated.pairingCodeExpiresAt };
+    }
+    await delay(1000);
+  }
+  throw new Error(`Timed out waiting for a pairing code for ${sessionId}`);
+}
+
 /* -----------------------------------------------------
    Disconnect / Destroy Session
 ----------------------------------------------------- */
 export async function disconnectSession(sessionId) {
+  cancelReconnect(sessionId);
+  lastActivity.delete(sessionId);
+  unhealthySessions.delete(sessionId);
   const client = clients.get(sessionId);
   if (client) {
     try {
@@ -333,6 +1113,8 @@ export async function disconnectSession(sessionId) {
     { sessionId },
     { status: "disconnected", updatedAt: new Date() }
   );
+  await releaseLease(sessionId);
+  emitSessionEvent(sessionId, "disconnected", { status: "disconnected", reason: "manual" });
 }
 
 /* -----------------------------------------------------
@@ -342,6 +1124,9 @@ export async function deleteSession(sessionId) {
   console.log(`🗑️ Starting deletion process for session: ${sessionId}`);
   
   // Step 1: Destroy WhatsApp client in memory
+  cancelReconnect(sessionId);
+  lastActivity.delete(sessionId);
+  unhealthySessions.delete(sessionId);
   const client = clients.get(sessionId);
   if (client) {
     try {
@@ -359,23 +1144,18 @@ export async function deleteSession(sessionId) {
   const result = await sessionModel.findOneAndDelete({ sessionId });
   if (result) {
     console.log(`✅ Deleted session from MongoDB database: ${sessionId}`);
+    emitSessionEvent(sessionId, "deleted", { status: "deleted" });
   } else {
     console.log(`⚠️ Session not found in MongoDB: ${sessionId}`);
   }
 
-  // Step 3: Delete local authentication folder (.wwebjs_auth)
+  // Forget the simulated account of a sandbox session
+  resetSandboxSession(sessionId);
+
+  // Step 3: Delete local authentication data (.wwebjs_auth)
+  // The Mongo auth bundle (authData) went with the document in step 2
   try {
-    const fs = await import('fs');
-    const path = await import('path');
-    const authPath = path.join(process.cwd(), '.wwebjs_auth', `session-${sessionId}`);
-    
-    if (fs.existsSync(authPath)) {
-      // Remove directory recursively
-      fs.rmSync(authPath, { recursive: true, force: true });
-      console.log(`✅ Deleted local auth folder: ${authPath}`);
-    } else {
-      console.log(`⚠️ Local auth folder not found: ${authPath}`);
-    }
+    removeLocalAuthData(sessionId);
   } catch (err) {
     console.error(`❌ Error deleting local auth folder for ${sessionId}:`, err.message);
   }
@@ -384,17 +1164,300 @@ export async function deleteSession(sessionId) {
   return result;
 }
 
+/* -----------------------------------------------------
+   Delete every session of one user
+   - Sessions running on another instance are dropped there
+     by its lease heartbeat once the document is gone
+----------------------------------------------------- */
+export async function clearUserSessions(userId) {
+  const sessions = await sessionModel.find({ userId }, { sessionId: 1 });
+  const cleared = [];
+  for (const { sessionId } of sessions) {
+    if (await deleteSession(sessionId)) cleared.push(sessionId);
+  }
+  return { cleared: cleared.length, sessionIds: cleared };
+}
+
+/* -----------------------------------------------------
+   Session backup / migration bundles (zip)
+   - session.json: metadata (name, labels, driver...)
+   - profile.zip:  browser auth profile, same layout as a
+     RemoteAuth backup, so it restores under either
+     auth strategy without re-scanning
+----------------------------------------------------- */
+const BUNDLE_FORMAT_VERSION = 1;
+
+// Profile folders WhatsApp Web needs to stay logged in (what RemoteAuth keeps)
+const PROFILE_DIRS = ["Default/IndexedDB", "Default/Local Storage"];
+
+const BUNDLED_FIELDS = [
+  "userId",
+  "sessionName",
+  "labels",
+  "description",
+  "metadata",
+  "loginMode",
+  "pairingPhoneNumber",
+  "driver",
+  "phoneNumber",
+  "proxy",
+];
+
+// Same rule as the import schema: the id becomes a folder name under AUTH_DATA_PATH
+const BUNDLE_SESSION_ID = /^[\w-]{3,100}$/;
+
+function bundleError(message, code = "BUNDLE_INVALID") {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function localProfileDir(sessionId) {
+  return path.join(process.cwd(), AUTH_DATA_PATH, `session-${sessionId}`);
+}
+
+function addDirToZip(zip, dir, prefix) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    const name = `${prefix}/${entry.name}`;
+    if (entry.isDirectory()) addDirToZip(zip, full, name);
+    else if (entry.isFile()) zip.file(name, fs.readFileSync(full));
+  }
+}
+
+async function readAuthProfile(session) {
+  const stored = session.authData?.zip;
+  const fromMongo = stored && decryptBuffer(stored);
+  if (AUTH_STRATEGY === "mongo" && fromMongo) return fromMongo;
+
+  const dir = localProfileDir(session.sessionId);
+  if (!fs.existsSync(dir)) return fromMongo || null;
+
+  const profile = new JSZip();
+  for (const rel of PROFILE_DIRS) {
+    const full = path.join(dir, rel);
+    if (fs.existsSync(full)) addDirToZip(profile, full, rel);
+  }
+  return await profile.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+async function unpackAuthProfile(profile, targetDir) {
+  const zip = await JSZip.loadAsync(profile);
+  const root = path.resolve(targetDir);
+
+  for (const entry of Object.values(zip.files)) {
+    const target = path.resolve(root, entry.name);
+    // Zip-slip guard: entries must stay inside the profile folder
+    if (!target.startsWith(root + path.sep)) {
+      throw bundleError(`Unsafe path in auth profile: ${entry.name}`);
+    }
+    if (entry.dir) {
+      fs.mkdirSync(target, { recursive: true });
+      continue;
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, await entry.async("nodebuffer"));
+  }
+}
+
+/* -----------------------------------------------------
+   Export a session as a zip bundle
+   - options.disconnect: stop the session here afterwards,
+     so two servers don't run the same login at once
+   Returns { buffer, hasAuthProfile, sessionName }
+----------------------------------------------------- */
+export async function exportSession(sessionId, options = {}) {
+  const session = await sessionModel.findOne({ sessionId });
+  if (!session) throw new Error(`Session ${sessionId} not found in database`);
+
+  // RemoteAuth only backs up periodically, flush the latest profile first
+  const client = clients.get(sessionId);
+  if (client?.info && client.authStrategy instanceof RemoteAuth) {
+    await client.authStrategy.storeRemoteSession().catch((err) =>
+      console.error(`⚠️ Could not back up ${sessionId} before exporting:`, err.message)
+    );
+  }
+  if (options.disconnect) {
+    await disconnectSession(sessionId);
+  }
+
+  const fresh = await sessionModel.findOne({ sessionId });
+  const profile = fresh.driver === "sandbox" ? null : await readAuthProfile(fresh);
+  // Decrypted (proxy password): the importing server encrypts with its own key
+  const plain = fresh.toObject({ getters: true });
+
+  const bundle = new JSZip();
+  bundle.file(
+    "session.json",
+    JSON.stringify(
+      {
+        formatVersion: BUNDLE_FORMAT_VERSION,
+        sourceSessionId: sessionId,
+        sourceInstanceId: INSTANCE_ID,
+        exportedAt: new Date().toISOString(),
+        hasAuthProfile: !!profile,
+        session: Object.fromEntries(BUNDLED_FIELDS.map((f) => [f, plain[f]])),
+      },
+      null,
+      2
+    )
+  );
+  if (profile) bundle.file("profile.zip", profile);
+
+  const buffer = await bundle.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+  console.log(`📦 Exported ${sessionId} (${(buffer.length / 1024).toFixed(0)}KB, auth profile: ${profile ? "yes" : "no"})`);
+  emitSessionEvent(sessionId, "exported", {
+    status: fresh.status,
+    hasAuthProfile: !!profile,
+    disconnected: !!options.disconnect,
+  });
+
+  return { buffer, hasAuthProfile: !!profile, sessionName: fresh.sessionName };
+}
+
+/* -----------------------------------------------------
+   Import a bundle produced by exportSession
+   - options.sessionId: target id (default: a new one)
+   - options.keepSessionId: reuse the source session id
+   - options.userId / options.sessionName: overrides
+   - options.overwrite: replace an existing session
+   - options.requireOwner: only overwrite sessions of this user
+   Boots the client right away; with a valid auth profile
+   it connects without a QR scan
+----------------------------------------------------- */
+export async function importSession(zipBuffer, options = {}) {
+  let bundle;
+  try {
+    bundle = await JSZip.loadAsync(zipBuffer);
+  } catch {
+    throw bundleError("Bundle is not a valid zip file");
+  }
+
+  const manifestFile = bundle.file("session.json");
+  if (!manifestFile) throw bundleError("Bundle has no session.json");
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestFile.async("string"));
+  } catch {
+    throw bundleError("session.json is not valid JSON");
+  }
+  if (!manifest.formatVersion || manifest.formatVersion > BUNDLE_FORMAT_VERSION) {
+    throw bundleError(`Unsupported bundle format version: ${manifest.formatVersion}`);
+  }
+
+  const meta = manifest.session || {};
+  const sessionId =
+    options.sessionId ||
+    (options.keepSessionId ? manifest.sourceSessionId : null) ||
+    `session_${uuidv4()}`;
+  if (typeof sessionId !== "string" || !BUNDLE_SESSION_ID.test(sessionId)) {
+    throw bundleError("Bundle session id may only contain letters, digits, _ and - (3-100 characters)");
+  }
+  const userId = options.userId || meta.userId;
+  if (!userId) throw bundleError("Bundle has no userId, pass one explicitly");
+  if (!isDriverEnabled(meta.driver || DEFAULT_DRIVER)) {
+    throw bundleError(`The "${meta.driver}" driver is disabled on this server`, "DRIVER_DISABLED");
+  }
+
+  const existing = await sessionModel.findOne({ sessionId });
+  if (existing) {
+    if (options.requireOwner && existing.userId !== options.requireOwner) {
+      throw bundleError(`Session ${sessionId} belongs to another user`, "SESSION_FORBIDDEN");
+    }
+    if (!options.overwrite) {
+      throw bundleError(`Session ${sessionId} already exists`, "SESSION_EXISTS");
+    }
+    const owner = await getSessionOwner(sessionId);
+    if (owner?.isRemote) {
+      const err = new Error(`Session ${sessionId} is running on instance ${owner.ownerInstanceId}`);
+      err.code = "SESSION_OWNED_ELSEWHERE";
+      err.owner = owner;
+      throw err;
+    }
+    await deleteSession(sessionId);
+  }
+
+  if (MAX_SESSIONS_PER_USER) {
+    const count = await sessionModel.countDocuments({ userId });
+    if (count >= MAX_SESSIONS_PER_USER) {
+      const err = new Error(`User ${userId} already has ${count} session(s), the maximum is ${MAX_SESSIONS_PER_USER}`);
+      err.code = "SESSION_LIMIT_REACHED";
+      throw err;
+    }
+  }
+
+  const profile = await bundle.file("profile.zip")?.async("nodebuffer");
+  const sessionName = options.sessionName || meta.sessionName || `Imported ${new Date().toLocaleString()}`;
+  const doc = {
+    ...Object.fromEntries(BUNDLED_FIELDS.map((f) => [f, meta[f]]).filter(([, v]) => v !== undefined)),
+    userId,
+    sessionId,
+    sessionName,
+    status: "pending",
+    importedFrom: {
+      sessionId: manifest.sourceSessionId,
+      instanceId: manifest.sourceInstanceId,
+      exportedAt: manifest.exportedAt,
+      importedAt: new Date(),
+    },
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  // Start from a clean profile folder, then lay the bundled one down
+  removeLocalAuthData(sessionId);
+  if (profile) {
+    if (AUTH_STRATEGY === "mongo") {
+      if (profile.length > MAX_AUTH_BUNDLE_BYTES) {
+        throw bundleError(
+          `Auth profile is ${(profile.length / 1024 / 1024).toFixed(1)}MB, too large to store in MongoDB`,
+          "PROFILE_TOO_LARGE"
+        );
+      }
+      doc.authData = { zip: encryptBuffer(profile), size: profile.length, savedAt: new Date() };
+    } else {
+      await unpackAuthProfile(profile, localProfileDir(sessionId));
+    }
+  }
+
+  await sessionModel.create(doc);
+  console.log(`📥 Imported ${manifest.sourceSessionId} as ${sessionId} for ${userId} (auth profile: ${profile ? "yes" : "no"})`);
+  emitSessionEvent(sessionId, "imported", {
+    status: "pending",
+    sourceSessionId: manifest.sourceSessionId,
+    hasAuthProfile: !!profile,
+  });
+
+  await createClient(userId, sessionId, sessionName);
+  const current = await sessionModel.findOne({ sessionId });
+  return {
+    sessionId,
+    sessionName,
+    userId,
+    sourceSessionId: manifest.sourceSessionId,
+    hasAuthProfile: !!profile,
+    status: current?.status || "pending",
+    qr: current?.qr || null,
+  };
+}
+
 /* -----------------------------------------------------
    Get sessions from DB by user
+   - filter: extra Mongo conditions (e.g. labels)
 ----------------------------------------------------- */
-export async function getUserSessions(userId) {
-  return await sessionModel.find({ userId }).sort({ updatedAt: -1 });
+export async function getUserSessions(userId, filter = {}) {
+  return await sessionModel.find({ ...filter, userId }).sort({ updatedAt: -1 });
 }
 
 /* -----------------------------------------------------
    Clear all sessions (destroys clients + clears DB)
 ----------------------------------------------------- */
 export async function clearAllSessions() {
+  for (const sessionId of reconnectState.keys()) cancelReconnect(sessionId);
+  lastActivity.clear();
+  unhealthySessions.clear();
+
   // Destroy all clients
   for (const [id, client] of clients.entries()) {
     try {
@@ -405,18 +1468,26 @@ export async function clearAllSessions() {
     clients.delete(id);
   }
 
-  // Delete from database
+  // Delete from database (removes any Mongo auth bundles too)
+  const existing = await sessionModel.find({}, { sessionId: 1 });
   const result = await sessionModel.deleteMany({});
+  for (const { sessionId } of existing) {
+    emitSessionEvent(sessionId, "deleted", { status: "deleted", reason: "clear_all" });
+  }
   
-  // Delete .wwebjs_auth folder
+  // Delete .wwebjs_auth folder and leftover RemoteAuth archives
   try {
-    const fs = await import('fs');
-    const path = await import('path');
     const authPath = path.join(process.cwd(), '.wwebjs_auth');
     
     if (fs.existsSync(authPath)) {
       fs.rmSync(authPath, { recursive: true, force: true });
     }
+
+    for (const file of fs.readdirSync(process.cwd())) {
+      if (file.startsWith("RemoteAuth-") && file.endsWith(".zip")) {
+        fs.rmSync(path.join(process.cwd(), file), { force: true });
+      }
+    }
   } catch (fsError) {
     console.error("Error deleting auth folder:", fsError.message);
   }
@@ -442,10 +1513,20 @@ export const getActiveClient = getClient;
    - Used when session exists in DB but not in memory
 ----------------------------------------------------- */
 export async function restoreSession(sessionId) {
+  sessionId = sessionId.trim();
+
+  // Several requests may hit a hibernated session at once, boot it only once
+  if (pendingRestores.has(sessionId)) {
+    return pendingRestores.get(sessionId);
+  }
+
+  const restore = restoreSessionOnce(sessionId).finally(() => pendingRestores.delete(sessionId));
+  pendingRestores.set(sessionId, restore);
+  return restore;
+}
+
+async function restoreSessionOnce(sessionId) {
   try {
-    // Clean up sessionId (remove extra spaces)
-    sessionId = sessionId.trim();
-    
     // Check if already in memory
     if (clients.has(sessionId)) {
       const client = clients.get(sessionId);
@@ -464,10 +1545,16 @@ export async function restoreSession(sessionId) {
     const session = await sessionModel.findOne({ sessionId });
 
     if (!session) {
-      throw new Error(`Session ${sessionId} not found in database`);
+      const err = new Error(`Session ${sessionId} not found in database`);
+      err.code = "SESSION_NOT_FOUND";
+      throw err;
     }
 
     console.log(`♻️ Restoring: "${session.sessionName || sessionId}" (${session.userId})`);
+    emitSessionEvent(sessionId, "restored", {
+      status: session.status,
+      reason: session.status === "hibernated" ? "wake_up" : "on_demand",
+    });
     
     // Create/restore the client
     await createClient(session.userId, sessionId, session.sessionName);
@@ -515,11 +1602,23 @@ export async function getOrRestoreClient(sessionId) {
     // Clean sessionId
     sessionId = sessionId.trim();
     
+    // The watchdog flagged this browser as stuck, don't hand it out
+    if (unhealthySessions.has(sessionId)) {
+      console.log(`🩺 ${sessionId} is unhealthy, restarting before use`);
+      const restarted = await restartSession(sessionId, "unhealthy_on_request");
+      if (!restarted?.info) {
+        throw new Error(`Session ${sessionId} was restarted but is not connected yet`);
+      }
+      touchSession(sessionId);
+      return restarted;
+    }
+
     // Try to get existing client
     const client = clients.get(sessionId);
     if (client) {
       try {
         if (client.info) {
+          touchSession(sessionId);
           // Get session name from database for display
           const sessionInfo = await sessionModel.findOne({ sessionId });
           const displayName = sessionInfo?.sessionName || sessionId;
@@ -542,10 +1641,15 @@ export async function getOrRestoreClient(sessionId) {
       throw new Error(`Session ${sessionId} restored but not connected to WhatsApp. Please scan QR code or use an active session.`);
     }
     
+    touchSession(sessionId);
     return restoredClient;
   } catch (error) {
     console.error(`❌ getOrRestoreClient failed for ${sessionId}:`, error.message);
-    throw new Error(`Session ${sessionId} is not available. ${error.message}`);
+    const wrapped = new Error(`Session ${sessionId} is not available. ${error.message}`);
+    // Anything but a missing / foreign session means "not connected yet"
+    wrapped.code = error.code || "SESSION_NOT_READY";
+    wrapped.owner = error.owner;
+    throw wrapped;
   }
 }
 
@@ -561,6 +1665,7 @@ export function getAllActiveSessions() {
         isReady: !!client.info,
         phoneNumber: client.info?.wid?.user || null,
         pushname: client.info?.pushname || null,
+        lastActivityAt: lastActivity.has(sessionId) ? new Date(lastActivity.get(sessionId)) : null,
       };
       activeSessions.push(info);
     } catch (e) {
@@ -569,6 +1674,7 @@ export function getAllActiveSessions() {
         isReady: false,
         phoneNumber: null,
         pushname: null,
+        lastActivityAt: null,
       });
     }
   }
@@ -581,6 +1687,7 @@ export function getAllActiveSessions() {
 export async function isSessionActive(sessionId) {
   const client = clients.get(sessionId);
   if (!client) return false;
+  if (unhealthySessions.has(sessionId)) return false;
 
   try {
     // Check if client has info (means it's ready)
@@ -599,32 +1706,70 @@ export async function isSessionActive(sessionId) {
 ----------------------------------------------------- */
 export async function restoreSessions() {
   try {
-    // Only restore connected/authenticated sessions
-    const sessions = await sessionModel.find({
-      status: { $in: ["connected", "authenticated"] },
-    });
+    // Restore sessions parked by a clean shutdown plus ones that were live
+    // when the process died (any other live status = crash)
+    // Hibernated sessions stay asleep until a request needs them
+    // Sessions another live instance holds a lease on are left alone
+    let sessions = await sessionModel
+      .find({
+        status: { $in: ["shutdown", ...LIVE_STATUSES] },
+        $or: [
+          { ownerInstanceId: null },
+          { ownerInstanceId: INSTANCE_ID },
+          { leaseExpiresAt: { $lt: new Date() } },
+        ],
+      })
+      .sort({ updatedAt: -1 });
 
     if (!sessions.length) {
       console.log("ℹ️ No sessions to restore");
       return;
     }
 
+    // Boot the most recently used sessions first, hibernate whatever won't fit
+    if (MAX_LIVE_CLIENTS && sessions.length > MAX_LIVE_CLIENTS) {
+      const overflow = sessions.slice(MAX_LIVE_CLIENTS);
+      sessions = sessions.slice(0, MAX_LIVE_CLIENTS);
+      await sessionModel.updateMany(
+        { sessionId: { $in: overflow.map((s) => s.sessionId) } },
+        { status: "hibernated", updatedAt: new Date() }
+      );
+      for (const { sessionId } of overflow) {
+        emitSessionEvent(sessionId, "hibernated", { status: "hibernated", reason: "pool_full" });
+      }
+      console.log(`🛏️ ${overflow.length} session(s) hibernated at startup (pool limit ${MAX_LIVE_CLIENTS})`);
+    }
+
+    const crashed = sessions.filter((s) => s.status !== "shutdown").length;
     console.log(`♻️ Restoring ${sessions.length} session(s)...`);
+    if (crashed) {
+      console.log(`⚠️ ${crashed} session(s) were not parked cleanly (previous process crashed or was killed)`);
+    }
 
     // Restore sessions in parallel with error handling
     const restorePromises = sessions.map(async (session, index) => {
       try {
         if (!clients.has(session.sessionId)) {
           await delay(index * 1000);
+          emitSessionEvent(session.sessionId, "restored", {
+            status: session.status,
+            reason: session.status === "shutdown" ? "clean_shutdown" : "crash_recovery",
+          });
           await createClient(session.userId, session.sessionId, session.sessionName);
         }
       } catch (err) {
+        // Another instance won the lease race, it is running there
+        if (err.code === "SESSION_OWNED_ELSEWHERE") {
+          console.log(`↪️ ${session.sessionId} is owned by another instance, skipping`);
+          return;
+        }
         console.error(`❌ Failed to restore ${session.sessionId}:`, err.message);
         // Mark session as failed
         await sessionModel.findOneAndUpdate(
           { sessionId: session.sessionId },
           { status: "disconnected", updatedAt: new Date() }
         );
+        emitSessionEvent(session.sessionId, "disconnected", { status: "disconnected", reason: `restore_failed: ${err.message}` });
       }
     });
 
@@ -9,6 +9,8 @@ const webhookUrls = {
   session: process.env.WEBHOOK_SESSION_URL || null,
 };
 
+export const WEBHOOK_EVENT_TYPES = Object.keys(webhookUrls);
+
 // Registered webhook endpoints
 const registeredWebhooks = new Map();
 
@@ -132,6 +134,10 @@ export async function notifySessionUpdate(data) {
     sessionId: data.sessionId,
     status: data.status,
     phoneNumber: data.phoneNumber,
+    reason: data.reason,
+    attempt: data.attempt,
+    maxAttempts: data.maxAttempts,
+    nextRetryAt: data.nextRetryAt,
     timestamp: data.timestamp,
   });
 }